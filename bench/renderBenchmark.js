@@ -0,0 +1,188 @@
+// --- OmniGraph DSI Engine: Render Benchmark ---
+// Renders a synthetic catalog through the interpreted path (processDsiPage, which parses the
+// template on every call) and the compiled path (compileDsiPage once, then render), checks that
+// both produce identical JSON-LD for every page, and reports per-render latency and throughput.
+//
+//   node bench/renderBenchmark.js [--pages 10000] [--variants 8] [--items 24] [--seed 1]
+//
+// Exits non-zero if the two paths disagree on any page.
+
+const { processDsiPage, compileDsiPage } = require('../src/shared/dsiEngine');
+const { PAGE_TYPES } = require('../src/shared/pageTypes');
+
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    const value = index === -1 ? fallback : Number(process.argv[index + 1]);
+    if (!Number.isInteger(value) || value < 1) {
+        console.error(`--${name} must be a positive integer`);
+        process.exit(2);
+    }
+    return value;
+};
+
+const OPTIONS = {
+    pages: readOption('pages', 10000),
+    variants: readOption('variants', 8),
+    items: readOption('items', 24),
+    seed: readOption('seed', 1),
+};
+
+// Deterministic pseudo-random numbers (mulberry32), so runs are comparable
+let state = OPTIONS.seed;
+const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+// --- SYNTHETIC RULES ---
+// Every feature the engine supports: placeholders with transforms, variant offers, repeats,
+// rules with a container gate, and computed expressions.
+
+const PRODUCT_TEMPLATE = {
+    "@context": "https://schema.org/",
+    "@type": "Product",
+    "name": "[product.title]",
+    "name_Expr": "[product.vendor] + \" \" + [product.title]",
+    "description": "[product.title] by [product.vendor | uppercase] in [product.metafields.custom.fabric_type | default: \"cotton\"]",
+    "keywords": "[product.tags | join: \", \" | truncate: 60]",
+    "brand": { "@type": "Brand", "name": "[product.vendor]" },
+    "material": "[product.metafields.custom.fabric_type]",
+    "offers": {
+        "_variants": "variants",
+        "priceCurrency": "[shop.currency]",
+        "itemCondition": "https://schema.org/NewCondition"
+    },
+    "aggregateRating": {
+        "@type": "AggregateRating",
+        "ratingValue_Rule": "IF (review_count > 5 AND average_rating > 4.5) THEN [average_rating] ELSE [NULL]",
+        "reviewCount": "[review_count]"
+    },
+    "_comment_rule_1": "// Synthetic benchmark template"
+};
+
+const RULES_DOC = {
+    templates: {
+        product: { jsonLdTemplate: JSON.stringify(PRODUCT_TEMPLATE), mappings: [] },
+        collection: { jsonLdTemplate: JSON.stringify(PAGE_TYPES.collection.baseTemplate), mappings: [] },
+        breadcrumbs: { jsonLdTemplate: JSON.stringify(PAGE_TYPES.breadcrumbs.baseTemplate), mappings: [] },
+    },
+};
+
+// --- SYNTHETIC CATALOG ---
+
+const VENDORS = ['Acme', 'Northwind', 'Globex', 'Initech', 'Umbrella'];
+const TAGS = ['summer', 'organic', 'sale', 'new', 'bestseller', 'limited', 'eco', 'gift'];
+const FABRICS = ['linen', 'wool', 'silk', null];
+
+const breadcrumbsFor = (title, url) => [
+    { name: 'Home', url: 'https://shop.example/' },
+    { name: 'Catalog', url: 'https://shop.example/collections/all' },
+    { name: title, url },
+];
+
+function productPage(index) {
+    const title = `Product ${index}`;
+    const url = `https://shop.example/products/product-${index}`;
+    const basePrice = Math.round(random() * 20000) / 100;
+    return {
+        'product.id': index,
+        'product.title': title,
+        'product.vendor': pick(VENDORS),
+        'product.tags': TAGS.filter(() => random() < 0.4),
+        'product.metafields.custom.fabric_type': pick(FABRICS),
+        'review_count': Math.floor(random() * 40),
+        'average_rating': Math.round((3 + random() * 2) * 10) / 10,
+        'current_price': basePrice,
+        'shop.currency': 'USD',
+        'variants': Array.from({ length: OPTIONS.variants }, (unused, v) => ({
+            title: `Size ${v + 1}`,
+            sku: `SKU-${index}-${v}`,
+            barcode: String(100000000000 + index * 100 + v),
+            price: basePrice + v,
+            available: random() < 0.9,
+            inventory_quantity: Math.floor(random() * 10),
+            inventory_management: 'shopify',
+            url: `${url}?variant=${v}`,
+        })),
+        'breadcrumbs': breadcrumbsFor(title, url),
+    };
+}
+
+function collectionPage(index) {
+    const title = `Collection ${index}`;
+    const url = `https://shop.example/collections/collection-${index}`;
+    return {
+        'collection.title': title,
+        'collection.url': url,
+        'collection.products_count': OPTIONS.items,
+        'collection.products': Array.from({ length: OPTIONS.items }, (unused, i) => ({
+            title: `Product ${index}-${i}`,
+            url: `https://shop.example/products/product-${index}-${i}`,
+        })),
+        'breadcrumbs': breadcrumbsFor(title, url),
+    };
+}
+
+// --- MEASUREMENT ---
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+// Times `render` over every page; returns the outputs and latency statistics in milliseconds.
+function measure(pages, render) {
+    // Warm up the JIT on a slice of the catalog
+    pages.slice(0, 200).forEach(render);
+
+    const outputs = new Array(pages.length);
+    const latencies = new Float64Array(pages.length);
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < pages.length; i++) {
+        const before = process.hrtime.bigint();
+        outputs[i] = render(pages[i]);
+        latencies[i] = Number(process.hrtime.bigint() - before) / 1e6;
+    }
+    const totalMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    const sorted = Array.from(latencies).sort((a, b) => a - b);
+    return {
+        outputs,
+        stats: {
+            mean: totalMs / pages.length,
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+            p99: percentile(sorted, 0.99),
+            max: sorted[sorted.length - 1],
+            throughput: pages.length / (totalMs / 1000),
+        },
+    };
+}
+
+const formatStats = (label, { mean, p50, p95, p99, max, throughput }) =>
+    `  ${label.padEnd(12)} mean ${mean.toFixed(3)}ms  p50 ${p50.toFixed(3)}ms  p95 ${p95.toFixed(3)}ms  ` +
+    `p99 ${p99.toFixed(3)}ms  max ${max.toFixed(2)}ms  ${Math.round(throughput).toLocaleString('en-US')} renders/s`;
+
+function benchmarkPageType(pageType, makePage) {
+    const pages = Array.from({ length: OPTIONS.pages }, (unused, index) => makePage(index));
+
+    const interpreted = measure(pages, data => processDsiPage(data, RULES_DOC, pageType));
+
+    const compileStarted = process.hrtime.bigint();
+    const renderPage = compileDsiPage(RULES_DOC, pageType);
+    const compileMs = Number(process.hrtime.bigint() - compileStarted) / 1e6;
+    const compiled = measure(pages, renderPage);
+
+    const mismatches = pages.filter((unused, i) => interpreted.outputs[i] !== compiled.outputs[i]).length;
+
+    console.log(`${pageType}: ${pages.length.toLocaleString('en-US')} pages`);
+    console.log(formatStats('interpreted', interpreted.stats));
+    console.log(formatStats('compiled', compiled.stats));
+    console.log(`  compile once ${compileMs.toFixed(3)}ms, speedup ${(interpreted.stats.mean / compiled.stats.mean).toFixed(2)}x, ` +
+        `${mismatches === 0 ? 'outputs identical' : `${mismatches} OUTPUT MISMATCHES`}`);
+    return mismatches;
+}
+
+console.log(`OmniGraph render benchmark (Node ${process.version}; ${OPTIONS.variants} variants per product, ${OPTIONS.items} items per collection)`);
+const mismatches = benchmarkPageType('product', productPage) + benchmarkPageType('collection', collectionPage);
+process.exit(mismatches === 0 ? 0 : 1);
@@ -1,11 +1,21 @@
-import React, { useState, useMemo, useCallback, useEffect } from 'react';
-import { Settings, GitBranch, Terminal, CheckCircle, XCircle, ChevronDown, Plus, Trash2, Loader, Save, Code, Zap, RefreshCw } from 'lucide-react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { Settings, GitBranch, Terminal, CheckCircle, XCircle, ChevronDown, Plus, Trash2, Loader, Save, Code, Zap, RefreshCw, Eye, History, RotateCcw, Upload, Download } from 'lucide-react';
 
 // --- FIREBASE IMPORTS ---
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
 import { getFirestore, doc, setDoc, onSnapshot } from 'firebase/firestore';
 
+// --- SHARED DSI LOGIC (same modules the engine runs in server.js) ---
+import { parseRule, serializeRule, serializeValue, serializeCondition, parseValue, normalizeCondition, getMappingCondition, countConditions, RULE_CONTAINERS, RULE_KEY_SUFFIX, OPERATORS, UNARY_OPERATORS, LIST_OPERATORS } from '../shared/ruleLanguage';
+import { traceDsiSchema } from '../shared/dsiEngine';
+import { validateSchema } from '../shared/schemaValidator';
+import { PAGE_TYPES, DEFAULT_PAGE_TYPE } from '../shared/pageTypes';
+import { OFFER_MODES } from '../shared/variantOffers';
+import { EXPR_KEY_SUFFIX, FUNCTIONS, parseExpression, expressionSources } from '../shared/expressions';
+import { TRANSFORMS, parsePlaceholder, parseTransformArgs, serializeTransformArgs, serializePlaceholder, checkTransform } from '../shared/transforms';
+import { diffRuleVersions } from '../shared/ruleDiff';
+
 // --- CONFIGURATION & DATA MOCKS ---
 
 // Global variables provided by the environment (MANDATORY USE)
@@ -13,6 +23,9 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 // FIX: Correctly reference the global __initial_auth_token variable.
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null; 
+// The DSI engine's rules management API (publish, version history, rollback). The page signs in with
+// its App Bridge session token; the engine's admin key never reaches the browser.
+const engineUrl = typeof __dsi_engine_url !== 'undefined' ? __dsi_engine_url : 'http://localhost:3000';
 
 const colors = {
   dark: '#1e1b4b',   // Indigo 950
@@ -22,88 +35,211 @@ const colors = {
   light: '#f8fafc',   // Slate 50
 };
 
-const mockSources = [
-  'product.metafields.custom.isbn',
-  'product.metafields.custom.fabric_type',
-  'product.tags',
-  'product.vendor',
-  'review_count',
-  'average_rating',
-  'inventory_quantity',
-  'current_price'
-];
-
-const mockTargets = [
-  'identifier',
-  'material',
-  'keywords',
-  'manufacturer',
-  'review', // The complex one
-  'availability',
-  'price'
-];
-
-const mockOperators = ['>', '<', '==', '!=', 'contains', 'is empty'];
-
 const defaultMappings = [
   { 
     id: 1, 
     source: 'product.metafields.custom.isbn', 
     target: 'identifier', 
     type: 'Text', 
-    conditions: [] 
+    condition: null 
   },
   { 
     id: 2, 
     source: 'average_rating', 
-    target: 'review', 
+    target: 'aggregateRating', 
     type: 'Condition', 
-    conditions: [
-        { field: 'review_count', operator: '>', value: 5, logic: 'AND' },
-        { field: 'average_rating', operator: '>', value: 4.5, logic: 'END' }
-    ]
+    condition: { type: 'and', conditions: [
+        { type: 'comparison', field: 'review_count', operator: '>', value: 5 },
+        { type: 'comparison', field: 'average_rating', operator: '>', value: 4.5 }
+    ]}
+  },
+  { 
+    id: 3, 
+    source: 'product.tags', 
+    target: 'keywords', 
+    type: 'Text', 
+    condition: null,
+    transforms: [{ name: 'join', args: [', '] }]
+  },
+  { 
+    id: 4, 
+    source: '', 
+    target: 'name', 
+    type: 'Expression', 
+    condition: null,
+    expression: 'product.vendor + " " + product.title'
   },
 ];
 
+// Sample data maps for the Live Preview, per page type, shaped like the maps omnigraph-loader.liquid builds
+const samplePageData = {
+  product: {
+    'Top-rated, in stock': {
+      'product.title': 'OmniGraph Pro Widget',
+      'product.tags': ['featured', 'sale'],
+      'product.vendor': 'OmniGraph Labs',
+      'review_count': 42,
+      'average_rating': 4.8,
+      'current_price': 99.99,
+      'inventory_quantity': 12,
+      'product.metafields.custom.isbn': '978-3-16-148410-0',
+      'product.metafields.custom.fabric_type': 'Organic Cotton',
+      'shop.currency': 'USD',
+      'variants': [
+        { 'title': 'Small', 'sku': 'OG-PRO-S', 'barcode': '0012345678905', 'price': 89.99, 'compare_at_price': null, 'available': true, 'inventory_quantity': 5, 'inventory_management': 'shopify', 'inventory_policy': 'deny', 'options': ['Small'] },
+        { 'title': 'Large', 'sku': 'OG-PRO-L', 'barcode': '0012345678912', 'price': 99.99, 'compare_at_price': 119.99, 'available': true, 'inventory_quantity': 7, 'inventory_management': 'shopify', 'inventory_policy': 'deny', 'options': ['Large'] },
+        { 'title': 'X-Large', 'sku': 'OG-PRO-XL', 'barcode': '0012345678929', 'price': 109.99, 'compare_at_price': null, 'available': false, 'inventory_quantity': 0, 'inventory_management': 'shopify', 'inventory_policy': 'deny', 'options': ['X-Large'] }
+      ]
+    },
+    'Few reviews': {
+      'product.title': 'OmniGraph Starter Kit',
+      'product.tags': ['new'],
+      'product.vendor': 'OmniGraph Labs',
+      'review_count': 3,
+      'average_rating': 5.0,
+      'current_price': 24.5,
+      'inventory_quantity': 4,
+      'product.metafields.custom.isbn': '978-0-306-40615-7',
+      'product.metafields.custom.fabric_type': null,
+      'shop.currency': 'USD',
+      'variants': [
+        { 'title': 'Default Title', 'sku': 'OG-START', 'barcode': null, 'price': 24.5, 'compare_at_price': null, 'available': true, 'inventory_quantity': 4, 'inventory_management': 'shopify', 'inventory_policy': 'deny', 'options': ['Default Title'] }
+      ]
+    },
+    'Out of stock, no metafields': {
+      'product.title': 'OmniGraph Legacy Cable',
+      'product.tags': [],
+      'product.vendor': 'OmniGraph Labs',
+      'review_count': 0,
+      'average_rating': 0.0,
+      'current_price': 9.99,
+      'inventory_quantity': 0,
+      'product.metafields.custom.isbn': null,
+      'product.metafields.custom.fabric_type': null,
+      'shop.currency': 'USD',
+      'variants': [
+        { 'title': '1m', 'sku': 'OG-CABLE-1', 'barcode': null, 'price': 9.99, 'compare_at_price': null, 'available': false, 'inventory_quantity': 0, 'inventory_management': 'shopify', 'inventory_policy': 'deny', 'options': ['1m'] },
+        { 'title': '3m', 'sku': 'OG-CABLE-3', 'barcode': null, 'price': 14.99, 'compare_at_price': null, 'available': true, 'inventory_quantity': 0, 'inventory_management': 'shopify', 'inventory_policy': 'continue', 'options': ['3m'] }
+      ]
+    }
+  },
+  collection: {
+    'Summer collection': {
+      'collection.title': 'Summer Essentials',
+      'collection.description': 'Lightweight gear for warm days.',
+      'collection.url': 'https://example.myshopify.com/collections/summer',
+      'collection.products_count': 2,
+      'collection.products': [
+        { 'title': 'OmniGraph Pro Widget', 'url': 'https://example.myshopify.com/products/pro-widget', 'price': 99.99 },
+        { 'title': 'OmniGraph Starter Kit', 'url': 'https://example.myshopify.com/products/starter-kit', 'price': 24.5 }
+      ],
+      'breadcrumbs': [
+        { 'name': 'Home', 'url': 'https://example.myshopify.com/' },
+        { 'name': 'Summer Essentials', 'url': 'https://example.myshopify.com/collections/summer' }
+      ]
+    }
+  },
+  article: {
+    'Blog post': {
+      'article.title': 'How We Map Metafields to Schema.org',
+      'article.author': 'Nate',
+      'article.published_at': '2025-03-14T09:00:00+0000',
+      'article.updated_at': '2025-03-15T12:30:00+0000',
+      'article.image': 'https://cdn.shopify.com/s/files/article.jpg',
+      'article.excerpt': 'A walkthrough of the OmniGraph mapper.',
+      'article.url': 'https://example.myshopify.com/blogs/news/mapping-metafields',
+      'article.tags': ['seo', 'schema'],
+      'blog.title': 'News',
+      'shop.name': 'OmniGraph Demo Store'
+    }
+  },
+  home: {
+    'Storefront home': {
+      'shop.name': 'OmniGraph Demo Store',
+      'shop.url': 'https://example.myshopify.com',
+      'shop.description': 'Structured data, done right.',
+      'shop.search_url': 'https://example.myshopify.com/search?q={search_term_string}'
+    }
+  },
+  organization: {
+    'Storefront home': {
+      'shop.name': 'OmniGraph Demo Store',
+      'shop.url': 'https://example.myshopify.com',
+      'shop.logo': 'https://cdn.shopify.com/s/files/logo.png',
+      'shop.email': 'hello@example.com'
+    }
+  },
+  breadcrumbs: {
+    'Product in a collection': {
+      'breadcrumbs': [
+        { 'name': 'Home', 'url': 'https://example.myshopify.com/' },
+        { 'name': 'Summer Essentials', 'url': 'https://example.myshopify.com/collections/summer' },
+        { 'name': 'OmniGraph Pro Widget', 'url': 'https://example.myshopify.com/products/pro-widget' }
+      ]
+    }
+  },
+  faq: {
+    'Shipping FAQ': {
+      'page.title': 'Shipping FAQ',
+      'faq': [
+        { 'question': 'How long does shipping take?', 'answer': 'Orders ship within 2 business days.' },
+        { 'question': 'Do you ship internationally?', 'answer': 'Yes, to over 40 countries.' }
+      ]
+    }
+  }
+};
+
 // --- CORE LOGIC: SCHEMA GENERATION & PARSING ---
 
 // Function to generate JSON-LD from structured Mappings (Mapper -> Code)
-const generateJsonLd = (mappings) => {
-  const productSchema = {
-    "@context": "https://schema.org/",
-    "@type": "Product",
-    "name": "OmniGraph Pro Widget",
-    "description": "A fully customized, SEO-optimized product.",
-    "offers": {
-      "@type": "Offer",
-      "priceCurrency": "USD",
-      "price": "99.99"
-    }
-  };
+// Each page type starts from its own base template (Product, ItemList, BlogPosting, WebSite, ...)
+// offersMode 'single' keeps the selected variant's Offer; 'offers' / 'aggregate' expand the variants array
+const generateJsonLd = (mappings, pageType = DEFAULT_PAGE_TYPE, offersMode = 'single') => {
+  const schema = JSON.parse(JSON.stringify(PAGE_TYPES[pageType].baseTemplate));
+
+  if (schema.offers && OFFER_MODES[offersMode]) {
+    schema.offers = {
+      "_variants": "variants",
+      "_mode": offersMode,
+      "priceCurrency": schema.offers.priceCurrency
+    };
+  }
 
   mappings.forEach(mapping => {
-    let value = mapping.source ? `[${mapping.source}]` : '';
+    let value = mapping.source ? serializePlaceholder(mapping.source, mapping.transforms) : '';
+    const condition = getMappingCondition(mapping);
     
-    if (mapping.target === 'review' && mapping.type === 'Condition' && mapping.conditions.length > 0) {
-        // Build the DSI conditional rule string for backend parsing
-        const ruleString = mapping.conditions.map((c, index) => {
-            let logic = index === mapping.conditions.length - 1 ? 'END' : 'AND';
-            return `${c.field} ${c.operator} ${c.value} ${logic === 'END' ? '' : logic}`;
-        }).join(' ');
-
-        productSchema['review'] = { 
-            "@type": "AggregateRating",
-            "ratingValue_Rule": `IF (${ruleString}) THEN ${value} ELSE [NULL]`,
-        };
-        productSchema[`_comment_rule_${mapping.id}`] = `// Mapped to review with ${mapping.conditions.length} condition(s).`;
+    if (mapping.target && mapping.type === 'Condition' && condition) {
+        // Build the DSI conditional rule string with the shared rule language
+        const ruleString = serializeRule({
+            condition: condition,
+            then: mapping.source ? { type: 'source', path: mapping.source, transforms: mapping.transforms } : parseValue(mapping.thenValue || '[NULL]'),
+            else: parseValue(mapping.elseValue || '[NULL]'),
+        });
+
+        const container = RULE_CONTAINERS[mapping.target];
+        if (container) {
+            schema[mapping.target] = { 
+                "@type": container.type,
+                [`${container.property}${RULE_KEY_SUFFIX}`]: ruleString,
+                ...container.properties,
+            };
+        } else {
+            schema[`${mapping.target}${RULE_KEY_SUFFIX}`] = ruleString;
+        }
+        schema[`_comment_rule_${mapping.id}`] = `// Mapped to ${mapping.target} with ${countConditions(condition)} condition(s).`;
+
+    } else if (mapping.target && mapping.type === 'Expression' && mapping.expression) {
+      schema[`${mapping.target}${EXPR_KEY_SUFFIX}`] = mapping.expression;
+      schema[`_comment_expr_${mapping.id}`] = `// Computed via OmniGraph Node ID ${mapping.id}`;
 
     } else if (mapping.target && mapping.source) {
-      productSchema[mapping.target] = value;
-      productSchema[`_comment_id_${mapping.id}`] = `// Mapped via OmniGraph Node ID ${mapping.id}`;
+      schema[mapping.target] = value;
+      schema[`_comment_id_${mapping.id}`] = `// Mapped via OmniGraph Node ID ${mapping.id}`;
     }
   });
 
-  return JSON.stringify(productSchema, null, 2);
+  return JSON.stringify(schema, null, 2);
 };
 
 // Function to parse raw JSON-LD back into structured Mappings (Code -> Mapper)
@@ -114,65 +250,66 @@ const parseJsonToMappings = (jsonString) => {
     try {
         const json = JSON.parse(jsonString);
         
+        // Converts a DSI rule string back into a conditional mapping row
+        const ruleToMapping = (target, ruleString) => {
+            const rule = parseRule(ruleString);
+            const mapping = {
+                id: nextId++,
+                source: rule.then.type === 'source' ? rule.then.path : '',
+                target: target,
+                type: 'Condition',
+                condition: rule.condition,
+                elseValue: serializeValue(rule.else),
+                transforms: (rule.then.type === 'source' && rule.then.transforms) || []
+            };
+            if (rule.then.type !== 'source') mapping.thenValue = serializeValue(rule.then);
+            return mapping;
+        };
+
         for (const key in json) {
             if (key.startsWith('@') || key.startsWith('_comment')) continue;
 
             const value = json[key];
 
-            // 1. Check for Standard Mapping (Placeholder Value)
+            // 1. Check for Conditional Mapping on the property itself (e.g. "availability_Rule")
+            if (key.endsWith(RULE_KEY_SUFFIX) && typeof value === 'string') {
+                newMappings.push(ruleToMapping(key.slice(0, -RULE_KEY_SUFFIX.length), value));
+                continue;
+            }
+
+            // 1b. Check for Computed Expression on the property itself (e.g. "name_Expr")
+            if (key.endsWith(EXPR_KEY_SUFFIX) && typeof value === 'string') {
+                newMappings.push({
+                    id: nextId++,
+                    source: '',
+                    target: key.slice(0, -EXPR_KEY_SUFFIX.length),
+                    type: 'Expression',
+                    condition: null,
+                    expression: value
+                });
+                continue;
+            }
+
+            // 2. Check for Conditional Mapping inside a wrapper object (e.g. aggregateRating.ratingValue_Rule)
+            const container = RULE_CONTAINERS[key];
+            const containerRuleKey = container && `${container.property}${RULE_KEY_SUFFIX}`;
+            if (container && value && typeof value === 'object' && typeof value[containerRuleKey] === 'string') {
+                newMappings.push(ruleToMapping(key, value[containerRuleKey]));
+                continue;
+            }
+
+            // 3. Check for Standard Mapping (Placeholder Value, with optional transforms)
             if (typeof value === 'string' && value.startsWith('[') && value.endsWith(']')) {
-                const source = value.slice(1, -1);
-                
-                // Skip if this target is handled by conditional logic
-                if (key === 'review' && typeof json['review'] === 'object' && json['review'].ratingValue_Rule) continue;
-                
+                const { path, transforms } = parsePlaceholder(value.slice(1, -1));
                 newMappings.push({
                     id: nextId++,
-                    source: source,
+                    source: path,
                     target: key,
                     type: 'Text',
-                    conditions: []
+                    condition: null,
+                    transforms: transforms
                 });
             }
-
-            // 2. Check for Conditional Mapping (Specific Structure: 'review')
-            if (key === 'review' && typeof value === 'object' && value.ratingValue_Rule) {
-                const ruleString = value.ratingValue_Rule;
-                const match = ruleString.match(/IF \((.*?)\) THEN \[(.*?)\] ELSE \[NULL\]/);
-                
-                if (match) {
-                    const conditionBlock = match[1]; // e.g., "review_count > 5 AND average_rating > 4.5"
-                    const source = match[2];
-                    
-                    // Split the condition block into individual rules
-                    const ruleRegex = /(.*?)\s*(\>|\<\=\=|\!\=\contains|\is empty)\s*(.*?)\s*(AND|OR|$)/g;
-                    let conditions = [];
-                    let ruleMatch;
-
-                    while ((ruleMatch = ruleRegex.exec(conditionBlock)) !== null) {
-                        const [fullMatch, field, operator, val, logic] = ruleMatch;
-
-                        if (field && operator) {
-                             conditions.push({
-                                field: field.trim(),
-                                operator: operator.trim(),
-                                value: val ? val.trim() : '',
-                                logic: logic ? logic.trim().toUpperCase() : 'END'
-                            });
-                        }
-                    }
-                    // Fix the logic on the last rule
-                    if (conditions.length > 0) conditions[conditions.length - 1].logic = 'END';
-
-                    newMappings.push({
-                        id: nextId++,
-                        source: source,
-                        target: key,
-                        type: 'Condition',
-                        conditions: conditions
-                    });
-                }
-            }
         }
         
         // Use default mappings if parsing resulted in an empty array but the JSON wasn't empty
@@ -190,122 +327,207 @@ const parseJsonToMappings = (jsonString) => {
     return newMappings.length > 0 ? newMappings : false;
 }
 
-// --- MODAL COMPONENTS (Unchanged from v2) ---
+// --- MODAL COMPONENTS ---
 
-const RuleModal = ({ mapping, onSave, onClose }) => {
-    const [rules, setRules] = useState(mapping.conditions || []);
+const newComparison = (sources) => ({ type: 'comparison', field: sources[0] || '', operator: OPERATORS[0], value: '' });
 
-    const addRule = () => {
-        // Ensure the previous rule is NOT 'END' before adding a new one
-        const newRules = [...rules];
-        if (newRules.length > 0) {
-            newRules[newRules.length - 1].logic = 'AND'; // Force previous to AND
-        }
-
-        setRules([...newRules, { 
-            field: mockSources[0], 
-            operator: mockOperators[0], 
-            value: '', 
-            logic: 'END' // New rule is always END until another one is added
-        }]);
-    };
-    
-    const updateRule = (index, field, value) => {
-        const newRules = rules.map((rule, i) => {
-            if (i === index) {
-                return { ...rule, [field]: value };
-            }
-            return rule;
-        });
-        setRules(newRules);
+// Immutable helpers for editing the condition tree by index path (e.g. [1, 0] = first child of second child)
+const updateNodeAtPath = (node, path, updater) => {
+    if (path.length === 0) return updater(node);
+    const [index, ...rest] = path;
+    return {
+        ...node,
+        conditions: node.conditions.map((child, i) => i === index ? updateNodeAtPath(child, rest, updater) : child)
     };
+};
+
+const removeNodeAtPath = (node, path) => updateNodeAtPath(node, path.slice(0, -1), parent => ({
+    ...parent,
+    conditions: parent.conditions.filter((_, i) => i !== path[path.length - 1])
+}));
+
+const NotToggle = ({ negate, onToggle }) => (
+    <button
+        onClick={onToggle}
+        className={`px-2 py-1 text-xs font-bold rounded ${negate ? 'bg-brand-hot text-white' : 'bg-slate-200 text-slate-500'}`}
+        aria-label="Toggle NOT"
+    >
+        NOT
+    </button>
+);
+
+const ConditionRow = ({ node, path, sources, onUpdate, onRemove }) => {
+    const update = (field, value) => onUpdate(path, current => ({ ...current, [field]: value }));
+
+    return (
+        <div className="flex items-center space-x-3 bg-white p-3 rounded-lg border border-slate-200">
+            <NotToggle negate={!!node.negate} onToggle={() => update('negate', !node.negate)} />
+
+            {/* Field */}
+            <select
+                value={node.field}
+                onChange={(e) => update('field', e.target.value)}
+                className="flex-1 border border-slate-300 rounded-md p-2 text-sm"
+            >
+                <option value="">Select Field</option>
+                {sources.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+
+            {/* Operator */}
+            <select
+                value={node.operator}
+                onChange={(e) => update('operator', e.target.value)}
+                className="w-32 border border-slate-300 rounded-md p-2 text-sm"
+            >
+                {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+            </select>
+
+            {/* Value (hidden for unary operators like 'is empty') */}
+            {UNARY_OPERATORS.includes(node.operator) ? (
+                <div className="w-28" />
+            ) : (
+                <input
+                    type="text"
+                    value={Array.isArray(node.value) ? node.value.join(', ') : (node.value === undefined ? '' : node.value)}
+                    onChange={(e) => update('value', e.target.value)}
+                    placeholder={LIST_OPERATORS.includes(node.operator) ? 'a, b, c' : 'Enter value...'}
+                    className="w-28 border border-slate-300 rounded-md p-2 text-sm"
+                />
+            )}
+
+            {/* Delete */}
+            <button onClick={() => onRemove(path)} className="p-2 text-red-500 hover:text-red-700">
+                <Trash2 size={18} />
+            </button>
+        </div>
+    );
+};
 
-    const deleteRule = (index) => {
-        let newRules = rules.filter((_, i) => i !== index);
-        if (newRules.length > 0) {
-            // Ensure the new last rule is marked as END
-            newRules[newRules.length - 1].logic = 'END';
+const ConditionGroup = ({ node, path, sources, onUpdate, onRemove }) => {
+    const isRoot = path.length === 0;
+    const addChild = (child) => onUpdate(path, current => ({ ...current, conditions: [...current.conditions, child] }));
+
+    return (
+        <div className={`space-y-3 p-3 rounded-lg border ${isRoot ? 'bg-slate-50 border-slate-200' : 'bg-slate-100 border-brand-accent/40'}`}>
+            <div className="flex items-center space-x-3">
+                <div className="font-bold text-slate-800">{isRoot ? 'IF' : 'GROUP'}</div>
+                <NotToggle negate={!!node.negate} onToggle={() => onUpdate(path, current => ({ ...current, negate: !current.negate }))} />
+                <select
+                    value={node.type}
+                    onChange={(e) => onUpdate(path, current => ({ ...current, type: e.target.value }))}
+                    className="border border-slate-300 rounded-md p-1 text-sm"
+                >
+                    <option value="and">ALL of (AND)</option>
+                    <option value="or">ANY of (OR)</option>
+                </select>
+                <div className="flex-1" />
+                {!isRoot && (
+                    <button onClick={() => onRemove(path)} className="p-1 text-red-500 hover:text-red-700" aria-label="Delete group">
+                        <Trash2 size={16} />
+                    </button>
+                )}
+            </div>
+
+            {node.conditions.map((child, index) => (
+                child.type === 'comparison' ? (
+                    <ConditionRow key={index} node={child} path={[...path, index]} sources={sources} onUpdate={onUpdate} onRemove={onRemove} />
+                ) : (
+                    <ConditionGroup key={index} node={child} path={[...path, index]} sources={sources} onUpdate={onUpdate} onRemove={onRemove} />
+                )
+            ))}
+
+            <div className="flex space-x-4">
+                <button
+                    onClick={() => addChild(newComparison(sources))}
+                    className="flex items-center text-sm font-medium text-brand-accent hover:text-brand-primary transition"
+                >
+                    <Plus size={16} className="mr-1" /> Condition
+                </button>
+                <button
+                    onClick={() => addChild({ type: node.type === 'and' ? 'or' : 'and', conditions: [newComparison(sources)] })}
+                    className="flex items-center text-sm font-medium text-brand-accent hover:text-brand-primary transition"
+                >
+                    <Plus size={16} className="mr-1" /> Group
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const RuleModal = ({ mapping, sources, onSave, onClose }) => {
+    // The root of the editor is always a group, so single comparisons are wrapped
+    const [tree, setTree] = useState(() => {
+        const condition = getMappingCondition(mapping);
+        if (!condition) return { type: 'and', conditions: [newComparison(sources)] };
+        return condition.type === 'comparison' ? { type: 'and', conditions: [condition] } : condition;
+    });
+    const [elseValue, setElseValue] = useState(mapping.elseValue || '[NULL]');
+    const [elseError, setElseError] = useState(null);
+
+    const updateNode = (path, updater) => setTree(current => updateNodeAtPath(current, path, updater));
+    const removeNode = (path) => setTree(current => removeNodeAtPath(current, path));
+
+    const normalizedCondition = useMemo(() => normalizeCondition(tree), [tree]);
+
+    const updateElseValue = (value) => {
+        setElseValue(value);
+        try {
+            parseValue(value);
+            setElseError(null);
+        } catch (e) {
+            setElseError(e.message);
         }
-        setRules(newRules);
     };
 
     const handleSave = () => {
-        onSave(mapping.id, rules);
+        if (elseError) return;
+        onSave(mapping.id, normalizedCondition, elseValue);
         onClose();
     };
 
-    // Initialize default if rules are empty
-    useEffect(() => {
-        if (rules.length === 0) {
-            setRules([{ field: mockSources[0], operator: mockOperators[0], value: '', logic: 'END' }]);
-        }
-    }, []);
-
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 transform transition-all duration-300 scale-100">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl p-6 transform transition-all duration-300 scale-100">
                 <h3 className="text-2xl font-bold text-brand-primary mb-4 flex items-center">
                     <Zap size={24} className="mr-2" />
                     Conditional Logic Editor
                 </h3>
                 <p className="text-slate-600 mb-6">Define the specific criteria that must be met to trigger the injection of the **`{mapping.target}`** schema property.</p>
 
-                <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
-                    {rules.map((rule, index) => (
-                        <div key={index} className="flex items-center space-x-3 bg-slate-50 p-3 rounded-lg border border-slate-200">
-                            {/* IF / AND / OR */}
-                            <div className="w-16 font-bold text-slate-800" style={{ minWidth: '4rem' }}>
-                                {index === 0 ? 'IF' : rule.logic}
-                            </div>
-                            
-                            {/* Field */}
-                            <select
-                                value={rule.field}
-                                onChange={(e) => updateRule(index, 'field', e.target.value)}
-                                className="flex-1 border border-slate-300 rounded-md p-2 text-sm"
-                            >
-                                <option value="">Select Field</option>
-                                {mockSources.map(s => <option key={s} value={s}>{s}</option>)}
-                            </select>
-
-                            {/* Operator */}
-                            <select
-                                value={rule.operator}
-                                onChange={(e) => updateRule(index, 'operator', e.target.value)}
-                                className="w-24 border border-slate-300 rounded-md p-2 text-sm"
-                            >
-                                {mockOperators.map(op => <option key={op} value={op}>{op}</option>)}
-                            </select>
-
-                            {/* Value */}
-                            <input
-                                type="text"
-                                value={rule.value}
-                                onChange={(e) => updateRule(index, 'value', e.target.value)}
-                                placeholder="Enter value..."
-                                className="w-28 border border-slate-300 rounded-md p-2 text-sm"
-                            />
-                            
-                            {/* Delete */}
-                            <button onClick={() => deleteRule(index)} className="p-2 text-red-500 hover:text-red-700">
-                                <Trash2 size={18} />
-                            </button>
-                        </div>
-                    ))}
+                <div className="max-h-96 overflow-y-auto pr-2">
+                    <ConditionGroup node={tree} path={[]} sources={sources} onUpdate={updateNode} onRemove={removeNode} />
                 </div>
 
-                <div className="flex justify-between items-center mt-6 pt-4 border-t border-slate-200">
-                    <button
-                        onClick={addRule}
-                        className="flex items-center text-sm font-medium text-brand-accent hover:text-brand-primary transition"
-                    >
-                        <Plus size={18} className="mr-1" /> Add New Condition
-                    </button>
+                {/* Rule preview, exactly as it will be serialized into the template */}
+                <pre className="mt-4 p-3 bg-slate-900 text-brand-accent font-mono text-xs rounded-lg whitespace-pre-wrap">
+                    {normalizedCondition ? `IF (${serializeCondition(normalizedCondition)})` : 'No conditions: the mapping will be unconditional.'}
+                </pre>
+
+                {/* THEN / ELSE */}
+                <div className="mt-4 space-y-2">
+                    <div className="flex items-center space-x-3 bg-slate-50 p-3 rounded-lg border border-slate-200">
+                        <div className="w-16 font-bold text-slate-800" style={{ minWidth: '4rem' }}>THEN</div>
+                        <code className="flex-1 text-sm text-brand-primary">[{mapping.source}]</code>
+                    </div>
+                    <div className="flex items-center space-x-3 bg-slate-50 p-3 rounded-lg border border-slate-200">
+                        <div className="w-16 font-bold text-slate-800" style={{ minWidth: '4rem' }}>ELSE</div>
+                        <input
+                            type="text"
+                            value={elseValue}
+                            onChange={(e) => updateElseValue(e.target.value)}
+                            placeholder="[NULL], [source.path] or 'literal'"
+                            className={`flex-1 border rounded-md p-2 text-sm font-mono ${elseError ? 'border-red-500' : 'border-slate-300'}`}
+                        />
+                    </div>
+                    {elseError && <p className="text-xs text-red-500">{elseError}</p>}
+                </div>
+
+                <div className="flex justify-end items-center mt-6 pt-4 border-t border-slate-200">
                     <div className="space-x-3">
                         <button onClick={onClose} className="py-2 px-4 text-slate-600 hover:bg-slate-100 rounded-lg">
                             Cancel
                         </button>
-                        <button onClick={handleSave} className="py-2 px-4 bg-brand-primary text-white font-semibold rounded-lg hover:bg-brand-primary/90">
+                        <button onClick={handleSave} disabled={!!elseError} className="py-2 px-4 bg-brand-primary text-white font-semibold rounded-lg hover:bg-brand-primary/90">
                             Apply Rules
                         </button>
                     </div>
@@ -315,9 +537,135 @@ const RuleModal = ({ mapping, onSave, onClose }) => {
     );
 };
 
+// Page-type selector: each storefront page type has its own template in the rule store.
+// Not mounted yet (no mapper view in this file): the view renders it above NodeMapper with
+// <PageTypeSelector pageType={...} setPageType={...} disabled={saveStatus === 'Saving...'} />.
+const PageTypeSelector = ({ pageType, setPageType, disabled }) => (
+  <div className="flex items-center space-x-3 bg-white p-3 rounded-xl shadow-md">
+    <Settings size={18} className="text-brand-primary" />
+    <label htmlFor="omnigraph-page-type" className="text-sm font-medium text-slate-600">Page Type</label>
+    <select
+      id="omnigraph-page-type"
+      value={pageType}
+      onChange={(e) => setPageType(e.target.value)}
+      disabled={disabled}
+      className="flex-1 border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-accent focus:border-brand-accent"
+    >
+      {Object.entries(PAGE_TYPES).map(([key, definition]) => (
+        <option key={key} value={key}>{definition.isPartial ? `${definition.label} (shared block)` : definition.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+// Expression field for computed mappings, e.g. `product.vendor + " " + product.title`.
+// Validated as the merchant types; committed on blur because NodeMapper re-creates its rows.
+const ExpressionInput = ({ expression = '', sources, onCommit }) => {
+  const [text, setText] = useState(expression);
+
+  const issue = useMemo(() => {
+    if (!text.trim()) return { level: 'error', message: 'Enter an expression' };
+    try {
+      const unknown = expressionSources(text).filter(path => !sources.some(source => path === source || path.startsWith(`${source}.`) || path.startsWith(`${source}[`)));
+      return unknown.length > 0 ? { level: 'warning', message: `Not a source on this page type: ${unknown.join(', ')}` } : null;
+    } catch (e) {
+      return { level: 'error', message: e.message };
+    }
+  }, [text, sources]);
+
+  return (
+    <div>
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => onCommit(text)}
+        placeholder='product.vendor + " " + product.title'
+        title={`Functions: ${Object.keys(FUNCTIONS).join(', ')}`}
+        className={`w-full border rounded-md p-2 text-sm font-mono ${issue && issue.level === 'error' ? 'border-red-400' : 'border-slate-300'}`}
+        aria-label="Computed expression"
+      />
+      {issue && (
+        <div className={`text-xs mt-1 ${issue.level === 'error' ? 'text-red-600' : 'text-yellow-700'}`}>{issue.message}</div>
+      )}
+    </div>
+  );
+};
+
+// Transform pipeline for one mapping row: Liquid-style filters applied in order (see transforms.js).
+// Arguments are committed on blur because NodeMapper re-creates its rows on every change.
+const TransformPipeline = ({ transforms = [], onChange }) => {
+  const [argError, setArgError] = useState(null);
+
+  const updateStep = (index, step) => onChange(transforms.map((current, i) => i === index ? step : current));
+  const removeStep = (index) => onChange(transforms.filter((_, i) => i !== index));
+  const moveUp = (index) => {
+    if (index === 0) return;
+    const reordered = [...transforms];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    onChange(reordered);
+  };
+
+  const commitArgs = (index, text) => {
+    try {
+      const step = { ...transforms[index], args: parseTransformArgs(text) };
+      const problem = checkTransform(step);
+      if (problem) return setArgError(problem);
+      updateStep(index, step);
+      setArgError(null);
+    } catch (e) {
+      setArgError(e.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pl-2">
+      <span className="text-xs font-medium text-slate-500">Transforms</span>
+      {transforms.map((step, index) => (
+        <div key={index} className="flex items-center space-x-1 bg-slate-50 border border-slate-200 rounded-md px-2 py-1">
+          {index > 0 && <span className="text-xs text-slate-400">|</span>}
+          <select
+            value={step.name}
+            onChange={(e) => updateStep(index, { name: e.target.value, args: [] })}
+            className="border border-slate-300 rounded p-1 text-xs"
+          >
+            {Object.entries(TRANSFORMS).map(([name, transform]) => (
+              <option key={name} value={name}>{transform.label}</option>
+            ))}
+          </select>
+          {TRANSFORMS[step.name].args.length > 0 && (
+            <input
+              type="text"
+              defaultValue={serializeTransformArgs(step.args)}
+              onBlur={(e) => commitArgs(index, e.target.value)}
+              placeholder={TRANSFORMS[step.name].args.join(', ')}
+              className="w-40 border border-slate-300 rounded p-1 text-xs font-mono"
+            />
+          )}
+          {index > 0 && (
+            <button onClick={() => moveUp(index)} className="text-xs text-slate-500 hover:text-brand-primary" aria-label="Move transform up">
+              ↑
+            </button>
+          )}
+          <button onClick={() => removeStep(index)} className="text-red-500 hover:text-red-700" aria-label="Remove transform">
+            <XCircle size={14} />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...transforms, { name: 'default', args: [] }])}
+        className="flex items-center text-xs text-brand-primary hover:text-brand-accent"
+      >
+        <Plus size={14} className="mr-1" /> Transform
+      </button>
+      {argError && <span className="text-xs text-red-600">{argError}</span>}
+    </div>
+  );
+};
 
 // 1. Node Mapper Component (The visual rule builder)
-const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
+const NodeMapper = ({ mappings, setMappings, saveStatus, pageType = DEFAULT_PAGE_TYPE, offersMode = 'single', setOffersMode }) => {
+  const { sources, targets } = PAGE_TYPES[pageType];
   const [nextId, setNextId] = useState(mappings.length > 0 ? Math.max(...mappings.map(m => m.id)) + 1 : 1);
   const [modalMapping, setModalMapping] = useState(null); // State to hold mapping being edited in modal
 
@@ -335,7 +683,8 @@ const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
       source: '',
       target: '',
       type: 'Text',
-      conditions: [] // Initialize with empty conditions
+      condition: null, // Initialize without a condition tree
+      transforms: []
     }]);
     setNextId(nextId + 1);
   };
@@ -344,79 +693,129 @@ const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
     setMappings(mappings.map(m => m.id === id ? { ...m, [field]: value } : m));
   };
   
-  const updateConditions = (id, newConditions) => {
-      setMappings(mappings.map(m => m.id === id ? { ...m, conditions: newConditions, type: 'Condition' } : m));
+  const updateCondition = (id, condition, elseValue) => {
+      setMappings(mappings.map(m => {
+          if (m.id !== id) return m;
+          // Drop the legacy flat `conditions` list once the tree has been edited
+          const { conditions, ...rest } = m;
+          return condition
+              ? { ...rest, condition, elseValue, type: 'Condition' }
+              : { ...rest, condition: null, type: 'Text' };
+      }));
   };
 
 
+  // Switches a row between a single source and a computed expression (seeded from the source)
+  const toggleExpression = (mapping) => {
+    setMappings(mappings.map(m => {
+      if (m.id !== mapping.id) return m;
+      if (m.type === 'Expression') {
+        const { expression, ...rest } = m;
+        return { ...rest, type: 'Text' };
+      }
+      const { conditions, ...rest } = m;
+      return { ...rest, type: 'Expression', condition: null, expression: m.source || '', source: '' };
+    }));
+  };
+
   const deleteMapping = (id) => {
     setMappings(mappings.filter(m => m.id !== id));
   };
 
   const MappingRow = ({ mapping }) => (
-    <div className="flex items-center space-x-4 bg-white p-4 rounded-lg shadow-sm border border-slate-100 transition duration-150 ease-in-out hover:shadow-md">
-      {/* Source Selector (Input) */}
-      <div className="flex-1">
-        <label className="block text-xs font-medium text-slate-500 mb-1">Shopify Source</label>
-        <select
-          value={mapping.source}
-          onChange={(e) => updateMapping(mapping.id, 'source', e.target.value)}
-          className="w-full border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-accent focus:border-brand-accent"
-        >
-          <option value="">Select Metafield/Data Source</option>
-          {mockSources.map(s => <option key={s} value={s}>{s}</option>)}
-        </select>
-      </div>
+    <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-100 transition duration-150 ease-in-out hover:shadow-md space-y-3">
+      <div className="flex items-center space-x-4">
+        {/* Source Selector (Input), or an expression combining several sources */}
+        <div className="flex-1">
+          <label className="block text-xs font-medium text-slate-500 mb-1">
+            {mapping.type === 'Expression' ? 'Computed Expression' : 'Shopify Source'}
+          </label>
+          {mapping.type === 'Expression' ? (
+            <ExpressionInput
+              expression={mapping.expression}
+              sources={sources}
+              onCommit={(expression) => updateMapping(mapping.id, 'expression', expression)}
+            />
+          ) : (
+            <select
+              value={mapping.source}
+              onChange={(e) => updateMapping(mapping.id, 'source', e.target.value)}
+              className="w-full border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-accent focus:border-brand-accent"
+            >
+              <option value="">Select Metafield/Data Source</option>
+              {sources.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          )}
+        </div>
 
-      {/* Logic/Type */}
-      <div className="w-24 text-center">
-        <label className="block text-xs font-medium text-slate-500 mb-1">Logic</label>
-        <div className={`p-2 text-xs font-bold rounded-full flex items-center justify-center 
-            ${mapping.conditions.length > 0 ? 'text-brand-hot bg-brand-hot/10' : 'text-brand-primary bg-brand-primary/10'}`}
+        {/* Expression Toggle */}
+        <button
+          onClick={() => toggleExpression(mapping)}
+          className={`px-2 py-1 text-xs font-bold rounded ${mapping.type === 'Expression' ? 'bg-brand-accent text-white' : 'bg-slate-200 text-slate-500'}`}
+          aria-label="Toggle computed expression"
+          title="Compute the value from an expression"
         >
-            {mapping.conditions.length > 0 ? 'CONDITIONAL' : mapping.type.toUpperCase()}
+          ƒx
+        </button>
+
+        {/* Logic/Type */}
+        <div className="w-24 text-center">
+          <label className="block text-xs font-medium text-slate-500 mb-1">Logic</label>
+          <div className={`p-2 text-xs font-bold rounded-full flex items-center justify-center 
+              ${getMappingCondition(mapping) ? 'text-brand-hot bg-brand-hot/10' : 'text-brand-primary bg-brand-primary/10'}`}
+          >
+              {getMappingCondition(mapping) ? 'CONDITIONAL' : mapping.type.toUpperCase()}
+          </div>
         </div>
-      </div>
       
-      {/* Connector Icon */}
-      <div className="w-8 text-center text-brand-accent">
-        <GitBranch size={20} />
-      </div>
+        {/* Connector Icon */}
+        <div className="w-8 text-center text-brand-accent">
+          <GitBranch size={20} />
+        </div>
 
-      {/* Target Selector (Output) */}
-      <div className="flex-1">
-        <label className="block text-xs font-medium text-slate-500 mb-1">Schema.org Target</label>
-        <select
-          value={mapping.target}
-          onChange={(e) => updateMapping(mapping.id, 'target', e.target.value)}
-          className="w-full border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-hot focus:border-brand-hot"
-        >
-          <option value="">Select Schema Property</option>
-          {mockTargets.map(t => (
-            <option key={t} value={t}>{t}</option>
-          ))}
-        </select>
-      </div>
+        {/* Target Selector (Output) */}
+        <div className="flex-1">
+          <label className="block text-xs font-medium text-slate-500 mb-1">Schema.org Target</label>
+          <select
+            value={mapping.target}
+            onChange={(e) => updateMapping(mapping.id, 'target', e.target.value)}
+            className="w-full border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-hot focus:border-brand-hot"
+          >
+            <option value="">Select Schema Property</option>
+            {targets.map(t => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+        </div>
       
-      {/* Conditional Editor Button */}
-      {mapping.target && mapping.source && (
-        <button 
-            onClick={() => setModalMapping(mapping)}
-            className="p-2 text-brand-primary hover:text-brand-accent transition duration-150"
-            aria-label="Edit conditional rules"
+        {/* Conditional Editor Button */}
+        {mapping.target && mapping.source && (
+          <button 
+              onClick={() => setModalMapping(mapping)}
+              className="p-2 text-brand-primary hover:text-brand-accent transition duration-150"
+              aria-label="Edit conditional rules"
+          >
+              <Code size={20} />
+          </button>
+        )}
+
+        {/* Delete Button */}
+        <button
+          onClick={() => deleteMapping(mapping.id)}
+          className="p-2 text-red-500 hover:text-red-700 transition duration-150"
+          aria-label="Delete mapping"
         >
-            <Code size={20} />
+          <Trash2 size={20} />
         </button>
-      )}
+      </div>
 
-      {/* Delete Button */}
-      <button
-        onClick={() => deleteMapping(mapping.id)}
-        className="p-2 text-red-500 hover:text-red-700 transition duration-150"
-        aria-label="Delete mapping"
-      >
-        <Trash2 size={20} />
-      </button>
+      {/* Value transforms (applied to the source value before it reaches the target) */}
+      {mapping.source && (
+        <TransformPipeline
+          transforms={mapping.transforms}
+          onChange={(transforms) => updateMapping(mapping.id, 'transforms', transforms)}
+        />
+      )}
     </div>
   );
 
@@ -429,6 +828,24 @@ const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
       <div className="text-sm text-slate-500 mb-4">
           Define custom rules by mapping Shopify data fields to Schema.org properties.
       </div>
+
+      {/* Offers: selected variant only, or generated from every variant */}
+      {setOffersMode && PAGE_TYPES[pageType].baseTemplate.offers && (
+        <div className="flex items-center space-x-3 mb-4 p-3 bg-slate-50 rounded-lg border border-slate-200">
+          <label htmlFor="omnigraph-offers-mode" className="text-xs font-medium text-slate-500">Offers</label>
+          <select
+            id="omnigraph-offers-mode"
+            value={offersMode}
+            onChange={(e) => setOffersMode(e.target.value)}
+            className="flex-1 border border-slate-300 rounded-md p-2 text-sm focus:ring-brand-accent focus:border-brand-accent"
+          >
+            <option value="single">Single Offer (selected variant)</option>
+            {Object.entries(OFFER_MODES).map(([mode, definition]) => (
+              <option key={mode} value={mode}>{definition.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
       
       <div className="space-y-4 overflow-y-auto flex-grow pr-2">
         {mappings.map(mapping => (
@@ -454,7 +871,8 @@ const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
       {modalMapping && (
           <RuleModal 
               mapping={modalMapping} 
-              onSave={(id, conditions) => updateConditions(id, conditions)}
+              sources={sources}
+              onSave={(id, condition, elseValue) => updateCondition(id, condition, elseValue)}
               onClose={() => setModalMapping(null)}
           />
       )}
@@ -462,16 +880,473 @@ const NodeMapper = ({ mappings, setMappings, saveStatus }) => {
   );
 };
 
+// Inline list of Zero-Error Agent findings, keyed by JSON path
+const ValidationIssues = ({ validation }) => (
+  <div className="space-y-1 mb-3 text-xs max-h-32 overflow-y-auto">
+    {validation.errors.map(({ path, message }, index) => (
+      <div key={`error-${index}`} className="flex items-start text-red-400">
+        <XCircle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+        <span><code className="text-red-300">{path}</code> {message}</span>
+      </div>
+    ))}
+    {validation.warnings.map(({ path, message }, index) => (
+      <div key={`warning-${index}`} className="flex items-start text-amber-400">
+        <Zap size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+        <span><code className="text-amber-300">{path}</code> {message}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// 3. Live Preview Panel (to sit next to the Bi-Directional Schema Editor)
+// Runs the shared DSI processor (the same code server.js serves) against a sample productData map.
+// Not mounted yet: the mapper view (the root App component) is not part of this file. It renders
+// <PreviewPanel jsonLdOutput={...} mappings={...} pageType={...} /> from the editor's own state.
+const PreviewPanel = ({ jsonLdOutput, mappings, pageType = DEFAULT_PAGE_TYPE }) => {
+  const samples = samplePageData[pageType] || {};
+  const sampleNames = Object.keys(samples);
+  const [selectedSample, setSelectedSample] = useState(sampleNames[0]);
+  const [sampleText, setSampleText] = useState(JSON.stringify(samples[sampleNames[0]] || {}, null, 2));
+
+  const selectSample = (name) => {
+    setSelectedSample(name);
+    if (samples[name]) {
+      setSampleText(JSON.stringify(samples[name], null, 2));
+    }
+  };
+
+  // Switching page type loads that type's first sample
+  useEffect(() => {
+    selectSample(sampleNames[0] || 'custom');
+  }, [pageType]);
+
+  const preview = useMemo(() => {
+    let productData;
+    try {
+      productData = JSON.parse(sampleText);
+    } catch (e) {
+      return { error: `Sample productData is not valid JSON: ${e.message}` };
+    }
+    try {
+      return traceDsiSchema(productData, { jsonLdTemplate: jsonLdOutput, mappings });
+    } catch (e) {
+      return { error: `Template could not be processed: ${e.message}` };
+    }
+  }, [jsonLdOutput, mappings, sampleText]);
+
+  // Rules are keyed by JSON path; the first segment is the mapping target (e.g. 'aggregateRating.ratingValue' -> 'aggregateRating')
+  const mappingForPath = (path) => mappings.find(m => m.target === path.split('.')[0]);
+
+  return (
+    <div className="bg-brand-dark rounded-xl shadow-2xl p-6 h-full flex flex-col">
+      <h2 className="text-xl font-bold text-white flex items-center mb-4 pb-2 border-b border-brand-primary">
+        <Eye size={20} className="mr-2 text-brand-accent" />
+        Live Preview
+      </h2>
+
+      <div className="flex items-center space-x-3 mb-3 text-sm">
+        <span className="text-slate-300">Sample product:</span>
+        <select
+          value={selectedSample}
+          onChange={(e) => selectSample(e.target.value)}
+          className="flex-1 bg-slate-900 text-slate-200 border border-slate-600 rounded-md p-1 text-sm"
+        >
+          {sampleNames.map(name => <option key={name} value={name}>{name}</option>)}
+          <option value="custom">Custom (pasted)</option>
+        </select>
+      </div>
+
+      <textarea
+        className="bg-slate-900 text-slate-300 font-mono text-xs p-3 rounded-lg resize-none focus:outline-none border-2 border-transparent mb-3"
+        value={sampleText}
+        onChange={(e) => { setSampleText(e.target.value); setSelectedSample('custom'); }}
+        style={{ minHeight: '140px' }}
+        aria-label="Sample productData"
+      />
+
+      {preview.error ? (
+        <div className="text-red-400 text-xs flex items-center mb-3">
+          <XCircle size={14} className="mr-1" /> {preview.error}
+        </div>
+      ) : (
+        <>
+          <div className="space-y-1 mb-3 text-xs">
+            {preview.rules.map(({ path, isMet, expression, value }) => {
+              const mapping = mappingForPath(path);
+              const isExpression = expression !== undefined;
+              return (
+                <div key={path} className="flex items-center space-x-2">
+                  {isExpression ? (
+                    <span className="px-2 py-0.5 rounded-full font-bold bg-brand-accent/20 text-brand-accent">ƒx</span>
+                  ) : (
+                    <span className={`px-2 py-0.5 rounded-full font-bold ${isMet ? 'bg-green-500/20 text-green-400' : 'bg-brand-hot/20 text-brand-hot'}`}>
+                      {isMet ? 'FIRED' : 'ELSE'}
+                    </span>
+                  )}
+                  <span className="text-slate-300">
+                    {mapping ? `Node ${mapping.id}` : (isExpression ? 'Expression' : 'Rule')} → <code>{path}</code>
+                    {value === null ? ' (dropped)' : ` = ${JSON.stringify(value)}`}
+                  </span>
+                </div>
+              );
+            })}
+            {preview.dropped.map(({ path, reason }) => (
+              <div key={`dropped-${path}`} className="flex items-center space-x-2">
+                <span className="px-2 py-0.5 rounded-full font-bold bg-slate-600/40 text-slate-300">DROPPED</span>
+                <span className="text-slate-400"><code>{path}</code>: {reason}</span>
+              </div>
+            ))}
+          </div>
+
+          <ValidationIssues validation={validateSchema(preview.schema, { mode: 'output' })} />
+
+          <pre className="flex-grow bg-slate-900 text-brand-accent font-mono text-xs p-4 rounded-lg overflow-auto" style={{ minHeight: '200px' }}>
+            {preview.schema}
+          </pre>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- DSI ENGINE API ---
+
+// Renewed this long before it expires, so no request goes out with a session about to lapse
+const SESSION_RENEW_MS = 60000;
+let adminSession = null; // { token, shop, expiresAt }
+
+// An admin session for this shop: the engine trades App Bridge's Shopify session token for it.
+const getAdminToken = async () => {
+  if (adminSession && Date.parse(adminSession.expiresAt) - Date.now() > SESSION_RENEW_MS) return adminSession.token;
+  if (!window.shopify || !window.shopify.idToken) throw new Error('Open OmniGraph from the Shopify admin to sign in');
+  const response = await fetch(`${engineUrl}/api/v1/admin/session`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await window.shopify.idToken()}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Sign-in failed (${response.status})`);
+  adminSession = data;
+  return data.token;
+};
+
+// Calls the engine's rules management API for this app; rejects with the engine's error message.
+const engineRequest = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${engineUrl}/api/v1/apps/${encodeURIComponent(appId)}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await getAdminToken()}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+};
+
+// The engine sends a heartbeat every 25s; a stream silent for longer than this is reconnected
+const STREAM_TIMEOUT_MS = 60000;
+
+// Follows this app's graph change stream (Server-Sent Events) and calls onEvent(type, data) for each
+// event. EventSource can't send the admin session, so the stream is read with fetch. Dropped, refused or
+// silent streams reconnect with exponential backoff. Returns a function that stops following.
+const subscribeEngineEvents = (onEvent) => {
+  let stopped = false;
+  let controller = null;
+  let watchdog = null;
+  let retryTimer = null;
+  let attempt = 0;
+
+  const watch = () => {
+    clearTimeout(watchdog);
+    watchdog = setTimeout(() => controller.abort(), STREAM_TIMEOUT_MS);
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+    watch();
+    try {
+      const response = await fetch(`${engineUrl}/api/v1/graph/stream?appId=${encodeURIComponent(appId)}`, {
+        headers: { Authorization: `Bearer ${await getAdminToken()}` },
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`Stream refused (${response.status})`);
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        attempt = 0;
+        watch();
+        // Events are separated by a blank line; the engine writes each one's data on a single line
+        const messages = (buffer + value).split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const fields = {};
+          message.split('\n').forEach(line => {
+            const match = line.match(/^(event|data): ?(.*)$/);
+            if (match) fields[match[1]] = match[2];
+          });
+          if (fields.event && fields.data) onEvent(fields.event, JSON.parse(fields.data));
+        });
+      }
+    } catch (e) {
+      // Aborted, refused or dropped: reconnect below
+    }
+    clearTimeout(watchdog);
+    if (!stopped) retryTimer = setTimeout(connect, Math.min(30000, 1000 * 2 ** attempt++));
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(watchdog);
+    clearTimeout(retryTimer);
+    if (controller) controller.abort();
+  };
+};
+
+const formatVersion = ({ version, author, publishedAt }) =>
+  `v${version} · ${author || 'unknown'} · ${publishedAt ? new Date(publishedAt).toLocaleString() : 'before history'}`;
+
+const DIFF_LINE_STYLES = {
+  same: 'text-slate-400',
+  add: 'text-green-400 bg-green-500/10',
+  remove: 'text-red-400 bg-red-500/10',
+};
+
+const DiffLines = ({ lines }) => (
+  <pre className="bg-slate-900 font-mono text-xs p-2 rounded-lg overflow-auto max-h-64">
+    {lines.map((line, index) => (
+      <div key={index} className={DIFF_LINE_STYLES[line.type]}>
+        {line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  '}{line.text}
+      </div>
+    ))}
+  </pre>
+);
+
+// 4. Version History: publish the draft, compare any two published versions, roll back in one click.
+// The engine only serves the published version, so saving in the editor never changes the storefront.
+// Not mounted yet (no mapper view in this file): the view renders <VersionHistory author={...} />
+// with the signed-in merchant's name.
+const VersionHistory = ({ author }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [note, setNote] = useState('');
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // Versions this session published, and its publish or rollback in flight (see the stream below)
+  const ownVersions = useRef(new Set());
+  const pendingAction = useRef(Promise.resolve());
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await engineRequest('/versions'));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => { loadHistory(); }, [loadHistory]);
+
+  // Publishes from other sessions update the history live. An event can arrive before this session's
+  // own publish has answered, so events wait for the action in flight before deciding whose it was.
+  useEffect(() => subscribeEngineEvents((type, data) => {
+    if (type !== 'published') return;
+    pendingAction.current.then(() => {
+      if (ownVersions.current.has(data.version)) return;
+      setNotice(`v${data.version} was published by ${data.author || 'someone else'} at ${new Date(data.publishedAt).toLocaleTimeString()}. The live rules changed.`);
+      loadHistory();
+    });
+  }), [loadHistory]);
+
+  // Publish and rollback both carry the revision they're based on; a 409 means reload and retry.
+  const runAction = async (path, body) => {
+    setBusy(true);
+    const action = engineRequest(path, { method: 'POST', body: { revision: history.revision, author, ...body } })
+      .then(result => { ownVersions.current.add(result.published.version); });
+    pendingAction.current = action.catch(() => {});
+    try {
+      await action;
+      setNote('');
+      await loadHistory();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Downloads omnigraph-loader.liquid generated from the live rules, sending exactly the page data they read
+  const exportSnippet = async () => {
+    try {
+      const snippet = await engineRequest('/loader-snippet');
+      const url = URL.createObjectURL(new Blob([snippet.liquid], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = snippet.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setError(null);
+      if (snippet.unresolved.length > 0) {
+        setNotice(`Exported the loader for v${snippet.version}. No Liquid is known for ${snippet.unresolved.map(({ pageType, path }) => `[${path}] (${pageType})`).join(', ')}; add those to the theme by hand.`);
+      }
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const showDiff = async () => {
+    try {
+      const [from, to] = await Promise.all([compare.from, compare.to].map(version => engineRequest(`/versions/${version}`)));
+      setDiff({ from: from.version, to: to.version, pageTypes: diffRuleVersions(from.templates, to.templates) });
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const versions = history ? history.versions : [];
+
+  return (
+    <div className="bg-brand-dark rounded-xl shadow-2xl p-6 flex flex-col">
+      <h2 className="text-xl font-bold text-white flex items-center mb-4 pb-2 border-b border-brand-primary">
+        <History size={20} className="mr-2 text-brand-accent" />
+        Version History
+        {history && history.publishedVersion !== null && (
+          <>
+            <span className="ml-auto text-xs font-normal text-slate-300">Live: v{history.publishedVersion}</span>
+            <button
+              onClick={exportSnippet}
+              className="ml-3 flex items-center text-xs font-normal text-brand-accent hover:text-white"
+              title="Download omnigraph-loader.liquid with the page data the live rules need"
+            >
+              <Download size={14} className="mr-1" /> Export snippet
+            </button>
+          </>
+        )}
+      </h2>
+
+      {error && (
+        <div className="text-red-400 text-xs flex items-center mb-3">
+          <XCircle size={14} className="mr-1" /> {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="text-yellow-300 bg-yellow-500/10 text-xs flex items-center p-2 rounded-md mb-3">
+          <RefreshCw size={14} className="mr-2 flex-shrink-0" />
+          <span className="flex-1">{notice}</span>
+          <button onClick={() => setNotice(null)} className="ml-2 text-yellow-300 hover:text-white" title="Dismiss">
+            <XCircle size={14} />
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2 mb-4">
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="What changed? (optional)"
+          className="flex-1 bg-slate-900 text-slate-200 border border-slate-600 rounded-md p-2 text-sm"
+        />
+        <button
+          onClick={() => runAction('/publish', { note })}
+          disabled={!history || busy}
+          className="flex items-center px-3 py-2 bg-brand-primary text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {busy ? <Loader size={16} className="animate-spin mr-1" /> : <Upload size={16} className="mr-1" />}
+          Publish Draft
+        </button>
+      </div>
+
+      <div className="space-y-1 mb-4 text-sm max-h-48 overflow-y-auto">
+        {versions.length === 0 && <div className="text-slate-400 text-xs">No published versions yet.</div>}
+        {versions.map(version => (
+          <div key={version.version} className="flex items-center space-x-2 text-slate-300">
+            <span className="flex-1 truncate">
+              {formatVersion(version)}
+              {version.note && <span className="text-slate-400"> — {version.note}</span>}
+            </span>
+            {version.version === history.publishedVersion ? (
+              <span className="px-2 py-0.5 rounded-full text-xs font-bold bg-green-500/20 text-green-400">LIVE</span>
+            ) : (
+              <button
+                onClick={() => runAction(`/versions/${version.version}/rollback`, {})}
+                disabled={busy}
+                className="flex items-center text-xs text-brand-accent hover:text-white disabled:opacity-50"
+                title={`Publish the rules of v${version.version} again`}
+              >
+                <RotateCcw size={14} className="mr-1" /> Roll back
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center space-x-2 mb-3 text-sm">
+        {['from', 'to'].map(side => (
+          <select
+            key={side}
+            value={compare[side]}
+            onChange={(e) => setCompare({ ...compare, [side]: e.target.value })}
+            className="flex-1 bg-slate-900 text-slate-200 border border-slate-600 rounded-md p-1 text-sm"
+          >
+            <option value="">{side === 'from' ? 'Compare…' : 'with…'}</option>
+            {versions.map(version => <option key={version.version} value={version.version}>v{version.version}</option>)}
+          </select>
+        ))}
+        <button
+          onClick={showDiff}
+          disabled={!compare.from || !compare.to}
+          className="px-3 py-1 bg-slate-700 text-white rounded-md hover:bg-slate-600 disabled:opacity-50"
+        >
+          Diff
+        </button>
+      </div>
+
+      {diff && (
+        <div className="space-y-3">
+          <div className="text-xs text-slate-300">v{diff.from} → v{diff.to}</div>
+          {diff.pageTypes.map(({ pageType, status, template, mappings }) => (
+            <div key={pageType}>
+              <div className="text-sm text-white font-semibold mb-1">
+                {PAGE_TYPES[pageType] ? PAGE_TYPES[pageType].label : pageType}
+                <span className="ml-2 text-xs font-normal text-slate-400">{status}</span>
+              </div>
+              {status !== 'unchanged' && (
+                <>
+                  <DiffLines lines={template} />
+                  <div className="text-xs text-slate-400 mt-1">Mappings</div>
+                  <DiffLines lines={mappings} />
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // 2. Bi-Directional Schema Editor (The code view/validation)
 const JsonOutput = ({ jsonLdOutput, setRawJsonLd, onSync, isRawValid, saveStatus }) => {
+  // isRawValid only covers JSON syntax (it gates syncing); the validator checks schema.org semantics
+  const validation = useMemo(() => validateSchema(jsonLdOutput, { mode: 'template' }), [jsonLdOutput]);
   
-  const validationStatus = isRawValid ? (
+  const validationStatus = !isRawValid ? (
+    <span className="text-red-500 flex items-center">
+      <XCircle size={16} className="mr-1" /> SYNTAX ERROR: Validation Failed
+    </span>
+  ) : validation.isValid ? (
     <span className="text-green-500 flex items-center">
-      <CheckCircle size={16} className="mr-1" /> Schema Valid (Zero-Error Agent)
+      <CheckCircle size={16} className="mr-1" /> Schema Valid (Zero-Error Agent){validation.warnings.length > 0 && `, ${validation.warnings.length} warning(s)`}
     </span>
   ) : (
     <span className="text-red-500 flex items-center">
-      <XCircle size={16} className="mr-1" /> SYNTAX ERROR: Validation Failed
+      <XCircle size={16} className="mr-1" /> {validation.errors.length} Schema Error(s)
     </span>
   );
 
@@ -495,6 +1370,8 @@ const JsonOutput = ({ jsonLdOutput, setRawJsonLd, onSync, isRawValid, saveStatus
         </div>
       </div>
 
+      <ValidationIssues validation={validation} />
+
       <textarea
         className={`flex-grow bg-slate-900 text-brand-accent font-mono text-xs p-4 rounded-lg resize-none focus:outline-none ${!isRawValid ? 'border-2 border-red-500' : 'border-2 border-transparent'}`}
         value={jsonLdOutput}
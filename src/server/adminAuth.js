@@ -0,0 +1,170 @@
+// --- OmniGraph DSI Engine: Admin Authentication ---
+// The rules management and graph APIs accept two credentials as `Authorization: Bearer <token>`:
+//   1. The admin key (DSI_MASTER_KEY): server-to-server only, it administers every shop. It is never
+//      given to the browser.
+//   2. An admin session (`og_as_...`): what the embedded Admin UI uses. App Bridge gives the page a
+//      Shopify session token (a JWT signed with the app's API secret, naming the shop); the page trades
+//      it at POST /api/v1/admin/session for a short-lived session that only administers that shop.
+// Routes check the shop of a session against the app they touch (see canAdminister).
+
+const crypto = require('crypto');
+const express = require('express');
+const { isValidAppId } = require('./ruleStore');
+
+const ADMIN_SESSION_PREFIX = 'og_as_';
+const ADMIN_SESSION_TTL_SECONDS = 15 * 60;
+// Clock skew tolerated on Shopify session token `exp` / `nbf`
+const SESSION_TOKEN_LEEWAY_SECONDS = 5;
+
+// Compares secrets in constant time (hashing first, since timingSafeEqual needs equal lengths).
+const safeEqual = (a, b) => {
+    const digest = (text) => crypto.createHash('sha256').update(String(text)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+const sign = (secret, text) => crypto.createHmac('sha256', secret).update(text).digest('base64url');
+
+const readJson = (base64url) => {
+    try {
+        return JSON.parse(Buffer.from(base64url, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * 1. Verifies a Shopify session token (App Bridge `shopify.idToken()`): an HS256 JWT signed with the
+ * app's API secret, addressed to the app's API key, naming the shop in `dest`.
+ * @param {string} token - The JWT.
+ * @param {{apiKey: string, secrets: Array<string>, now?: number}} options - The app's API key and
+ *   active API secrets (more than one while rotating).
+ * @returns {string|null} - The shop domain (the shop's app ID), or null if the token is not valid.
+ */
+function verifyShopifySessionToken(token, { apiKey, secrets, now = Date.now() }) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+
+    const { alg } = readJson(header) || {};
+    if (alg !== 'HS256' || !secrets.some(secret => safeEqual(sign(secret, `${header}.${payload}`), signature))) return null;
+
+    const claims = readJson(payload);
+    if (!claims || claims.aud !== apiKey) return null;
+    const seconds = now / 1000;
+    if (!(claims.exp + SESSION_TOKEN_LEEWAY_SECONDS > seconds) || claims.nbf - SESSION_TOKEN_LEEWAY_SECONDS > seconds) return null;
+
+    let shop;
+    try {
+        shop = new URL(claims.dest).hostname;
+    } catch (e) {
+        return null;
+    }
+    return isValidAppId(shop) && claims.dest === `https://${shop}` && claims.iss === `https://${shop}/admin` ? shop : null;
+}
+
+/**
+ * 2. Issues an admin session for one shop.
+ * @param {string} shop - The shop domain.
+ * @param {{secrets: Array<string>, now?: number}} options - Sessions are signed with the first secret.
+ * @returns {{token: string, shop: string, expiresAt: string}}
+ */
+function issueAdminSession(shop, { secrets, now = Date.now() }) {
+    const exp = Math.floor(now / 1000) + ADMIN_SESSION_TTL_SECONDS;
+    const payload = Buffer.from(JSON.stringify({ shop, exp })).toString('base64url');
+    return {
+        token: `${ADMIN_SESSION_PREFIX}${payload}.${sign(secrets[0], `admin-session.${payload}`)}`,
+        shop,
+        expiresAt: new Date(exp * 1000).toISOString(),
+    };
+}
+
+/**
+ * 3. Verifies an admin session issued by issueAdminSession.
+ * @param {string} token - The session token.
+ * @param {{secrets: Array<string>, now?: number}} options - The active secrets.
+ * @returns {string|null} - The session's shop, or null if it is not valid or has expired.
+ */
+function verifyAdminSession(token, { secrets, now = Date.now() }) {
+    if (typeof token !== 'string' || !token.startsWith(ADMIN_SESSION_PREFIX)) return null;
+    const [payload, signature, ...rest] = token.slice(ADMIN_SESSION_PREFIX.length).split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+    if (!secrets.some(secret => safeEqual(sign(secret, `admin-session.${payload}`), signature))) return null;
+
+    const { shop, exp } = readJson(payload) || {};
+    return isValidAppId(shop) && exp > now / 1000 ? shop : null;
+}
+
+// --- MIDDLEWARE ---
+
+/**
+ * 4. Express middleware requiring the admin key or an admin session. Sets `req.adminShop` to the
+ * session's shop, or null for the admin key (every shop).
+ * @param {{adminKeys: Array<string>, sessionSecrets: Array<string>}} options - The active admin keys and
+ *   the secrets sessions are signed with (the app's API secrets).
+ */
+function requireAdmin({ adminKeys, sessionSecrets }) {
+    return (req, res, next) => {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && token) {
+            if (adminKeys.some(adminKey => safeEqual(token, adminKey))) {
+                req.adminShop = null;
+                return next();
+            }
+            const shop = verifyAdminSession(token, { secrets: sessionSecrets });
+            if (shop) {
+                req.adminShop = shop;
+                return next();
+            }
+        }
+        res.status(401).json({ error: 'Unauthorized: Invalid DSI Key' });
+    };
+}
+
+/**
+ * 5. Whether an authenticated admin request may touch an app: the admin key may touch any, a
+ * session only its own shop.
+ * @param {object} req - The request (after requireAdmin).
+ * @param {string} appId - The app ID.
+ * @returns {boolean}
+ */
+function canAdminister(req, appId) {
+    return req.adminShop === null || req.adminShop === appId;
+}
+
+// --- ROUTER ---
+
+/**
+ * 6. Creates the admin session router (mounted under /api/v1/admin):
+ *   POST /session   `Authorization: Bearer <Shopify session token>` -> { token, shop, expiresAt }
+ * @param {{apiKey: string|null, secrets: Array<string>}} options - The app's API key (sessions are
+ *   refused without one) and active API secrets.
+ * @returns {express.Router}
+ */
+function createAdminSessionRouter({ apiKey, secrets }) {
+    const router = express.Router();
+
+    router.post('/session', (req, res) => {
+        if (!apiKey) {
+            return res.status(503).json({ error: 'Admin sessions need SHOPIFY_API_KEY to be configured' });
+        }
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        const shop = scheme === 'Bearer' ? verifyShopifySessionToken(token, { apiKey, secrets }) : null;
+        if (!shop) {
+            return res.status(401).json({ error: 'Unauthorized: Invalid Shopify session token' });
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(issueAdminSession(shop, { secrets }));
+    });
+
+    return router;
+}
+
+module.exports = {
+    ADMIN_SESSION_TTL_SECONDS,
+    verifyShopifySessionToken,
+    issueAdminSession,
+    verifyAdminSession,
+    requireAdmin,
+    canAdminister,
+    createAdminSessionRouter,
+};
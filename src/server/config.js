@@ -0,0 +1,169 @@
+// --- OmniGraph DSI Engine: Configuration ---
+// Loads the engine's settings from the environment, falling back to a `.env` file (KEY=value lines;
+// real environment variables win). The engine refuses to start with a missing, short or sample
+// secret, and secret values never appear in errors or logs (use describeConfig for a safe summary).
+//
+//   SHOPIFY_API_SECRET     the app's API secret key; Shopify signs webhooks, App Proxy requests and
+//                          session tokens with it
+//   SHOPIFY_API_KEY        the app's API key (client ID); the Admin UI's session tokens are addressed to it.
+//                          Without it the Admin UI can't sign in (admin sessions are refused)
+//   DSI_MASTER_KEY         server-to-server admin key for the rules management API (`Authorization: Bearer
+//                          <key>`); it administers every shop, so it never goes to the browser
+//   OMNIGRAPH_RULE_STORE   'file' (default) or 'firestore'
+//   OMNIGRAPH_RULE_DIR     the file store's directory
+//   OMNIGRAPH_ENV_FILE     where to read the `.env` file from (default: ./.env)
+//   PORT                   default 3000
+//   OMNIGRAPH_TRUST_PROXY  proxy hops in front of the engine, so rate limits see the visitor's IP (default 0;
+//                          don't count Shopify's App Proxy, whose visitor IP is read only on signed requests)
+//   RATE_LIMIT_IP_PER_MINUTE, RATE_LIMIT_SHOP_PER_MINUTE
+//                          storefront schema requests allowed per visitor IP (per shop through the App Proxy) / per shop (defaults 60 / 1200)
+//   RATE_LIMIT_PING_PER_MINUTE
+//                          loader heartbeat pings allowed per visitor IP (default 120; one page pings 20 times)
+//   STOREFRONT_BODY_LIMIT, ADMIN_BODY_LIMIT
+//                          request body caps (defaults 256kb / 2mb; webhooks use the admin cap)
+//   SCHEMA_BATCH_MAX_ITEMS items accepted by one batch schema request (default 50)
+//
+// Secrets accept a comma-separated list for rotation: every listed value is accepted, so the new
+// secret can be added first, rolled out, and the old one removed after the overlap window.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIN_SECRET_LENGTH = 16;
+
+// Sample values that have shipped in this repo; a deployment still using one is not secret at all
+const SAMPLE_SECRETS = [
+    'shhhhhh_this_is_a_secret_key',
+    'dsi_master_key_for_admin_requests',
+    'dsi_api_key_for_client_requests',
+];
+
+const RULE_STORE_ADAPTERS = ['file', 'firestore'];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * 1. Parses `.env` file contents: KEY=value lines, `#` comments, optional quotes around values.
+ * @param {string} text - The file contents.
+ * @returns {object} - The variables.
+ */
+function parseEnvFile(text) {
+    const variables = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) return;
+        const quoted = match[2].match(/^"(.*)"$|^'(.*)'$/);
+        variables[match[1]] = quoted ? (quoted[1] !== undefined ? quoted[1] : quoted[2]) : match[2].replace(/\s+#.*$/, '');
+    });
+    return variables;
+}
+
+const readEnvFile = (file) => {
+    try {
+        return parseEnvFile(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return {};
+        throw e;
+    }
+};
+
+// Reads an integer setting, recording a problem if it is not one.
+const readInteger = (variables, name, fallback, problems, { min = 1 } = {}) => {
+    if (variables[name] === undefined || variables[name] === '') return fallback;
+    const value = Number(variables[name]);
+    if (!Number.isInteger(value) || value < min) problems.push(`${name} must be an integer of at least ${min}`);
+    return value;
+};
+
+const readByteSize = (variables, name, fallback, problems) => {
+    const value = variables[name] || fallback;
+    if (!/^\d+(?:b|kb|mb)$/i.test(value)) problems.push(`${name} must be a size such as 256kb or 2mb`);
+    return value;
+};
+
+// Reads a comma-separated secret list, recording problems by variable name only.
+const readSecrets = (variables, name, problems) => {
+    const secrets = (variables[name] || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    if (secrets.length === 0) {
+        problems.push(`${name} is required`);
+    } else if (secrets.some(secret => SAMPLE_SECRETS.includes(secret))) {
+        problems.push(`${name} is set to a sample value from the repository; generate a real secret`);
+    } else if (secrets.some(secret => secret.length < MIN_SECRET_LENGTH)) {
+        problems.push(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return secrets;
+};
+
+/**
+ * 2. Loads and validates the engine configuration.
+ * @param {{env?: object, cwd?: string}} [options] - The environment and working directory (for tests).
+ * @returns {object} - { port, shopifyApiSecrets, shopifyApiKey, adminKeys, ruleStore: { adapter, directory }, trustProxy,
+ *   rateLimits: { ipPerMinute, shopPerMinute, pingPerMinute }, bodyLimits: { storefront, admin }, batchMaxItems }.
+ * @throws {ConfigError} - Listing every problem found.
+ */
+function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+    const envFile = path.resolve(cwd, env.OMNIGRAPH_ENV_FILE || '.env');
+    const variables = { ...readEnvFile(envFile), ...env };
+    const problems = [];
+
+    const port = readInteger(variables, 'PORT', 3000, problems);
+
+    const adapter = variables.OMNIGRAPH_RULE_STORE || 'file';
+    if (!RULE_STORE_ADAPTERS.includes(adapter)) {
+        problems.push(`OMNIGRAPH_RULE_STORE must be one of ${RULE_STORE_ADAPTERS.join(', ')}`);
+    }
+
+    const config = {
+        port,
+        shopifyApiSecrets: readSecrets(variables, 'SHOPIFY_API_SECRET', problems),
+        shopifyApiKey: variables.SHOPIFY_API_KEY || null,
+        adminKeys: readSecrets(variables, 'DSI_MASTER_KEY', problems),
+        ruleStore: { adapter, directory: variables.OMNIGRAPH_RULE_DIR || undefined },
+        trustProxy: readInteger(variables, 'OMNIGRAPH_TRUST_PROXY', 0, problems, { min: 0 }),
+        rateLimits: {
+            ipPerMinute: readInteger(variables, 'RATE_LIMIT_IP_PER_MINUTE', 60, problems),
+            shopPerMinute: readInteger(variables, 'RATE_LIMIT_SHOP_PER_MINUTE', 1200, problems),
+            pingPerMinute: readInteger(variables, 'RATE_LIMIT_PING_PER_MINUTE', 120, problems),
+        },
+        bodyLimits: {
+            storefront: readByteSize(variables, 'STOREFRONT_BODY_LIMIT', '256kb', problems),
+            admin: readByteSize(variables, 'ADMIN_BODY_LIMIT', '2mb', problems),
+        },
+        batchMaxItems: readInteger(variables, 'SCHEMA_BATCH_MAX_ITEMS', 50, problems),
+    };
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return config;
+}
+
+/**
+ * 3. A loggable summary of the configuration: secrets are reduced to how many are active.
+ * @param {object} config - From loadConfig.
+ * @returns {object}
+ */
+function describeConfig(config) {
+    return {
+        port: config.port,
+        shopifyApiSecrets: `${config.shopifyApiSecrets.length} active`,
+        shopifyApiKey: config.shopifyApiKey ? 'set' : 'missing (Admin UI sessions refused)',
+        adminKeys: `${config.adminKeys.length} active`,
+        ruleStore: config.ruleStore.adapter,
+        trustProxy: config.trustProxy,
+        rateLimits: config.rateLimits,
+        bodyLimits: config.bodyLimits,
+        batchMaxItems: config.batchMaxItems,
+    };
+}
+
+module.exports = {
+    ConfigError,
+    parseEnvFile,
+    loadConfig,
+    describeConfig,
+};
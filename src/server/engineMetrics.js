@@ -0,0 +1,82 @@
+// --- OmniGraph DSI Engine: Engine Metrics ---
+// The measurements behind the pulse check (GET /api/v1/dsi/pulse, see graphApi.js):
+//   latency    mean response time of the storefront schema requests in a rolling window
+//   loop delay how late the event loop runs timers; a busy or blocked engine falls behind here first
+//   load       event loop utilization (0-1) over the last sampling interval
+// All of them describe this engine instance only. An engine whose loop delay passes the lag threshold
+// reports itself as lagging (the API spec's 503 Sync Lag).
+
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+
+const DEFAULT_WINDOW_SIZE = 1000;
+const DEFAULT_SAMPLE_INTERVAL_MS = 5000;
+const DEFAULT_LAG_THRESHOLD_MS = 100;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * 1. Starts collecting engine metrics.
+ * @param {{windowSize?: number, sampleIntervalMs?: number, lagThresholdMs?: number}} [options] - How many
+ *   recent requests the latency averages over, how often loop delay and load are sampled, and the loop
+ *   delay beyond which the engine is lagging.
+ * @returns {object} - { trackRequests, snapshot, stop }.
+ */
+function createEngineMetrics({ windowSize = DEFAULT_WINDOW_SIZE, sampleIntervalMs = DEFAULT_SAMPLE_INTERVAL_MS, lagThresholdMs = DEFAULT_LAG_THRESHOLD_MS } = {}) {
+    // Ring buffer of recent request durations in milliseconds
+    const durations = new Float64Array(windowSize);
+    let recorded = 0;
+
+    const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+    loopDelay.enable();
+
+    let lastUtilization = performance.eventLoopUtilization();
+    let sample = { loopDelayMs: 0, load: 0 };
+
+    const takeSample = () => {
+        const utilization = performance.eventLoopUtilization(lastUtilization);
+        lastUtilization = performance.eventLoopUtilization();
+        // The histogram reports nanoseconds; without samples yet its mean is NaN
+        sample = {
+            loopDelayMs: Number.isFinite(loopDelay.mean) ? loopDelay.mean / 1e6 : 0,
+            load: utilization.utilization,
+        };
+        loopDelay.reset();
+    };
+    const timer = setInterval(takeSample, sampleIntervalMs);
+    timer.unref();
+
+    return {
+        // Express middleware recording how long each response took
+        trackRequests(req, res, next) {
+            const started = process.hrtime.bigint();
+            res.on('finish', () => {
+                durations[recorded % windowSize] = Number(process.hrtime.bigint() - started) / 1e6;
+                recorded++;
+            });
+            next();
+        },
+
+        // The current measurements, rounded for display
+        snapshot() {
+            const count = Math.min(recorded, windowSize);
+            let total = 0;
+            for (let i = 0; i < count; i++) total += durations[i];
+            return {
+                latencyMs: count === 0 ? 0 : round(total / count, 1),
+                loopDelayMs: round(sample.loopDelayMs, 1),
+                load: round(sample.load, 2),
+                lagging: sample.loopDelayMs > lagThresholdMs,
+                requestsMeasured: count,
+            };
+        },
+
+        stop() {
+            clearInterval(timer);
+            loopDelay.disable();
+        },
+    };
+}
+
+module.exports = {
+    createEngineMetrics,
+};
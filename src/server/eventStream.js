@@ -0,0 +1,125 @@
+// --- OmniGraph DSI Engine: Event Streams ---
+// Server-Sent Events plumbing shared by the admin graph stream (graphApi.js) and the storefront
+// rules-version stream (server.js). A hub fans each app's events out to its open streams; every
+// stream sends a `heartbeat` event on a timer so clients can tell a silent connection from a dead one
+// and reconnect (EventSource comments would keep proxies open but are invisible to the page).
+
+const DEFAULT_MAX_SUBSCRIBERS = 1000;
+const DEFAULT_RETRY_MS = 3000;
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+/**
+ * 1. Creates an in-process event hub: listeners subscribe per app.
+ * @param {{maxSubscribers?: number, maxSubscribersPerApp?: number}} [options] - How many streams may be
+ *   open at once, in all and for any one app (so one app's pages can't take every slot).
+ * @returns {object} - { subscribe, emit, size, sizeOf }.
+ */
+function createEventHub({ maxSubscribers = DEFAULT_MAX_SUBSCRIBERS, maxSubscribersPerApp = maxSubscribers } = {}) {
+    const listeners = new Map(); // appId -> Set of listener(type, data, id)
+    let subscribers = 0;
+    let lastId = 0;
+    const sizeOf = (appId) => listeners.has(appId) ? listeners.get(appId).size : 0;
+
+    return {
+        // Returns the unsubscribe function, or null when the hub or the app is at capacity.
+        subscribe(appId, listener) {
+            if (subscribers >= maxSubscribers) return null;
+            if (sizeOf(appId) >= maxSubscribersPerApp) return null;
+            if (!listeners.has(appId)) listeners.set(appId, new Set());
+            listeners.get(appId).add(listener);
+            subscribers++;
+
+            let subscribed = true;
+            return () => {
+                if (!subscribed) return;
+                subscribed = false;
+                subscribers--;
+                const appListeners = listeners.get(appId);
+                appListeners.delete(listener);
+                if (appListeners.size === 0) listeners.delete(appId);
+            };
+        },
+
+        emit(appId, type, data) {
+            const id = ++lastId;
+            (listeners.get(appId) || []).forEach(listener => listener(type, data, id));
+        },
+
+        get size() {
+            return subscribers;
+        },
+
+        // The streams open for one app.
+        sizeOf,
+    };
+}
+
+/**
+ * 2. Starts an SSE response and keeps it alive until the client disconnects.
+ * @param {object} req - The request (its `close` ends the stream).
+ * @param {object} res - The response to stream on.
+ * @param {{retryMs?: number, heartbeatMs?: number, onClose?: function}} [options] - The reconnect delay
+ *   suggested to EventSource, the heartbeat interval, and cleanup to run when the client goes away.
+ * @returns {function(string, object, number=)} - send(type, data, id?) writes one event.
+ */
+function openEventStream(req, res, { retryMs = DEFAULT_RETRY_MS, heartbeatMs = DEFAULT_HEARTBEAT_MS, onClose = () => {} } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const send = (type, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => send('heartbeat', { time: new Date().toISOString() }), heartbeatMs);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        onClose();
+    });
+    return send;
+}
+
+/**
+ * 3. Streams one app's hub events, starting with an event describing the current state. The hub is
+ * subscribed to before that state is read, and events arriving meanwhile are held back, so no change
+ * can fall between the two.
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @param {{hub: object, appId: string, initialEvent: function(): Promise<Array>}} options - The hub, the
+ *   app, and a function resolving the first event as [type, data]; other options go to openEventStream.
+ * @returns {Promise<boolean>} - False, with nothing written, if the hub or the app is at capacity.
+ */
+async function streamHubEvents(req, res, { hub, appId, initialEvent, ...streamOptions }) {
+    let send = null;
+    const held = [];
+    const unsubscribe = hub.subscribe(appId, (...event) => (send ? send(...event) : held.push(event)));
+    if (!unsubscribe) return false;
+
+    let initial;
+    try {
+        initial = await initialEvent();
+    } catch (e) {
+        unsubscribe();
+        throw e;
+    }
+    // The client may have left while the state was read
+    if (!res.socket || res.socket.destroyed) {
+        unsubscribe();
+        return true;
+    }
+
+    send = openEventStream(req, res, { ...streamOptions, onClose: unsubscribe });
+    send(...initial);
+    held.forEach(event => send(...event));
+    return true;
+}
+
+module.exports = {
+    createEventHub,
+    openEventStream,
+    streamHubEvents,
+};
@@ -0,0 +1,173 @@
+// --- OmniGraph DSI Engine: Graph Sync API ---
+// The v1 sync routes documented in Dai_api_spec.md, for the Admin UI's graph. All of them require
+// the admin key or an admin session for the app (see adminAuth.js), like the rules management API.
+//
+//   GET  /dsi/pulse?appId=X         engine health: { status, latency_ms, active_nodes, engine_load }
+//   POST /graph/node-update         upsert one mapping node of a draft rule set
+//                                   { appId, pageType, revision, node_id, data_vector, visual_config, mapping? }
+//   GET  /graph/stream?appId=X      Server-Sent Events: the app's node, draft and publish changes
+//
+// Error matrix: 401 Invalid DSI Key (re-authenticate), 403 (a session for another shop), 409 Node Collision (the edit was based on an
+// older revision; reload and retry), 503 Sync Lag (the engine is falling behind or the stream is at
+// capacity; back off for `Retry-After` seconds and pulse less often).
+
+const express = require('express');
+const { isPageType, getPageTemplate } = require('../shared/pageTypes');
+const { isValidAppId } = require('./ruleStore');
+const { RulesApiError, validateMapping, assertRevision, writeLifecycle, handle, toLifecycle } = require('./rulesApi');
+const { requireAdmin, canAdminister } = require('./adminAuth');
+const { streamHubEvents } = require('./eventStream');
+
+const MAX_DATA_VECTOR_LENGTH = 1024;
+const SYNC_LAG_RETRY_SECONDS = 10;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// --- VALIDATION ---
+
+// Checks the visualization half of a node update (the mapping half is checked by validateMapping).
+function validateNodeUpdate({ node_id: nodeId, data_vector: dataVector, visual_config: visualConfig, mapping }) {
+    const problems = [];
+    if (!(typeof nodeId === 'string' && nodeId.length > 0 && nodeId.length <= 128) && !Number.isInteger(nodeId)) {
+        problems.push({ path: '$.node_id', message: 'Expected a non-empty string of at most 128 characters' });
+    }
+    if (!Array.isArray(dataVector) || dataVector.length > MAX_DATA_VECTOR_LENGTH || !dataVector.every(Number.isFinite)) {
+        problems.push({ path: '$.data_vector', message: `Expected an array of at most ${MAX_DATA_VECTOR_LENGTH} finite numbers` });
+    }
+    if (!isPlainObject(visualConfig)) {
+        problems.push({ path: '$.visual_config', message: 'Expected an object of color, scale and animation overrides' });
+    } else {
+        const { color, scale, animation, ...unknown } = visualConfig;
+        if (color !== undefined && !(typeof color === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color))) {
+            problems.push({ path: '$.visual_config.color', message: 'Expected a hex color such as #38bdf8' });
+        }
+        if (scale !== undefined && !(Number.isFinite(scale) && scale > 0)) {
+            problems.push({ path: '$.visual_config.scale', message: 'Expected a positive number' });
+        }
+        if (animation !== undefined && !(typeof animation === 'string' && animation.length <= 64)) {
+            problems.push({ path: '$.visual_config.animation', message: 'Expected a string of at most 64 characters' });
+        }
+        Object.keys(unknown).forEach(key => problems.push({ path: `$.visual_config.${key}`, message: 'Unknown visual override' }));
+    }
+    if (mapping !== undefined && !isPlainObject(mapping)) {
+        problems.push({ path: '$.mapping', message: 'Expected the mapping fields to change' });
+    }
+    return problems;
+}
+
+const countNodes = (ruleSets) => Object.values(ruleSets)
+    .reduce((total, ruleSet) => total + (Array.isArray(ruleSet.mappings) ? ruleSet.mappings.length : 0), 0);
+
+// --- ROUTER ---
+
+/**
+ * Creates the graph sync router (mounted under /api/v1).
+ * @param {{ruleStore: object, adminKeys: Array<string>, sessionSecrets: Array<string>, metrics: object, events: object}} options -
+ *   The rule store, the active admin keys and admin session secrets, the engine metrics (engineMetrics.js) the pulse reports,
+ *   and the event hub (eventStream.js) node updates are emitted on and streams listen to.
+ * @returns {express.Router}
+ */
+function createGraphRouter({ ruleStore, adminKeys, sessionSecrets, metrics, events }) {
+    const router = express.Router();
+    const adminOnly = requireAdmin({ adminKeys, sessionSecrets });
+
+    const readAppId = (req, value) => {
+        if (!isValidAppId(value)) throw new RulesApiError(400, 'Invalid appId');
+        if (!canAdminister(req, value)) throw new RulesApiError(403, 'Forbidden: this session belongs to another shop');
+        return value;
+    };
+
+    // 1. System pulse check. `X-DSI-Priority` is accepted for compatibility; every pulse is answered alike.
+    // `active_nodes` counts the draft mapping nodes of `appId` (null without one).
+    router.get('/dsi/pulse', adminOnly, handle(async (req, res) => {
+        const appId = req.query.appId === undefined ? null : readAppId(req, req.query.appId);
+        const { latencyMs, loopDelayMs, load, lagging } = metrics.snapshot();
+
+        let activeNodes = null;
+        if (appId) {
+            const rulesDoc = await ruleStore.getRules(appId);
+            activeNodes = rulesDoc ? countNodes(toLifecycle(rulesDoc).draft) : 0;
+        }
+
+        if (lagging) res.set('Retry-After', String(SYNC_LAG_RETRY_SECONDS));
+        res.status(lagging ? 503 : 200).json({
+            status: lagging ? 'lagging' : 'synchronized',
+            ...(lagging && { error: 'Sync Lag: reduce pulse frequency' }),
+            latency_ms: latencyMs,
+            active_nodes: activeNodes,
+            engine_load: load,
+            event_loop_delay_ms: loopDelayMs,
+            stream_subscribers: events.size,
+        });
+    }));
+
+    // 2. Node transmission: upsert one mapping node of a draft rule set, keyed by `node_id`.
+    // `mapping` holds the NodeMapper fields to change (required for a new node); the visualization
+    // data is stored on the mapping as `dataVector` and `visualConfig`.
+    router.post('/graph/node-update', adminOnly, handle(async (req, res) => {
+        const appId = readAppId(req, req.body.appId);
+        const { pageType, revision, node_id: nodeId, data_vector: dataVector, visual_config: visualConfig, mapping = {} } = req.body;
+        if (!isPageType(pageType)) throw new RulesApiError(400, `Unknown page type: ${pageType}`);
+
+        const problems = validateNodeUpdate(req.body);
+        if (problems.length > 0) throw new RulesApiError(400, 'Invalid node', { details: problems });
+
+        let node = null;
+        let created = false;
+        const saved = await writeLifecycle(ruleStore, appId, (lifecycle) => {
+            const ruleSet = lifecycle && getPageTemplate(lifecycle.draft, pageType);
+            if (!ruleSet) throw new RulesApiError(404, `No ${pageType} rule set for this app.`);
+            assertRevision(lifecycle, revision);
+
+            const mappings = Array.isArray(ruleSet.mappings) ? ruleSet.mappings : [];
+            const existing = mappings.find(candidate => String(candidate.id) === String(nodeId));
+            const { id, ...changes } = mapping;
+            node = {
+                id: existing ? existing.id : nodeId,
+                ...existing,
+                ...changes,
+                dataVector,
+                visualConfig: { ...(existing && existing.visualConfig), ...visualConfig },
+            };
+            const mappingProblems = validateMapping(node, '$.mapping');
+            if (mappingProblems.length > 0) throw new RulesApiError(400, 'Invalid node', { details: mappingProblems });
+
+            created = !existing;
+            const nextMappings = existing ? mappings.map(candidate => candidate === existing ? node : candidate) : [...mappings, node];
+            return { ...lifecycle, draft: { ...lifecycle.draft, [pageType]: { ...ruleSet, mappings: nextMappings, updatedAt: new Date().toISOString() } } };
+        });
+
+        events.emit(appId, 'node-update', { pageType, revision: saved.revision, node, created });
+        res.status(created ? 201 : 200).json({ appId, pageType, revision: saved.revision, node, created });
+    }));
+
+    // 3. Change stream (Server-Sent Events). Starts with a `ready` event carrying the current revision
+    // and published version, then relays the app's node-update, draft-update and published events.
+    router.get('/graph/stream', adminOnly, handle(async (req, res) => {
+        const appId = readAppId(req, req.query.appId);
+
+        const streaming = await streamHubEvents(req, res, {
+            hub: events,
+            appId,
+            initialEvent: async () => {
+                const rulesDoc = await ruleStore.getRules(appId);
+                const lifecycle = rulesDoc ? toLifecycle(rulesDoc) : null;
+                return ['ready', {
+                    appId,
+                    revision: lifecycle ? lifecycle.revision : 0,
+                    publishedVersion: lifecycle && lifecycle.published ? lifecycle.published.version : null,
+                }];
+            },
+        });
+        if (!streaming) {
+            res.set('Retry-After', String(SYNC_LAG_RETRY_SECONDS));
+            throw new RulesApiError(503, 'Sync Lag: too many open streams');
+        }
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createGraphRouter,
+};
@@ -0,0 +1,366 @@
+// --- OmniGraph DSI Engine: Loader Snippet Generator ---
+// Builds a shop's omnigraph-loader.liquid from its published rules (GET /api/v1/apps/:appId/loader-snippet
+// and the Admin UI's "Export snippet" button). The stock loader in deployment/storefront sends a fixed
+// set of fields; the generated one sends exactly the sources its published templates and mappings read,
+// and its Layer 3 fallback holds the parts of each template that plain Liquid can render.
+// Two regions of the stock loader are replaced, each between `generated:<name>` comment markers:
+//   liquid-fallback   the {% case template.name %} block of fallback JSON-LD
+//   page-data         the {% case page_type %} block defining `pageData`
+// Every value is written through Liquid's `| json` filter and every literal is escaped for Liquid and
+// for the surrounding <script>, so no template text or store data can break out of the snippet.
+
+const fs = require('fs');
+const path = require('path');
+const { PAGE_TYPES, getPageTemplate } = require('../shared/pageTypes');
+const { PLACEHOLDER_BODY_SOURCE, parsePlaceholder } = require('../shared/transforms');
+const { getMappingCondition, conditionSources, RULE_CONTAINERS, RULE_KEY_SUFFIX } = require('../shared/ruleLanguage');
+const { EXPR_KEY_SUFFIX, expressionSources } = require('../shared/expressions');
+const { REPEAT_KEY, VARIANTS_KEY, templateSources } = require('../shared/dsiEngine');
+
+const LOADER_TEMPLATE_PATH = path.join(__dirname, '..', '..', 'deployment', 'storefront', 'omnigraph-loader.liquid');
+const LOADER_FILENAME = 'omnigraph-loader.liquid';
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${PLACEHOLDER_BODY_SOURCE})\\]`);
+const WHOLE_PLACEHOLDER_PATTERN = new RegExp(`^\\[(${PLACEHOLDER_BODY_SOURCE})\\]$`);
+
+// --- LIQUID SOURCES ---
+// The Liquid behind each data key, per page type: an expression (written as `{{ expression | json }}`)
+// or a `block` of JavaScript for lists built with a Liquid for loop. `objects` are the Liquid objects
+// of the page: any other `object.property` path is sent as `{{ object.property | json }}`, and any
+// `object.metafields.namespace.key` path as that metafield's value. `required` keys are always sent
+// (the render cache files product pages under `product.id` for webhook invalidation).
+
+const VARIANTS_BLOCK = `[
+            {%- for variant in product.variants %}
+            {
+                'title': {{ variant.title | json }},
+                'sku': {{ variant.sku | json }},
+                'barcode': {{ variant.barcode | json }},
+                'price': {{ variant.price | divided_by: 100.0 | json }},
+                'compare_at_price': {% if variant.compare_at_price %}{{ variant.compare_at_price | divided_by: 100.0 | json }}{% else %}null{% endif %},
+                'available': {{ variant.available | json }},
+                'inventory_quantity': {{ variant.inventory_quantity | json }},
+                'inventory_management': {{ variant.inventory_management | json }},
+                'inventory_policy': {{ variant.inventory_policy | json }},
+                'options': {{ variant.options | json }},
+                'url': {{ shop.url | append: variant.url | json }}
+            }{% unless forloop.last %},{% endunless %}
+            {%- endfor %}
+        ]`;
+
+const COLLECTION_PRODUCTS_BLOCK = `[
+            {%- for item in collection.products limit: 50 %}
+            { 'title': {{ item.title | json }}, 'url': {{ shop.url | append: item.url | json }}, 'price': {{ item.price | divided_by: 100.0 | json }} }{% unless forloop.last %},{% endunless %}
+            {%- endfor %}
+        ]`;
+
+// The `breadcrumbs` trail is built once above the page data, for every page type
+const BREADCRUMBS = { block: 'breadcrumbs' };
+const FAQ_NOTE = 'FAQ entries: a JSON metafield holding [{ "question": "...", "answer": "..." }]';
+const ISO_DATE = "date: '%Y-%m-%dT%H:%M:%S%z'";
+
+const LIQUID_PAGES = {
+    product: {
+        objects: ['product', 'shop'],
+        required: ['product.id'],
+        sources: {
+            'product.id': 'product.id',
+            'product.title': 'product.title',
+            'product.tags': 'product.tags',
+            'product.vendor': 'product.vendor',
+            'review_count': 'product.metafields.reviews.count | default: 0',
+            'average_rating': 'product.metafields.reviews.rating | default: 0.0',
+            'current_price': 'product.selected_or_first_available_variant.price | divided_by: 100.0',
+            'inventory_quantity': 'product.selected_or_first_available_variant.inventory_quantity | default: 0',
+            'shop.currency': 'cart.currency.iso_code | default: shop.currency',
+            'variants': { block: VARIANTS_BLOCK, note: 'Every variant, so the engine can build offers[] or an AggregateOffer (`_variants` directive)' },
+            'faq': { liquid: 'product.metafields.custom.faq.value | default: nil', note: FAQ_NOTE },
+            'breadcrumbs': BREADCRUMBS,
+        },
+    },
+    collection: {
+        objects: ['collection', 'shop'],
+        sources: {
+            'collection.title': 'collection.title',
+            'collection.description': 'collection.description | strip_html',
+            'collection.url': 'shop.url | append: collection.url',
+            'collection.products_count': 'collection.products_count',
+            'collection.products': { block: COLLECTION_PRODUCTS_BLOCK },
+            'breadcrumbs': BREADCRUMBS,
+        },
+    },
+    article: {
+        objects: ['article', 'blog', 'shop'],
+        sources: {
+            'article.title': 'article.title',
+            'article.author': 'article.author',
+            'article.published_at': `article.published_at | ${ISO_DATE}`,
+            'article.updated_at': `article.updated_at | ${ISO_DATE}`,
+            'article.image': "article.image | image_url: width: 1200 | prepend: 'https:'",
+            'article.excerpt': 'article.excerpt_or_content | strip_html | truncate: 300',
+            'article.url': 'shop.url | append: article.url',
+            'article.tags': 'article.tags',
+            'blog.title': 'blog.title',
+            'shop.name': 'shop.name',
+            'breadcrumbs': BREADCRUMBS,
+        },
+    },
+    home: {
+        objects: ['shop'],
+        sources: {
+            'shop.name': 'shop.name',
+            'shop.url': 'shop.url',
+            'shop.description': 'shop.description',
+            'shop.search_url': "shop.url | append: routes.search_url | append: '?q={search_term_string}'",
+            'shop.logo': "settings.logo | image_url: width: 600 | prepend: 'https:'",
+            'shop.email': 'shop.email',
+        },
+    },
+    faq: {
+        objects: ['page', 'shop'],
+        // Matches the page_type assignment in the loader: only pages with FAQ entries are FAQ pages
+        condition: 'page.metafields.custom.faq != blank',
+        sources: {
+            'page.title': 'page.title',
+            'faq': { liquid: 'page.metafields.custom.faq.value', note: FAQ_NOTE },
+            'breadcrumbs': BREADCRUMBS,
+        },
+    },
+};
+
+const toEntry = (source) => (typeof source === 'string' ? { liquid: source } : source);
+
+const LIQUID_IDENTIFIER = /^[A-Za-z_]\w*$/;
+const METAFIELD_HANDLE = /^[A-Za-z0-9_-]+$/;
+const liquidLookup = (name) => (LIQUID_IDENTIFIER.test(name) ? `.${name}` : `['${name}']`);
+
+/**
+ * 1. Finds the data key a source path reads on a page type, and the Liquid that sends it.
+ * Like the engine's resolveSourcePath, the longest known key wins and the rest of the path walks
+ * into its value (`product.tags[0]` reads `product.tags`).
+ * @param {string} pageType - The page type (a key of LIQUID_PAGES).
+ * @param {string} sourcePath - The source path.
+ * @returns {{key: string, liquid?: string, block?: string, note?: string}|null} - Null if no Liquid is known.
+ */
+function resolveLiquidSource(pageType, sourcePath) {
+    const page = LIQUID_PAGES[pageType];
+    const segments = sourcePath.replace(/\[(\d+)\]/g, '.$1').split('.');
+
+    for (let i = segments.length; i > 0; i--) {
+        const key = segments.slice(0, i).join('.');
+        if (Object.prototype.hasOwnProperty.call(page.sources, key)) return { key, ...toEntry(page.sources[key]) };
+    }
+
+    const [object, property = '', namespace = '', name = ''] = segments;
+    if (!page.objects.includes(object)) return null;
+    if (property === 'metafields') {
+        if (!METAFIELD_HANDLE.test(namespace) || !METAFIELD_HANDLE.test(name)) return null;
+        return { key: segments.slice(0, 4).join('.'), liquid: `${object}.metafields${liquidLookup(namespace)}${liquidLookup(name)}.value` };
+    }
+    return LIQUID_IDENTIFIER.test(property) ? { key: `${object}.${property}`, liquid: `${object}.${property}` } : null;
+}
+
+// --- SOURCE COLLECTION ---
+
+// The source paths a mapping row reads (its template placeholder is collected from the template too).
+const mappingSources = (mapping) => [
+    ...(typeof mapping.source === 'string' && mapping.source !== '' ? [mapping.source] : []),
+    ...conditionSources(getMappingCondition(mapping)),
+    ...(mapping.type === 'Expression' && typeof mapping.expression === 'string' ? expressionSources(mapping.expression) : []),
+];
+
+// The templates rendered on a page type: its own and those of its published partials.
+const pageTemplates = (templates, pageType) => [pageType, ...(PAGE_TYPES[pageType].partials || [])]
+    .map(name => getPageTemplate(templates, name))
+    .filter(Boolean);
+
+/**
+ * 2. Lists the page data a page type's published templates and mappings need.
+ * @param {object} templates - The published templates, keyed by page type.
+ * @param {string} pageType - The page type.
+ * @returns {{entries: Array<object>, unresolved: Array<string>}} - The data keys to send with their
+ *   Liquid (in source-list order, then in order of use), and the paths no Liquid is known for.
+ */
+function collectPageData(templates, pageType) {
+    const paths = new Set(LIQUID_PAGES[pageType].required || []);
+    pageTemplates(templates, pageType).forEach(({ jsonLdTemplate, mappings }) => {
+        templateSources(JSON.parse(jsonLdTemplate)).forEach(sourcePath => paths.add(sourcePath));
+        (Array.isArray(mappings) ? mappings : []).forEach(mapping => mappingSources(mapping).forEach(sourcePath => paths.add(sourcePath)));
+    });
+
+    const entries = new Map();
+    const unresolved = [];
+    paths.forEach(sourcePath => {
+        const entry = resolveLiquidSource(pageType, sourcePath);
+        if (!entry) unresolved.push(sourcePath);
+        else if (!entries.has(entry.key)) entries.set(entry.key, entry);
+    });
+
+    const known = Object.keys(LIQUID_PAGES[pageType].sources);
+    const rank = (key) => (known.includes(key) ? known.indexOf(key) : known.length);
+    return { entries: [...entries.values()].sort((a, b) => rank(a.key) - rank(b.key)), unresolved };
+}
+
+// --- LIQUID OUTPUT ---
+
+// A JSON string literal that stays inert inside Liquid ({{ }} and {% %}) and inside <script>.
+const jsonLiteral = (value) => JSON.stringify(value)
+    .replace(/[<>&{}]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+// Source paths only reach the output inside JavaScript comments; anything unexpected is masked.
+const commentSafe = (text) => String(text).replace(/[^\w.[\]-]/g, '?');
+
+/**
+ * 3. Renders a template node as Liquid that outputs JSON, for the Layer 3 fallback.
+ * Literals and whole-placeholder strings whose source has a plain Liquid expression are kept.
+ * Anything that needs the engine is left out: transforms, placeholders inside text, `_repeat` and
+ * `_variants` objects, and properties set by `_Rule` or `_Expr` keys (a rule container whose gate
+ * is a rule goes as a whole). Objects left with only `@` keys are dropped, like the engine does.
+ * @param {*} node - The template node.
+ * @param {function(string): (object|null)} resolve - Finds the Liquid source of a path.
+ * @param {string} indent - The indentation of the node's line.
+ * @param {string|null} [lastKey=null] - The node's key in its parent.
+ * @returns {string|undefined} - The Liquid, or undefined to leave the node out.
+ */
+function renderFallbackNode(node, resolve, indent, lastKey = null) {
+    if (typeof node === 'string') {
+        const whole = node.match(WHOLE_PLACEHOLDER_PATTERN);
+        if (!whole) return PLACEHOLDER_PATTERN.test(node) ? undefined : jsonLiteral(node);
+
+        const { path: sourcePath, transforms } = parsePlaceholder(whole[1]);
+        const entry = transforms.length === 0 ? resolve(sourcePath) : null;
+        return entry && entry.key === sourcePath && entry.liquid ? `{{ ${entry.liquid} | json }}` : undefined;
+    }
+
+    if (Array.isArray(node)) {
+        const items = node
+            .map(item => renderFallbackNode(item, resolve, `${indent}  `))
+            .filter(item => item !== undefined);
+        return items.length === 0 ? '[]' : `[\n${items.map(item => `${indent}  ${item}`).join(',\n')}\n${indent}]`;
+    }
+
+    if (!node || typeof node !== 'object') return JSON.stringify(node);
+    if (node[REPEAT_KEY] || node[VARIANTS_KEY]) return undefined;
+
+    const computed = Object.keys(node)
+        .filter(key => key.endsWith(RULE_KEY_SUFFIX) || key.endsWith(EXPR_KEY_SUFFIX))
+        .map(key => key.slice(0, -(key.endsWith(RULE_KEY_SUFFIX) ? RULE_KEY_SUFFIX : EXPR_KEY_SUFFIX).length));
+    const container = lastKey !== null ? RULE_CONTAINERS[lastKey] : undefined;
+    if (container && computed.includes(container.property)) return undefined;
+
+    const properties = Object.keys(node)
+        .filter(key => !key.startsWith('_') && !computed.includes(key))
+        .map(key => [key, renderFallbackNode(node[key], resolve, `${indent}  `, key)])
+        .filter(([, value]) => value !== undefined);
+    if (properties.every(([key]) => key.startsWith('@')) && Object.keys(node).some(key => !key.startsWith('@'))) return undefined;
+
+    return `{\n${properties.map(([key, value]) => `${indent}  ${jsonLiteral(key)}: ${value}`).join(',\n')}\n${indent}}`;
+}
+
+// One `when` branch of the fallback: the page type's templates as one JSON-LD script.
+function fallbackBranch(templates, pageType, resolve) {
+    const schemas = pageTemplates(templates, pageType)
+        .map(({ jsonLdTemplate }) => renderFallbackNode(JSON.parse(jsonLdTemplate), resolve, ''))
+        .filter(schema => schema !== undefined);
+    if (schemas.length === 0) return null;
+
+    // Several templates go out as one JSON array, each indented one step
+    const json = schemas.length === 1 ? schemas[0] : `[\n${schemas.map(schema => schema.replace(/^/gm, '  ')).join(',\n')}\n]`;
+    const script = `<script type="application/ld+json" id="omnigraph-liquid-fallback">\n${json}\n</script>`;
+    const { condition } = LIQUID_PAGES[pageType];
+    return [
+        `  {%- when '${PAGE_TYPES[pageType].liquidTemplate}' -%}`,
+        ...(condition ? [`  {%- if ${condition} -%}`, script, '  {%- endif -%}'] : [script]),
+    ].join('\n');
+}
+
+// One `when` branch of the page data.
+function pageDataBranch(pageType, { entries, unresolved }) {
+    const lines = [`    {%- when '${pageType}' -%}`, '    const pageData = {'];
+    entries.forEach(({ key, liquid, block, note }) => {
+        if (note) lines.push(`        // ${note}`);
+        lines.push(`        '${key}': ${block || `{{ ${liquid} | json }}`},`);
+    });
+    unresolved.forEach(sourcePath => lines.push(`        // Not sent: no Liquid source is known for [${commentSafe(sourcePath)}]`));
+    lines.push('    };');
+    return lines.join('\n');
+}
+
+const markerPattern = (name) => new RegExp(
+    `(\\{%- comment -%\\} generated:${name} \\{%- endcomment -%\\}\\n)[\\s\\S]*?(\\n[ \\t]*\\{%- comment -%\\} end generated:${name} \\{%- endcomment -%\\})`
+);
+
+// Replaces the contents of one generated region of the loader.
+function replaceRegion(loader, name, content) {
+    const pattern = markerPattern(name);
+    if (!pattern.test(loader)) throw new Error(`The loader template has no generated:${name} region`);
+    return loader.replace(pattern, (match, start, end) => `${start}${content}${end}`);
+}
+
+// --- GENERATOR ---
+
+let loaderTemplate = null;
+
+/**
+ * 4. Reads the stock loader the snippet is generated from (once; it ships with the engine).
+ * @returns {Promise<string>} - The Liquid source of deployment/storefront/omnigraph-loader.liquid.
+ */
+async function readLoaderTemplate() {
+    if (loaderTemplate === null) loaderTemplate = await fs.promises.readFile(LOADER_TEMPLATE_PATH, 'utf8');
+    return loaderTemplate;
+}
+
+/**
+ * 5. Generates omnigraph-loader.liquid for a shop's published rules. Page types without a published
+ * template get neither page data nor a fallback, and the loader stops early on them.
+ * @param {{templates: object, version: number}} published - The published rules (see getPublishedRules).
+ * @param {string} loader - The stock loader source (see readLoaderTemplate).
+ * @returns {{liquid: string, pageTypes: object, unresolved: Array<{pageType: string, path: string}>}} -
+ *   The snippet, the data keys sent per page type, and the source paths no Liquid is known for (their
+ *   properties stay missing until the theme sends them).
+ */
+function generateLoaderSnippet({ templates, version }, loader) {
+    const pageTypes = Object.keys(LIQUID_PAGES).filter(pageType => getPageTemplate(templates, pageType));
+
+    const pageData = {};
+    const fallbacks = [];
+    const unresolved = [];
+    pageTypes.forEach(pageType => {
+        pageData[pageType] = collectPageData(templates, pageType);
+        pageData[pageType].unresolved.forEach(sourcePath => unresolved.push({ pageType, path: sourcePath }));
+
+        const fallback = fallbackBranch(templates, pageType, sourcePath => resolveLiquidSource(pageType, sourcePath));
+        if (fallback) fallbacks.push(fallback);
+    });
+
+    const fallbackBlock = [
+        '{%- case template.name -%}',
+        ...fallbacks,
+        '{%- endcase -%}',
+    ].join('\n');
+
+    const pageDataBlock = [
+        `    // Generated from published rules version ${Number(version)}`,
+        '    {% case page_type -%}',
+        ...pageTypes.map(pageType => pageDataBranch(pageType, pageData[pageType])),
+        '    {%- else -%}',
+        '    // No published OmniGraph template for this page type',
+        '    return;',
+        '    {%- endcase %}',
+    ].join('\n');
+
+    const liquid = replaceRegion(replaceRegion(loader, 'liquid-fallback', fallbackBlock), 'page-data', pageDataBlock);
+    return {
+        liquid,
+        pageTypes: Object.fromEntries(pageTypes.map(pageType => [pageType, pageData[pageType].entries.map(({ key }) => key)])),
+        unresolved,
+    };
+}
+
+module.exports = {
+    LOADER_FILENAME,
+    resolveLiquidSource,
+    collectPageData,
+    readLoaderTemplate,
+    generateLoaderSnippet,
+};
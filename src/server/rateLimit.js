@@ -0,0 +1,100 @@
+// --- OmniGraph DSI Engine: Rate Limiting ---
+// Token buckets for the storefront schema endpoints: every visitor IP and every shop gets a bucket
+// of `capacity` requests that refills at `refillPerSecond`. A request that finds its bucket empty is
+// answered 429 with `Retry-After`, which the storefront loader honours by serving its cached schema.
+//
+// Buckets live in a store with one async method, so several engine instances can share a store
+// (e.g. Redis) instead of the in-memory default:
+//   take(key, { capacity, refillPerSecond }) -> { allowed, remaining, retryAfterSeconds }
+
+const DEFAULT_MAX_BUCKETS = 100000;
+
+/**
+ * 1. In-memory bucket store for a single engine instance.
+ * Buckets are kept in least-recently-used order; at `maxBuckets` the least recently used one is dropped,
+ * in constant time however many keys a client makes up (e.g. with forged X-Forwarded-For addresses).
+ * @param {{maxBuckets?: number, now?: function(): number}} [options]
+ * @returns {{take: function, size: number}}
+ */
+function createMemoryBucketStore({ maxBuckets = DEFAULT_MAX_BUCKETS, now = Date.now } = {}) {
+    const buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerSecond }
+
+    const refill = (bucket, time) => {
+        const elapsedSeconds = Math.max(0, time - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.refillPerSecond);
+        bucket.updatedAt = time;
+    };
+
+    return {
+        async take(key, { capacity, refillPerSecond }) {
+            const time = now();
+            // Map iteration order is insertion order: re-inserting on every take keeps the least recently used first
+            let bucket = buckets.get(key);
+            if (bucket) {
+                buckets.delete(key);
+            } else {
+                if (buckets.size >= maxBuckets) buckets.delete(buckets.keys().next().value);
+                bucket = { tokens: capacity, updatedAt: time };
+            }
+            buckets.set(key, bucket);
+            Object.assign(bucket, { capacity, refillPerSecond });
+            refill(bucket, time);
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+            }
+            return { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+        },
+
+        get size() {
+            return buckets.size;
+        },
+    };
+}
+
+/**
+ * 2. Express middleware limiting requests per key.
+ * If the store itself fails the request is let through: a broken limiter must not take every
+ * storefront's schema down with it.
+ * @param {{store: object, name: string, key: function(object): string, capacity: number, refillPerSecond: number}} options
+ *   `key` derives the bucket key from the request (e.g. the client IP or the authenticated shop).
+ * @returns {function} - The middleware.
+ */
+function rateLimit({ store, name, key, capacity, refillPerSecond }) {
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await store.take(`${name}:${key(req)}`, { capacity, refillPerSecond });
+        } catch (e) {
+            console.error(`Rate limit store failed (${name}); allowing request:`, e);
+            return next();
+        }
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({ error: `Too Many Requests: ${name} rate limit exceeded`, retryAfter: result.retryAfterSeconds });
+        }
+        next();
+    };
+}
+
+/**
+ * 3. Returns the client address `hops` proxies back from the engine: 0 is the connecting peer, 1 the
+ * address that peer appended to X-Forwarded-For, and so on (Express counts its numeric `trust proxy`
+ * the same way). Falls back to the farthest address known.
+ * @param {object} req - The request.
+ * @param {number} hops - How many proxies to look through.
+ * @returns {string} - The address.
+ */
+function forwardedAddress(req, hops) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(address => address.trim()).filter(Boolean);
+    const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+    return chain[Math.min(hops, chain.length - 1)];
+}
+
+module.exports = {
+    createMemoryBucketStore,
+    rateLimit,
+    forwardedAddress,
+};
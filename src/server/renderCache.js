@@ -0,0 +1,105 @@
+// --- OmniGraph DSI Engine: Render Cache ---
+// LRU cache of rendered storefront responses, so repeat page views skip template parsing,
+// rendering and validation. Entries are keyed by app ID, published rules version, page type and a
+// hash of the page data, so a publish or a changed product never serves a stale schema; the
+// invalidation hooks free those superseded entries early (publish, rollback, product webhooks).
+// The same LRU also holds each published rule set's compiled render functions (see server.js).
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('base64url');
+
+/**
+ * 1. Identifies the rules an entry was rendered from. Versioned documents are immutable per version;
+ * legacy (version 0) documents can be rewritten in place, so their content is hashed instead.
+ * @param {{version: number, templates: object}} rulesData - From getPublishedRules.
+ * @returns {string}
+ */
+function rulesVersionKey(rulesData) {
+    return rulesData.version > 0 ? `v${rulesData.version}` : `v0-${hash(JSON.stringify(rulesData.templates))}`;
+}
+
+/**
+ * 2. An ETag (strong) for the content a response is made of.
+ * @param {string} body - The content (for a rendered page: its rules version key and schema).
+ * @returns {string} - The quoted entity tag.
+ */
+function etagFor(body) {
+    return `"${hash(body).slice(0, 27)}"`;
+}
+
+/**
+ * 3. True if an `If-None-Match` header matches `etag` (weak comparison, as for GET revalidation).
+ * @param {string|undefined} header - The request header.
+ * @param {string} etag - The current entity tag.
+ * @returns {boolean}
+ */
+function matchesIfNoneMatch(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * 4. Creates the LRU render cache.
+ * @param {{maxEntries?: number}} [options]
+ * @returns {object} - { keyFor, get, set, invalidateShop, invalidateProduct, size }.
+ */
+function createRenderCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    // Map iteration order is insertion order: re-inserting on every hit keeps the oldest first
+    const entries = new Map(); // key -> { appId, productId, value }
+
+    const deleteWhere = (test) => {
+        let count = 0;
+        for (const [key, entry] of entries) {
+            if (test(entry)) {
+                entries.delete(key);
+                count++;
+            }
+        }
+        return count;
+    };
+
+    return {
+        keyFor(appId, rulesData, pageType, productData) {
+            return `${appId}|${rulesVersionKey(rulesData)}|${pageType}|${hash(JSON.stringify(productData))}`;
+        },
+
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        // `productId` tags the entry so product webhooks can drop it.
+        set(key, value, { appId, productId } = {}) {
+            entries.delete(key);
+            entries.set(key, { appId, productId: productId == null ? null : String(productId), value });
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+
+        invalidateShop(appId) {
+            return deleteWhere(entry => entry.appId === appId);
+        },
+
+        invalidateProduct(appId, productId) {
+            return deleteWhere(entry => entry.appId === appId && entry.productId === String(productId));
+        },
+
+        get size() {
+            return entries.size;
+        },
+    };
+}
+
+module.exports = {
+    rulesVersionKey,
+    etagFor,
+    matchesIfNoneMatch,
+    createRenderCache,
+};
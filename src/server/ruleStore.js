@@ -0,0 +1,278 @@
+// --- OmniGraph DSI Engine: Rule Store ---
+// Storage adapters for the per-app rule documents the DSI engine renders from.
+// Every adapter implements the same async interface, so server.js never knows where rules live:
+//   getRules(appId)            -> the rule document, or null if this app has none
+//   putRules(appId, rulesDoc)  -> stores the document, replacing any previous one
+//   deleteRules(appId)         -> removes the document (e.g. when a shop uninstalls)
+//   updateRules(appId, update) -> atomic read-modify-write: `update(current, versions)` returns the new
+//                                 document (null deletes it); concurrent updates never interleave.
+//                                 `versions.create(record)` adds a published version ({ version,
+//                                 templates, author, ... }) in the same write: both are stored or neither
+//                                 is, and the write fails with code VERSION_EXISTS if the number is taken
+//   getVersion(appId, version) -> one version record, or null
+//   listVersions(appId)        -> all version records, oldest first
+//   deleteVersions(appId)      -> removes the whole version history (uninstall / shop redact)
+// Version records form the publish history and are never modified once written.
+// A rule document is { templates: { [pageType]: { jsonLdTemplate, mappings } } } (see
+// src/shared/pageTypes.js); documents saved before page types existed hold a single product template.
+
+const fs = require('fs');
+const path = require('path');
+
+// App IDs become file names and Firestore path segments, so only a safe character set is allowed.
+const APP_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+/**
+ * Returns true if `appId` is a well-formed app/shop identifier.
+ * @param {*} appId - The app ID from the request.
+ * @returns {boolean}
+ */
+function isValidAppId(appId) {
+    return typeof appId === 'string' && APP_ID_PATTERN.test(appId) && !appId.includes('..');
+}
+
+const assertAppId = (appId) => {
+    if (!isValidAppId(appId)) throw new Error(`Invalid app ID: ${JSON.stringify(appId)}`);
+};
+
+const versionExists = (version) => Object.assign(new Error(`Version ${version} already exists`), { code: 'VERSION_EXISTS' });
+
+/**
+ * The Firestore document the Admin UI saves an app's rules to.
+ * @param {string} appId - The app ID.
+ * @returns {string} - The document path.
+ */
+function rulesDocumentPath(appId) {
+    return `artifacts/${appId}/public/data/omnigraph/rules`;
+}
+
+// --- ADAPTERS ---
+
+/**
+ * 1. File adapter for local development: one JSON file per app in `directory`.
+ * Writes go to a temporary file first and are renamed into place, so a crash mid-write never
+ * leaves a truncated document behind.
+ * @param {{directory: string}} options - Where the rule files live (created on first write).
+ * @returns {object} - A rule store.
+ */
+function createFileRuleStore({ directory }) {
+    const fileFor = (appId) => path.join(directory, `${appId}.json`);
+    const versionsDirFor = (appId) => path.join(directory, `${appId}.versions`);
+
+    const readJson = async (file) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    };
+
+    const writeJson = async (file, value) => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temporary = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(value, null, 2));
+        await fs.promises.rename(temporary, file);
+    };
+
+    // Per-app queue so read-modify-write cycles in this process run one at a time
+    const locks = new Map();
+    const withLock = (appId, task) => {
+        const run = (locks.get(appId) || Promise.resolve()).then(task);
+        const settled = run.catch(() => {});
+        locks.set(appId, settled);
+        settled.then(() => {
+            if (locks.get(appId) === settled) locks.delete(appId);
+        });
+        return run;
+    };
+
+    const versionFileFor = (appId, version) => path.join(versionsDirFor(appId), `${version}.json`);
+
+    const store = {
+        name: 'file',
+
+        async getRules(appId) {
+            assertAppId(appId);
+            return readJson(fileFor(appId));
+        },
+
+        async putRules(appId, rulesDoc) {
+            assertAppId(appId);
+            await writeJson(fileFor(appId), rulesDoc);
+        },
+
+        async deleteRules(appId) {
+            assertAppId(appId);
+            try {
+                await fs.promises.unlink(fileFor(appId));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        },
+
+        updateRules(appId, update) {
+            assertAppId(appId);
+            return withLock(appId, async () => {
+                const records = [];
+                const next = await update(await store.getRules(appId), { create: (record) => records.push(record) });
+
+                for (const record of records) {
+                    if (await readJson(versionFileFor(appId, record.version))) throw versionExists(record.version);
+                }
+                // Version records go first; if the document write then fails they are removed again, so
+                // no version number is left taken without a document that counts it
+                await Promise.all(records.map(record => writeJson(versionFileFor(appId, record.version), record)));
+                try {
+                    if (next === null) {
+                        await store.deleteRules(appId);
+                    } else {
+                        await store.putRules(appId, next);
+                    }
+                } catch (e) {
+                    await Promise.all(records.map(record => fs.promises.rm(versionFileFor(appId, record.version), { force: true })));
+                    throw e;
+                }
+                return next;
+            });
+        },
+
+        async getVersion(appId, version) {
+            assertAppId(appId);
+            if (!Number.isInteger(version)) return null;
+            return readJson(versionFileFor(appId, version));
+        },
+
+        async listVersions(appId) {
+            assertAppId(appId);
+            let files;
+            try {
+                files = await fs.promises.readdir(versionsDirFor(appId));
+            } catch (e) {
+                if (e.code === 'ENOENT') return [];
+                throw e;
+            }
+            const versions = files
+                .filter(file => /^\d+\.json$/.test(file))
+                .map(file => parseInt(file, 10))
+                .sort((a, b) => a - b);
+            return Promise.all(versions.map(version => store.getVersion(appId, version)));
+        },
+
+        async deleteVersions(appId) {
+            assertAppId(appId);
+            await fs.promises.rm(versionsDirFor(appId), { recursive: true, force: true });
+        },
+    };
+    return store;
+}
+
+/**
+ * 2. Firestore adapter: reads the same documents the Admin UI writes (see rulesDocumentPath).
+ * @param {{firestore: object}} options - A firebase-admin Firestore instance.
+ * @returns {object} - A rule store.
+ */
+function createFirestoreRuleStore({ firestore }) {
+    const versionRef = (appId, version) => firestore.doc(`${rulesDocumentPath(appId)}/versions/${version}`);
+
+    return {
+        name: 'firestore',
+
+        async getRules(appId) {
+            assertAppId(appId);
+            const snapshot = await firestore.doc(rulesDocumentPath(appId)).get();
+            return snapshot.exists ? snapshot.data() : null;
+        },
+
+        async putRules(appId, rulesDoc) {
+            assertAppId(appId);
+            await firestore.doc(rulesDocumentPath(appId)).set(rulesDoc);
+        },
+
+        async deleteRules(appId) {
+            assertAppId(appId);
+            await firestore.doc(rulesDocumentPath(appId)).delete();
+        },
+
+        async updateRules(appId, update) {
+            assertAppId(appId);
+            const ref = firestore.doc(rulesDocumentPath(appId));
+            let records = [];
+            try {
+                // Firestore retries the transaction if the document changes underneath it. Every attempt
+                // starts over, and version records are only written when the document write commits.
+                return await firestore.runTransaction(async (transaction) => {
+                    records = [];
+                    const snapshot = await transaction.get(ref);
+                    const next = await update(snapshot.exists ? snapshot.data() : null, { create: (record) => records.push(record) });
+                    // create() rather than set(): two publishes racing for the same number must not overwrite
+                    records.forEach(record => transaction.create(versionRef(appId, record.version), record));
+                    if (next === null) {
+                        transaction.delete(ref);
+                    } else {
+                        transaction.set(ref, next);
+                    }
+                    return next;
+                });
+            } catch (e) {
+                // 6 = gRPC ALREADY_EXISTS
+                throw e.code === 6 ? versionExists(records.map(record => record.version).join(', ')) : e;
+            }
+        },
+
+        async getVersion(appId, version) {
+            assertAppId(appId);
+            if (!Number.isInteger(version)) return null;
+            const snapshot = await versionRef(appId, version).get();
+            return snapshot.exists ? snapshot.data() : null;
+        },
+
+        async listVersions(appId) {
+            assertAppId(appId);
+            const snapshot = await firestore.collection(`${rulesDocumentPath(appId)}/versions`).orderBy('version').get();
+            return snapshot.docs.map(doc => doc.data());
+        },
+
+        async deleteVersions(appId) {
+            assertAppId(appId);
+            const snapshot = await firestore.collection(`${rulesDocumentPath(appId)}/versions`).get();
+            // A write batch holds at most 500 operations
+            for (let start = 0; start < snapshot.docs.length; start += 500) {
+                const batch = firestore.batch();
+                snapshot.docs.slice(start, start + 500).forEach(doc => batch.delete(doc.ref));
+                await batch.commit();
+            }
+        },
+    };
+}
+
+/**
+ * 3. Creates the rule store selected by configuration.
+ * - 'file' (default): JSON files under `directory`, for local development.
+ * - 'firestore': the Admin UI's Firestore project, via firebase-admin and the standard
+ *   GOOGLE_APPLICATION_CREDENTIALS service-account credentials.
+ * @param {{adapter?: string, directory?: string}} [options] - Store options.
+ * @returns {object} - A rule store.
+ */
+function createRuleStore({ adapter = 'file', directory = path.join(process.cwd(), '.omnigraph', 'rules') } = {}) {
+    switch (adapter) {
+        case 'file':
+            return createFileRuleStore({ directory });
+        case 'firestore': {
+            // Only loaded when selected, so local development doesn't need firebase-admin installed
+            const admin = require('firebase-admin');
+            if (admin.apps.length === 0) admin.initializeApp();
+            return createFirestoreRuleStore({ firestore: admin.firestore() });
+        }
+        default:
+            throw new Error(`Unknown rule store adapter: ${adapter}`);
+    }
+}
+
+module.exports = {
+    isValidAppId,
+    rulesDocumentPath,
+    createFileRuleStore,
+    createFirestoreRuleStore,
+    createRuleStore,
+};
@@ -0,0 +1,557 @@
+// --- OmniGraph DSI Engine: Rules Management API ---
+// Authenticated routes the Admin UI uses to manage and publish an app's rule sets (the admin key, or
+// an admin session for the app; see adminAuth.js).
+// A rule set is the { jsonLdTemplate, mappings } pair for one page type (see src/shared/pageTypes.js).
+// Edits only change the draft; the engine keeps serving the pinned published version until the
+// draft is published, which records an immutable version (author, note, timestamp) for rollback.
+// Every write bumps the document's `revision`; a write carrying an older revision than the stored
+// one is rejected with 409 "Node Collision" so concurrent admin sessions never overwrite each other.
+//
+//   GET    /:appId/rules                   list the draft rule sets and the published version
+//   GET    /:appId/rules/:pageType         read one draft rule set
+//   POST   /:appId/rules                   create a draft rule set  { pageType, jsonLdTemplate, mappings, revision }
+//   PUT    /:appId/rules/:pageType         update a draft rule set  { jsonLdTemplate, mappings, revision }
+//   DELETE /:appId/rules/:pageType?revision=N
+//   POST   /:appId/publish                 publish the draft        { revision, author, note, templates? }
+//   GET    /:appId/versions                version history
+//   GET    /:appId/versions/:version       one version with its templates
+//   POST   /:appId/versions/:version/rollback   republish a version  { revision, author, note? }
+//   GET    /:appId/keys                    list the shop's publishable storefront keys
+//   POST   /:appId/keys                    create a publishable key { label } (the key is only shown once)
+//   POST   /:appId/keys/:keyId/rotate      replace a key { overlapSeconds } (the old key works until then)
+//   DELETE /:appId/keys/:keyId             revoke a publishable key
+//   GET    /:appId/loader-snippet          omnigraph-loader.liquid for the published rules (?format=liquid for the file alone)
+
+const express = require('express');
+const crypto = require('crypto');
+const { PAGE_TYPES, getPageTemplates, getPageTemplate, isPageType } = require('../shared/pageTypes');
+const { validateSchema } = require('../shared/schemaValidator');
+const { checkTransform } = require('../shared/transforms');
+const { parseExpression } = require('../shared/expressions');
+const { checkPattern } = require('../shared/ruleLanguage');
+const { isValidAppId } = require('./ruleStore');
+const { generatePublishableKey, hashPublishableKey, isKeyActive } = require('./storefrontAuth');
+const { requireAdmin, canAdminister } = require('./adminAuth');
+const { LOADER_FILENAME, readLoaderTemplate, generateLoaderSnippet } = require('./loaderSnippet');
+
+const MAPPING_TYPES = ['Text', 'Condition', 'Expression'];
+// How long a rotated publishable key keeps working by default, so themes can switch to the new one
+const DEFAULT_KEY_OVERLAP_SECONDS = 7 * 24 * 60 * 60;
+const MAX_KEY_OVERLAP_SECONDS = 90 * 24 * 60 * 60;
+const CONDITION_TYPES = ['and', 'or', 'comparison'];
+
+// Thrown inside a store update to abort it and answer with `status` (plus any `extra` fields).
+class RulesApiError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.name = 'RulesApiError';
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The comparisons in a condition tree, with their payload paths.
+const comparisonsOf = (node, path) => {
+    if (!isPlainObject(node)) return [];
+    if (node.type === 'comparison') return [{ comparison: node, path }];
+    return Array.isArray(node.conditions)
+        ? node.conditions.flatMap((child, index) => comparisonsOf(child, `${path}.conditions[${index}]`))
+        : [];
+};
+
+// --- VALIDATION ---
+
+/**
+ * Checks a single mapping row as saved by NodeMapper.
+ * @returns {Array<{path: string, message: string}>} - The problems found.
+ */
+function validateMapping(mapping, path) {
+    if (!isPlainObject(mapping)) return [{ path, message: 'Expected a mapping object' }];
+
+    const problems = [];
+    if (typeof mapping.id !== 'number' && typeof mapping.id !== 'string') {
+        problems.push({ path: `${path}.id`, message: 'Expected a number or string' });
+    }
+    if (typeof mapping.target !== 'string') {
+        problems.push({ path: `${path}.target`, message: 'Expected a string' });
+    }
+    if (!MAPPING_TYPES.includes(mapping.type)) {
+        problems.push({ path: `${path}.type`, message: `Expected one of ${MAPPING_TYPES.join(', ')}` });
+    }
+    if (mapping.source !== undefined && typeof mapping.source !== 'string') {
+        problems.push({ path: `${path}.source`, message: 'Expected a string' });
+    }
+    if (mapping.condition != null && !(isPlainObject(mapping.condition) && CONDITION_TYPES.includes(mapping.condition.type))) {
+        problems.push({ path: `${path}.condition`, message: 'Expected a condition tree or null' });
+    }
+    comparisonsOf(mapping.condition, `${path}.condition`)
+        .filter(({ comparison }) => comparison.operator === 'matches')
+        .forEach(({ comparison, path: comparisonPath }) => {
+            const problem = checkPattern(comparison.value);
+            if (problem) problems.push({ path: `${comparisonPath}.value`, message: problem });
+        });
+    if (mapping.transforms !== undefined) {
+        if (!Array.isArray(mapping.transforms)) {
+            problems.push({ path: `${path}.transforms`, message: 'Expected an array' });
+        } else {
+            mapping.transforms.forEach((transform, index) => {
+                if (!isPlainObject(transform) || typeof transform.name !== 'string' || (transform.args !== undefined && !Array.isArray(transform.args))) {
+                    problems.push({ path: `${path}.transforms[${index}]`, message: 'Expected { name, args } with a known transform name' });
+                    return;
+                }
+                const problem = checkTransform(transform);
+                if (problem) problems.push({ path: `${path}.transforms[${index}]`, message: problem });
+            });
+        }
+    }
+    if (mapping.type === 'Expression') {
+        try {
+            parseExpression(mapping.expression);
+        } catch (e) {
+            problems.push({ path: `${path}.expression`, message: e.message });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Checks a rule set payload. The template must render (no syntax errors); schema.org and Google
+ * findings are returned as `validation` instead of blocking the save, like the engine does.
+ * @param {object} ruleSet - { jsonLdTemplate, mappings }.
+ * @param {string} path - The payload path, for messages.
+ * @returns {{problems: Array<object>, validation: {errors: Array, warnings: Array}}}
+ */
+function validateRuleSet(ruleSet, path = '$') {
+    if (!isPlainObject(ruleSet)) {
+        return { problems: [{ path, message: 'Expected { jsonLdTemplate, mappings }' }], validation: { errors: [], warnings: [] } };
+    }
+
+    const problems = [];
+    let validation = { errors: [], warnings: [] };
+
+    if (typeof ruleSet.jsonLdTemplate !== 'string') {
+        problems.push({ path: `${path}.jsonLdTemplate`, message: 'Expected the JSON-LD template as a string' });
+    } else {
+        const { errors, warnings } = validateSchema(ruleSet.jsonLdTemplate, { mode: 'template' });
+        errors.filter(error => error.syntax)
+            .forEach(error => problems.push({ path: `${path}.jsonLdTemplate${error.path.slice(1)}`, message: error.message }));
+        validation = { errors: errors.filter(error => !error.syntax), warnings };
+    }
+
+    if (typeof ruleSet.mappings === 'string') {
+        problems.push({ path: `${path}.mappings`, message: 'Expected an array of mappings, not a JSON string' });
+    } else if (!Array.isArray(ruleSet.mappings)) {
+        problems.push({ path: `${path}.mappings`, message: 'Expected an array of mappings' });
+    } else {
+        ruleSet.mappings.forEach((mapping, index) => problems.push(...validateMapping(mapping, `${path}.mappings[${index}]`)));
+    }
+
+    return { problems, validation };
+}
+
+const assertPageType = (pageType) => {
+    if (!isPageType(pageType)) throw new RulesApiError(400, `Unknown page type: ${pageType}`);
+};
+
+// Rejects writes based on an outdated revision (API spec: 409 Node Collision).
+const assertRevision = (rulesDoc, revision) => {
+    const current = (rulesDoc && rulesDoc.revision) || 0;
+    if (!Number.isInteger(revision)) {
+        throw new RulesApiError(400, 'Missing or invalid revision (the revision your edit is based on)');
+    }
+    if (revision !== current) {
+        throw new RulesApiError(409, 'Node Collision: the rules were changed by someone else', { currentRevision: current });
+    }
+};
+
+const toRuleSet = ({ jsonLdTemplate, mappings }, updatedAt) => ({ jsonLdTemplate, mappings, updatedAt });
+
+// --- DRAFT / PUBLISH LIFECYCLE ---
+// An app's document holds the editable draft and the pinned published version:
+//   { draft: { [pageType]: ruleSet }, published: { version, templates, author, note, publishedAt } | null,
+//     latestVersion, revision, updatedAt }
+// Documents written before the lifecycle existed ({ templates } or a bare product template) were
+// served directly, so they read as both the draft and an implicit published "version 0".
+
+const emptyLifecycle = () => ({ draft: {}, published: null, latestVersion: 0, revision: 0 });
+
+function toLifecycle(rulesDoc) {
+    if (rulesDoc.draft) return { latestVersion: 0, published: null, revision: 0, ...rulesDoc };
+
+    const templates = getPageTemplates(rulesDoc);
+    return {
+        publishableKeys: rulesDoc.publishableKeys,
+        draft: templates,
+        published: { version: 0, templates, author: null, note: 'Published before version history', publishedAt: rulesDoc.updatedAt || null },
+        latestVersion: 0,
+        revision: rulesDoc.revision || 0,
+        updatedAt: rulesDoc.updatedAt,
+    };
+}
+
+/**
+ * Returns the published rules the DSI engine serves, in the { templates } form processDsiPage takes.
+ * @param {object} rulesDoc - The app's stored document.
+ * @returns {object|null} - The published rules, or null if nothing has been published yet.
+ */
+function getPublishedRules(rulesDoc) {
+    const { published } = toLifecycle(rulesDoc);
+    return published ? { templates: published.templates, version: published.version } : null;
+}
+
+const contentOf = (templates) => JSON.stringify(Object.keys(templates).sort()
+    .map(pageType => [pageType, templates[pageType].jsonLdTemplate, templates[pageType].mappings]));
+
+const hasUnpublishedChanges = (lifecycle) => !lifecycle.published ||
+    contentOf(lifecycle.draft) !== contentOf(lifecycle.published.templates);
+
+const versionSummary = ({ version, author, note, publishedAt, rollbackOf }) => ({
+    version, author, note, publishedAt, ...(rollbackOf !== undefined && { rollbackOf }),
+});
+
+// Author and note recorded with a published version.
+const versionDetails = ({ author, note }) => {
+    if (author !== undefined && typeof author !== 'string') throw new RulesApiError(400, 'author must be a string');
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+        throw new RulesApiError(400, 'note must be a string of at most 500 characters');
+    }
+    return { author: author || 'unknown', note: note || '' };
+};
+
+// --- SHARED ROUTE HELPERS ---
+// Also used by the graph API (graphApi.js), which edits the same documents.
+
+// Runs a read-modify-write against the app's document (in lifecycle form), bumping its revision.
+// `change(lifecycle, versions)` returns the next lifecycle, or null to delete the document; version
+// records it creates are stored in the same write (see ruleStore.js). A taken version number is a 409.
+const writeLifecycle = async (ruleStore, appId, change) => {
+    try {
+        return await ruleStore.updateRules(appId, async (current, versions) => {
+            const lifecycle = current ? toLifecycle(current) : null;
+            const next = await change(lifecycle, versions);
+            if (next === null) return null;
+            return { ...next, revision: ((lifecycle && lifecycle.revision) || 0) + 1, updatedAt: new Date().toISOString() };
+        });
+    } catch (e) {
+        if (e.code === 'VERSION_EXISTS') throw new RulesApiError(409, 'Node Collision: another publish took this version number');
+        throw e;
+    }
+};
+
+// Wraps an async route: RulesApiErrors answer with their status, anything else with 500.
+const handle = (route) => async (req, res) => {
+    try {
+        await route(req, res);
+    } catch (e) {
+        if (e instanceof RulesApiError) {
+            return res.status(e.status).json({ error: e.message, ...e.extra });
+        }
+        console.error('Rules API Error:', e);
+        res.status(500).json({ error: 'Rule store operation failed.' });
+    }
+};
+
+// --- ROUTER ---
+
+/**
+ * Creates the rules management router (mounted under /api/v1/apps).
+ * @param {{ruleStore: object, adminKeys: Array<string>, sessionSecrets: Array<string>, onPublished?: function,
+ *   onDraftChanged?: function}} options - The rule store, the active admin API keys (more than one while
+ *   rotating) and admin session secrets (see adminAuth.js) expected as `Authorization: Bearer <token>`,
+ *   a hook called with (appId, published) after every publish or rollback,
+ *   and one called with (appId, { pageType, revision }) after a draft rule set is created, updated or deleted.
+ * @returns {express.Router}
+ */
+function createRulesRouter({ ruleStore, adminKeys, sessionSecrets, onPublished = () => {}, onDraftChanged = () => {} }) {
+    const router = express.Router();
+
+    // 1. Admin authentication (an admin session only reaches its own shop)
+    router.use(requireAdmin({ adminKeys, sessionSecrets }));
+
+    router.param('appId', (req, res, next, appId) => {
+        if (!isValidAppId(appId)) return res.status(400).json({ error: 'Invalid appId' });
+        if (!canAdminister(req, appId)) return res.status(403).json({ error: 'Forbidden: this session belongs to another shop' });
+        next();
+    });
+
+    const writeRules = (appId, change) => writeLifecycle(ruleStore, appId, change);
+
+    const validateOrThrow = (ruleSet, path) => {
+        const { problems, validation } = validateRuleSet(ruleSet, path);
+        if (problems.length > 0) throw new RulesApiError(400, 'Invalid rule set', { details: problems });
+        return validation;
+    };
+
+    const readLifecycle = async (appId) => {
+        const rulesDoc = await ruleStore.getRules(appId);
+        if (!rulesDoc) throw new RulesApiError(404, 'No rules for this app.');
+        return toLifecycle(rulesDoc);
+    };
+
+    // Appends an immutable version record (written together with the document) and pins it as the published version.
+    const publishVersion = (versions, lifecycle, templates, { author, note, rollbackOf }) => {
+        const record = {
+            version: lifecycle.latestVersion + 1,
+            templates,
+            author,
+            note,
+            publishedAt: new Date().toISOString(),
+            ...(rollbackOf !== undefined && { rollbackOf }),
+        };
+        versions.create(record);
+        return { ...lifecycle, published: record, latestVersion: record.version };
+    };
+
+    // 2. List the app's draft rule sets and the published version
+    router.get('/:appId/rules', handle(async (req, res) => {
+        const lifecycle = await readLifecycle(req.params.appId);
+        res.json({
+            appId: req.params.appId,
+            revision: lifecycle.revision,
+            updatedAt: lifecycle.updatedAt || null,
+            published: lifecycle.published && versionSummary(lifecycle.published),
+            hasUnpublishedChanges: hasUnpublishedChanges(lifecycle),
+            ruleSets: Object.keys(lifecycle.draft).map(pageType => ({
+                pageType,
+                label: isPageType(pageType) ? PAGE_TYPES[pageType].label : pageType,
+                updatedAt: lifecycle.draft[pageType].updatedAt || null,
+            })),
+        });
+    }));
+
+    // 3. Read one draft rule set
+    router.get('/:appId/rules/:pageType', handle(async (req, res) => {
+        const lifecycle = await readLifecycle(req.params.appId);
+        const ruleSet = getPageTemplate(lifecycle.draft, req.params.pageType);
+        if (!ruleSet) throw new RulesApiError(404, `No ${req.params.pageType} rule set for this app.`);
+
+        res.json({ pageType: req.params.pageType, revision: lifecycle.revision, ...ruleSet });
+    }));
+
+    // 4. Create a draft rule set
+    router.post('/:appId/rules', handle(async (req, res) => {
+        const { pageType, revision } = req.body;
+        assertPageType(pageType);
+        const validation = validateOrThrow(req.body, '$');
+
+        const saved = await writeRules(req.params.appId, (current) => {
+            const lifecycle = current || emptyLifecycle();
+            assertRevision(lifecycle, revision);
+            if (getPageTemplate(lifecycle.draft, pageType)) throw new RulesApiError(409, `A ${pageType} rule set already exists; update it instead.`);
+            return { ...lifecycle, draft: { ...lifecycle.draft, [pageType]: toRuleSet(req.body, new Date().toISOString()) } };
+        });
+
+        onDraftChanged(req.params.appId, { pageType, revision: saved.revision });
+        res.status(201).json({ pageType, revision: saved.revision, ...saved.draft[pageType], validation });
+    }));
+
+    // 5. Update a draft rule set
+    router.put('/:appId/rules/:pageType', handle(async (req, res) => {
+        const { pageType } = req.params;
+        assertPageType(pageType);
+        const validation = validateOrThrow(req.body, '$');
+
+        const saved = await writeRules(req.params.appId, (lifecycle) => {
+            if (!lifecycle || !getPageTemplate(lifecycle.draft, pageType)) throw new RulesApiError(404, `No ${pageType} rule set for this app.`);
+            assertRevision(lifecycle, req.body.revision);
+            return { ...lifecycle, draft: { ...lifecycle.draft, [pageType]: toRuleSet(req.body, new Date().toISOString()) } };
+        });
+
+        onDraftChanged(req.params.appId, { pageType, revision: saved.revision });
+        res.json({ pageType, revision: saved.revision, ...saved.draft[pageType], validation });
+    }));
+
+    // 6. Delete a draft rule set (the published version keeps serving until the next publish)
+    router.delete('/:appId/rules/:pageType', handle(async (req, res) => {
+        const { pageType } = req.params;
+        const revision = req.query.revision === undefined ? undefined : Number(req.query.revision);
+
+        const saved = await writeRules(req.params.appId, (lifecycle) => {
+            if (!lifecycle || !getPageTemplate(lifecycle.draft, pageType)) throw new RulesApiError(404, `No ${pageType} rule set for this app.`);
+            assertRevision(lifecycle, revision);
+            const draft = { ...lifecycle.draft };
+            delete draft[pageType];
+            return Object.keys(draft).length === 0 && !lifecycle.published ? null : { ...lifecycle, draft };
+        });
+
+        onDraftChanged(req.params.appId, { pageType, revision: saved ? saved.revision : null });
+        res.json({ pageType, deleted: true, revision: saved ? saved.revision : null });
+    }));
+
+    // 7. Publish the draft as a new version (optionally replacing the draft in the same write)
+    router.post('/:appId/publish', handle(async (req, res) => {
+        const { templates, revision } = req.body;
+        const details = versionDetails(req.body);
+
+        const validation = {};
+        if (templates !== undefined) {
+            if (!isPlainObject(templates) || Object.keys(templates).length === 0) {
+                throw new RulesApiError(400, 'Expected templates: { [pageType]: { jsonLdTemplate, mappings } }');
+            }
+            Object.keys(templates).forEach(pageType => {
+                assertPageType(pageType);
+                validation[pageType] = validateOrThrow(templates[pageType], `$.templates.${pageType}`);
+            });
+        }
+
+        const saved = await writeRules(req.params.appId, async (current, versions) => {
+            const lifecycle = current || emptyLifecycle();
+            assertRevision(lifecycle, revision);
+
+            let draft = lifecycle.draft;
+            if (templates !== undefined) {
+                const updatedAt = new Date().toISOString();
+                draft = {};
+                Object.keys(templates).forEach(pageType => {
+                    draft[pageType] = toRuleSet(templates[pageType], updatedAt);
+                });
+            }
+            if (Object.keys(draft).length === 0) throw new RulesApiError(400, 'Nothing to publish: the draft has no rule sets.');
+
+            return publishVersion(versions, { ...lifecycle, draft }, draft, details);
+        });
+
+        onPublished(req.params.appId, saved.published);
+        console.log(`Rules published for App ID ${req.params.appId} (version ${saved.published.version})`);
+        res.json({ appId: req.params.appId, revision: saved.revision, published: versionSummary(saved.published), validation });
+    }));
+
+    // 8. Version history (newest first, without the templates)
+    router.get('/:appId/versions', handle(async (req, res) => {
+        const lifecycle = await readLifecycle(req.params.appId);
+        const versions = await ruleStore.listVersions(req.params.appId);
+        res.json({
+            appId: req.params.appId,
+            revision: lifecycle.revision,
+            publishedVersion: lifecycle.published ? lifecycle.published.version : null,
+            versions: versions.map(versionSummary).reverse(),
+        });
+    }));
+
+    // 9. One version, with its templates (for diffing in the admin)
+    router.get('/:appId/versions/:version', handle(async (req, res) => {
+        const record = await ruleStore.getVersion(req.params.appId, Number(req.params.version));
+        if (!record) throw new RulesApiError(404, `Version ${req.params.version} not found.`);
+        res.json(record);
+    }));
+
+    // 10. Roll back: republish an earlier version's templates as a new version (history stays append-only)
+    router.post('/:appId/versions/:version/rollback', handle(async (req, res) => {
+        const target = Number(req.params.version);
+        const record = await ruleStore.getVersion(req.params.appId, target);
+        if (!record) throw new RulesApiError(404, `Version ${req.params.version} not found.`);
+        const details = versionDetails({ note: `Rollback to version ${target}`, ...req.body });
+
+        const saved = await writeRules(req.params.appId, (lifecycle, versions) => {
+            if (!lifecycle) throw new RulesApiError(404, 'No rules for this app.');
+            assertRevision(lifecycle, req.body.revision);
+            return publishVersion(versions, lifecycle, record.templates, { ...details, rollbackOf: target });
+        });
+
+        onPublished(req.params.appId, saved.published);
+        console.log(`Rules for App ID ${req.params.appId} rolled back to version ${target} (now version ${saved.published.version})`);
+        res.json({ appId: req.params.appId, revision: saved.revision, published: versionSummary(saved.published) });
+    }));
+
+    // Publishable keys are shop settings, not rule content, so they don't bump the revision.
+    // A shop without rules gets an empty draft to hold its keys; expired keys are dropped on every write.
+    const updateKeys = (appId, change) => ruleStore.updateRules(appId, (current) => {
+        const publishableKeys = change((current && current.publishableKeys) || []).filter(entry => isKeyActive(entry));
+        if (!current && publishableKeys.length === 0) return null;
+        return { ...(current || emptyLifecycle()), publishableKeys };
+    });
+
+    const keySummary = (entry) => ({
+        id: entry.id,
+        label: entry.label,
+        hint: entry.hint,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt || null,
+        active: isKeyActive(entry),
+    });
+
+    const newKeyEntry = (label) => {
+        const key = generatePublishableKey();
+        return { key, entry: { id: crypto.randomUUID(), label, hint: key.slice(-4), hash: hashPublishableKey(key), createdAt: new Date().toISOString() } };
+    };
+
+    // 11. List publishable storefront keys (only their last characters are ever shown again)
+    router.get('/:appId/keys', handle(async (req, res) => {
+        const rulesDoc = await ruleStore.getRules(req.params.appId);
+        res.json({ keys: ((rulesDoc && rulesDoc.publishableKeys) || []).map(keySummary) });
+    }));
+
+    // 12. Create a publishable key for non-proxy storefronts
+    router.post('/:appId/keys', handle(async (req, res) => {
+        const { label = '' } = req.body;
+        if (typeof label !== 'string' || label.length > 100) throw new RulesApiError(400, 'label must be a string of at most 100 characters');
+
+        const { key, entry } = newKeyEntry(label);
+        await updateKeys(req.params.appId, keys => [...keys, entry]);
+
+        res.status(201).json({ ...keySummary(entry), key });
+    }));
+
+    // 13. Rotate a publishable key: issue its replacement and let the old one expire after the overlap
+    router.post('/:appId/keys/:keyId/rotate', handle(async (req, res) => {
+        const { overlapSeconds = DEFAULT_KEY_OVERLAP_SECONDS } = req.body;
+        if (!Number.isInteger(overlapSeconds) || overlapSeconds < 0 || overlapSeconds > MAX_KEY_OVERLAP_SECONDS) {
+            throw new RulesApiError(400, `overlapSeconds must be an integer from 0 to ${MAX_KEY_OVERLAP_SECONDS}`);
+        }
+
+        let replacement = null;
+        let retired = null;
+        await updateKeys(req.params.appId, keys => {
+            const old = keys.find(entry => entry.id === req.params.keyId && isKeyActive(entry));
+            if (!old) return keys;
+            const expiresAt = new Date(Date.now() + overlapSeconds * 1000).toISOString();
+            retired = { ...old, expiresAt: old.expiresAt && old.expiresAt < expiresAt ? old.expiresAt : expiresAt };
+            replacement = newKeyEntry(old.label);
+            return [...keys.map(entry => entry === old ? retired : entry), replacement.entry];
+        });
+        if (!replacement) throw new RulesApiError(404, 'Active key not found.');
+
+        res.status(201).json({ ...keySummary(replacement.entry), key: replacement.key, retired: keySummary(retired) });
+    }));
+
+    // 14. Revoke a publishable key
+    router.delete('/:appId/keys/:keyId', handle(async (req, res) => {
+        let found = false;
+        await updateKeys(req.params.appId, keys => keys.filter(entry => {
+            if (entry.id !== req.params.keyId) return true;
+            found = true;
+            return false;
+        }));
+        if (!found) throw new RulesApiError(404, 'Key not found.');
+        res.json({ id: req.params.keyId, deleted: true });
+    }));
+
+    // 15. Generate the storefront loader with exactly the page data the published rules read
+    router.get('/:appId/loader-snippet', handle(async (req, res) => {
+        const { published } = await readLifecycle(req.params.appId);
+        if (!published) throw new RulesApiError(404, 'Nothing has been published for this app yet.');
+
+        const snippet = generateLoaderSnippet(published, await readLoaderTemplate());
+        if (req.query.format === 'liquid') {
+            res.set('Content-Disposition', `attachment; filename="${LOADER_FILENAME}"`);
+            return res.type('text/plain').send(snippet.liquid);
+        }
+        res.json({ appId: req.params.appId, version: published.version, filename: LOADER_FILENAME, ...snippet });
+    }));
+
+    return router;
+}
+
+module.exports = {
+    RulesApiError,
+    validateMapping,
+    validateRuleSet,
+    assertRevision,
+    writeLifecycle,
+    handle,
+    toLifecycle,
+    getPublishedRules,
+    createRulesRouter,
+};
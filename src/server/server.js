@@ -5,22 +5,48 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
-const crypto = require('crypto');
+const { compileDsiPage, assembleItemList } = require('../shared/dsiEngine');
+const { PAGE_TYPES, DEFAULT_PAGE_TYPE, getPageTemplates, getPageTemplate, isPageType } = require('../shared/pageTypes');
+const { validateSchema } = require('../shared/schemaValidator');
+const { createRuleStore, isValidAppId } = require('./ruleStore');
+const { createRulesRouter, getPublishedRules } = require('./rulesApi');
+const { createWebhookRouter } = require('./webhooks');
+const { appProxyAuth, publishableKeyAuth } = require('./storefrontAuth');
+const { loadConfig, describeConfig } = require('./config');
+const { createMemoryBucketStore, rateLimit, forwardedAddress } = require('./rateLimit');
+const { createRenderCache, rulesVersionKey, etagFor, matchesIfNoneMatch } = require('./renderCache');
+const { createEngineMetrics } = require('./engineMetrics');
+const { createGraphRouter } = require('./graphApi');
+const { createAdminSessionRouter } = require('./adminAuth');
+const { createEventHub, streamHubEvents } = require('./eventStream');
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware to parse JSON bodies
-app.use(bodyParser.json());
-
-// --- CONFIGURATION (Environment Variables in production) ---
-// NOTE: In a real environment, these would be loaded securely via environment variables.
-const SHOPIFY_WEBHOOK_SECRET = "shhhhhh_this_is_a_secret_key";
-const DSI_API_KEY = "dsi_api_key_for_client_requests";
-const FIRESTORE_MOCK_DB = {
-    // Mock data structure retrieved from the Admin UI's Firestore document
-    'default-app-id': {
-        // Mock of the JSON-LD template (from the admin app)
-        jsonLdTemplate: `{
+
+// --- CONFIGURATION ---
+// Environment variables or a .env file, validated at startup (see config.js); secrets are never logged.
+const config = (() => {
+    try {
+        return loadConfig();
+    } catch (e) {
+        console.error(`DSI Engine refused to start. ${e.message}`);
+        process.exit(1);
+    }
+})();
+
+// Page types without custom mappings start from their base template
+const baseTemplateRules = (pageType) => ({
+    jsonLdTemplate: JSON.stringify(PAGE_TYPES[pageType].baseTemplate, null, 2),
+    mappings: []
+});
+
+// Demo rules for local development, seeded into the store for `default-app-id` on startup.
+// Real apps get their own documents from the Admin UI; unknown app IDs are never served these.
+const DEMO_APP_ID = 'default-app-id';
+const DEMO_RULES = {
+    // One template per storefront page type (see src/shared/pageTypes.js)
+    templates: {
+        product: {
+            // Mock of the JSON-LD template (from the admin app)
+            jsonLdTemplate: `{
   "@context": "https://schema.org/",
   "@type": "Product",
   "name": "[product.title]",
@@ -32,199 +58,384 @@ const FIRESTORE_MOCK_DB = {
   },
   "identifier": "[product.metafields.custom.isbn]",
   "_comment_id_1": "// Mapped via OmniGraph Node ID 1",
-  "review": { 
+  "aggregateRating": { 
     "@type": "AggregateRating",
-    "ratingValue_Rule": "IF (review_count > 5 AND average_rating > 4.5 END) THEN [average_rating] ELSE [NULL]"
+    "ratingValue_Rule": "IF (review_count > 5 AND average_rating > 4.5 END) THEN [average_rating] ELSE [NULL]",
+    "reviewCount": "[review_count]"
   },
-  "_comment_rule_2": "// Mapped to review with 2 condition(s)."
+  "_comment_rule_2": "// Mapped to aggregateRating with 2 condition(s)."
 }`,
-        // Mock of the raw rules structure (from the admin app, typically parsed for use)
-        mappings: JSON.stringify([
-            { id: 1, source: 'product.metafields.custom.isbn', target: 'identifier', type: 'Text', conditions: [] },
-            { id: 2, source: 'average_rating', target: 'review', type: 'Condition', conditions: [
-                { field: 'review_count', operator: '>', value: 5, logic: 'AND' },
-                { field: 'average_rating', operator: '>', value: 4.5, logic: 'END' }
-            ]}
-        ])
+            // Mock of the raw rules structure (from the admin app's NodeMapper)
+            mappings: [
+                { id: 1, source: 'product.metafields.custom.isbn', target: 'identifier', type: 'Text', condition: null },
+                { id: 2, source: 'average_rating', target: 'aggregateRating', type: 'Condition', condition: { type: 'and', conditions: [
+                    { type: 'comparison', field: 'review_count', operator: '>', value: 5 },
+                    { type: 'comparison', field: 'average_rating', operator: '>', value: 4.5 }
+                ]}}
+            ]
+        },
+        collection: baseTemplateRules('collection'),
+        article: baseTemplateRules('article'),
+        home: baseTemplateRules('home'),
+        organization: baseTemplateRules('organization'),
+        breadcrumbs: baseTemplateRules('breadcrumbs'),
+        faq: baseTemplateRules('faq')
+    }
+};
+
+// --- REQUEST LIMITS ---
+app.set('trust proxy', config.trustProxy);
+
+// Parses JSON bodies up to `limit` (larger ones get 413), keeping the raw bytes for webhook signature checks
+const jsonBody = (limit) => bodyParser.json({
+    limit,
+    verify: (req, res, buffer) => { req.rawBody = buffer; },
+});
+
+// Storefront requests are limited per visitor and per shop. Direct requests are limited per IP before
+// authentication. App Proxy requests all arrive from Shopify's egress IPs, so `req.ip` would put every
+// visitor of every shop in one bucket: they are authenticated first (the signature covers only the
+// query, so forged requests are refused before their body is read), then limited per shop and visitor.
+// The visitor is the address Shopify appended to X-Forwarded-For, one hop beyond the proxies of
+// OMNIGRAPH_TRUST_PROXY; `trust proxy` itself stays at those hops, so direct requests can't spoof it.
+// A forged header needs a replayed signed URL and only ever draws on that one shop's budget.
+const rateLimitStore = createMemoryBucketStore();
+const perMinute = (count) => ({ capacity: count, refillPerSecond: count / 60 });
+const proxyVisitor = (req) => `${req.shopAppId}|${forwardedAddress(req, config.trustProxy + 1)}`;
+const limitByIp = rateLimit({ store: rateLimitStore, name: 'ip', key: req => req.ip, ...perMinute(config.rateLimits.ipPerMinute) });
+const limitByProxyVisitor = rateLimit({ store: rateLimitStore, name: 'ip', key: proxyVisitor, ...perMinute(config.rateLimits.ipPerMinute) });
+const limitByShop = rateLimit({ store: rateLimitStore, name: 'shop', key: req => req.shopAppId, ...perMinute(config.rateLimits.shopPerMinute) });
+// Heartbeat pings have their own per-visitor budget, so they never use up a visitor's schema requests
+const limitPings = rateLimit({ store: rateLimitStore, name: 'ping', key: req => req.ip, ...perMinute(config.rateLimits.pingPerMinute) });
+const limitProxyPings = rateLimit({ store: rateLimitStore, name: 'ping', key: proxyVisitor, ...perMinute(config.rateLimits.pingPerMinute) });
+const proxyAuth = appProxyAuth({ secrets: config.shopifyApiSecrets });
+
+// --- RULE STORE ---
+// Each app's rules live in their own document (see ruleStore.js for the adapters).
+const ruleStore = createRuleStore(config.ruleStore);
+
+// Rendered responses by app, published rules version, page type and page data (see renderCache.js)
+const renderCache = createRenderCache();
+// Render functions compiled once per app, published rules version and page type
+const compiledPages = createRenderCache({ maxEntries: 1000 });
+
+const getCompiledPage = (appId, rulesData, pageType) => {
+    const key = `${appId}|${rulesVersionKey(rulesData)}|${pageType}`;
+    let renderPage = compiledPages.get(key);
+    if (!renderPage) {
+        renderPage = compileDsiPage(rulesData, pageType);
+        compiledPages.set(key, renderPage, { appId });
     }
+    return renderPage;
 };
 
 
+// Storefront latency and engine load for the pulse check
+const engineMetrics = createEngineMetrics();
+// Event hubs for the admin graph stream and the storefront rules-version stream (see eventStream.js).
+// Each shop gets at most a tenth of the storefront streams, so one busy shop can't lock out the rest.
+const graphEvents = createEventHub();
+const storefrontEvents = createEventHub({ maxSubscribers: 10000, maxSubscribersPerApp: 1000 });
+
+
 // --- CORE LOGIC: DSI PROCESSOR ---
+// processDsiPage (interpreted, used by the Live Preview) and compileDsiPage (served here) live in
+// src/shared/dsiEngine.js, so the Admin UI previews exactly what the storefront receives.
+
+// --- ENDPOINTS ---
+
+// The shop's pinned published rules, or null. Unpublished draft edits never reach the storefront.
+const loadPublishedRules = async (appId) => {
+    const rulesDoc = await ruleStore.getRules(appId);
+    return rulesDoc && getPublishedRules(rulesDoc);
+};
+
+const isStorefrontPageType = (pageType) => isPageType(pageType) && !PAGE_TYPES[pageType].isPartial;
+const isPageData = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 
 /**
- * 1. Executes a single conditional rule against the data map.
- * (This is a simplified implementation of the complex conditional engine.)
- * @param {string} field - The data path (e.g., 'review_count').
- * @param {string} operator - The operator (e.g., '>').
- * @param {string} value - The comparison value (e.g., '5').
- * @param {object} data - The complete product data map.
- * @returns {boolean} - True if the condition is met.
+ * Renders one page, unless this exact page was already rendered from these rules.
+ * @returns {{result: object, etag: string}|null} - The response payload and its ETag, or null if the
+ *   app has no template for the page type.
  */
-function evaluateCondition(field, operator, value, data) {
-    // Simple mock evaluation: assumes field names match data keys directly for blueprint
-    const dataValue = data[field];
-
-    if (dataValue === undefined) return false;
-
-    switch (operator) {
-        case '>':
-            return parseFloat(dataValue) > parseFloat(value);
-        case '<':
-            return parseFloat(dataValue) < parseFloat(value);
-        case '==':
-            return String(dataValue) === String(value);
-        // ... more operators (!=, contains, is empty)
-        default:
-            return false;
+const renderPage = (appId, rulesData, pageType, productData) => {
+    const cacheKey = renderCache.keyFor(appId, rulesData, pageType, productData);
+    let rendered = renderCache.get(cacheKey);
+    if (!rendered) {
+        // 1. Process Schema (The core DSI logic, compiled once per published version)
+        const finalJsonLd = getCompiledPage(appId, rulesData, pageType)(productData);
+        if (finalJsonLd === null) return null;
+
+        // 2. Validate against schema.org / Google rich-result requirements (Zero-Error Agent)
+        // Issues are reported alongside the schema rather than blocking it, since the Liquid
+        // fallback would be no more complete than a partially valid DSI schema.
+        const { errors, warnings } = validateSchema(finalJsonLd, { mode: 'output' });
+        if (errors.length > 0) {
+            console.warn(`DSI ${pageType} schema for App ID ${appId} has ${errors.length} validation error(s):`, errors.map(e => `${e.path}: ${e.message}`));
+        }
+
+        const result = {
+            schema: finalJsonLd,
+            validation: { errors, warnings },
+            rulesVersion: rulesData.version,
+            timestamp: new Date().toISOString() // when it was rendered
+        };
+        // Tagged by what the page is, not when it was rendered: a re-render keeps the loader's copy current
+        rendered = { result, etag: etagFor(rulesVersionKey(rulesData) + finalJsonLd) };
+        renderCache.set(cacheKey, rendered, { appId, productId: productData['product.id'] });
     }
-}
+    return rendered;
+};
 
 /**
- * 2. Processes the JSON-LD template using the product data and complex conditional rules.
- * @param {object} data - The product data map from the Shopify storefront.
- * @param {object} rulesData - The configuration object containing jsonLdTemplate and mappings.
- * @returns {string} - The final, processed JSON-LD string.
+ * Endpoints for the Shopify Storefront Loader to request the final Schema.
+ * Request body structure: { appId?: string, pageType?: string, productData: object }
+ * `pageType` selects the template (product, collection, article, home, faq); it defaults to product.
+ * `productData` is the page data map built by the matching branch of omnigraph-loader.liquid.
+ * The shop is authenticated by storefrontAuth.js (App Proxy signature or the shop's publishable key).
  */
-function processDsiSchema(data, rulesData) {
-    let jsonString = rulesData.jsonLdTemplate;
-    const mappings = JSON.parse(rulesData.mappings);
-    const finalSchema = JSON.parse(jsonString);
-
-    // --- A. Process Simple Placeholders ---
-    // Substitute all placeholders like [current_price] with actual data
-    for (const key in finalSchema) {
-        let value = finalSchema[key];
-
-        if (typeof value === 'string' && value.startsWith('[') && value.endsWith(']')) {
-            const sourceKey = value.slice(1, -1);
-            if (data[sourceKey] !== undefined) {
-                finalSchema[key] = data[sourceKey];
-            } else {
-                // Remove the property if source data is missing
-                delete finalSchema[key];
-            }
-        }
+const renderSchema = async (req, res) => {
+    // 1. The authenticated shop (set by the auth middleware)
+    const appId = req.shopAppId;
+    const { productData, pageType = DEFAULT_PAGE_TYPE } = req.body;
+    if (!productData) {
+        return res.status(400).json({ error: 'Missing required parameter (productData)' });
+    }
+    if (!isStorefrontPageType(pageType)) {
+        return res.status(400).json({ error: `Unknown page type: ${pageType}` });
     }
 
-
-    // --- B. Process Conditional Rules (DSI Logic) ---
-    // Focus on the complex 'review' example
-    if (finalSchema.review && finalSchema.review.ratingValue_Rule) {
-        const mapping = mappings.find(m => m.target === 'review' && m.type === 'Condition');
-        
-        if (mapping && mapping.conditions && mapping.conditions.length > 0) {
-            let isMet = true;
-            for (const condition of mapping.conditions) {
-                const result = evaluateCondition(condition.field, condition.operator, condition.value, data);
-                // For simplicity, we are assuming all conditions are joined by AND (as per the blueprint design)
-                if (!result) {
-                    isMet = false;
-                    break;
-                }
-            }
-
-            // Apply the result
-            if (isMet) {
-                const source = mapping.source; // e.g., 'average_rating'
-                finalSchema.review.ratingValue = data[source] || '5.0'; // Inject actual value
-            } else {
-                // If conditions are not met, delete the entire review object
-                delete finalSchema.review; 
-            }
-        }
-        
-        // Clean up the proprietary rule key
-        if (finalSchema.review) {
-            delete finalSchema.review.ratingValue_Rule;
+    try {
+        // 2. Fetch Rules (this app's own document only; there is no cross-app fallback)
+        const rulesData = await loadPublishedRules(appId);
+        if (!rulesData) {
+            console.warn(`Rules not found for App ID: ${appId}`);
+            return res.status(404).json({ error: 'Mapping rules not deployed for this app.' });
         }
-    }
 
-    // Remove comments before final output
-    for (const key in finalSchema) {
-        if (key.startsWith('_comment')) {
-            delete finalSchema[key];
+        // 3. Render and validate
+        const rendered = renderPage(appId, rulesData, pageType, productData);
+        if (!rendered) {
+            return res.status(404).json({ error: `No ${pageType} template deployed for this app.` });
         }
-    }
 
-    return JSON.stringify(finalSchema, null, 2);
-}
+        // 4. Respond with the final, optimized Schema (or 304 if the loader's copy is current)
+        res.set({ 'ETag': rendered.etag, 'Cache-Control': 'private, no-cache' });
+        if (matchesIfNoneMatch(req.get('If-None-Match'), rendered.etag)) {
+            return res.status(304).end();
+        }
+        res.json(rendered.result);
 
-// --- ENDPOINTS ---
+    } catch (e) {
+        console.error('DSI Processing Error:', e);
+        res.status(500).json({ error: 'Internal DSI processing failed.' });
+    }
+};
 
 /**
- * Endpoint for the Shopify Storefront Loader to request the final Schema.
- * It's crucial to protect this endpoint with an API key/token.
- * Request body structure: { appId: string, productData: object }
+ * Batch endpoints for collection grids, search results and quick-view modals: one request renders
+ * up to `SCHEMA_BATCH_MAX_ITEMS` pages of the same type.
+ * Request body structure: { appId?: string, pageType?: string, items: Array<object>, itemList?: { collectionData?: object } }
+ * Items are rendered independently: `results[i]` is { schema, validation } or, for an item that
+ * could not be rendered, { error, status }; one malformed product never fails the batch.
+ * With `itemList`, the rendered items are also assembled into one ItemList embedding each of them
+ * (see assembleItemList), named after the collection page rendered from `collectionData`.
  */
-app.post('/api/dsi/schema', async (req, res) => {
-    // 1. API Key Validation (Security)
-    const clientApiKey = req.headers['x-dsi-api-key'];
-    if (clientApiKey !== DSI_API_KEY) {
-        return res.status(401).json({ error: 'Unauthorized: Invalid API Key' });
+const renderSchemaBatch = async (req, res) => {
+    const appId = req.shopAppId;
+    const { items, itemList, pageType = DEFAULT_PAGE_TYPE } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'items must be a non-empty array of productData maps' });
     }
-
-    const { appId, productData } = req.body;
-    if (!appId || !productData) {
-        return res.status(400).json({ error: 'Missing required parameters (appId or productData)' });
+    if (items.length > config.batchMaxItems) {
+        return res.status(400).json({ error: `A batch holds at most ${config.batchMaxItems} items` });
     }
-
-    // 2. Fetch Rules (Mocked from a centralized data store like Firestore)
-    // NOTE: In production, this would be a real Firestore/database lookup
-    const rulesData = FIRESTORE_MOCK_DB[appId] || FIRESTORE_MOCK_DB['default-app-id']; 
-    if (!rulesData) {
-        // Fallback or use a generic template if rules are not found
-        console.warn(`Rules not found for App ID: ${appId}`);
-        return res.status(404).json({ error: 'Mapping rules not deployed for this app.' });
+    if (!isStorefrontPageType(pageType)) {
+        return res.status(400).json({ error: `Unknown page type: ${pageType}` });
+    }
+    if (itemList !== undefined && (!isPageData(itemList) || (itemList.collectionData !== undefined && !isPageData(itemList.collectionData)))) {
+        return res.status(400).json({ error: 'itemList must be an object with an optional collectionData map' });
     }
 
     try {
-        // 3. Process Schema (The core DSI logic)
-        const finalJsonLd = processDsiSchema(productData, rulesData);
-        
-        // 4. Respond with the final, optimized Schema
-        res.json({ 
-            schema: finalJsonLd,
-            timestamp: new Date().toISOString()
+        const rulesData = await loadPublishedRules(appId);
+        if (!rulesData) {
+            console.warn(`Rules not found for App ID: ${appId}`);
+            return res.status(404).json({ error: 'Mapping rules not deployed for this app.' });
+        }
+        if (!getPageTemplate(getPageTemplates(rulesData), pageType)) {
+            return res.status(404).json({ error: `No ${pageType} template deployed for this app.` });
+        }
+
+        const results = items.map((productData, index) => {
+            if (!isPageData(productData)) {
+                return { error: 'Item must be a productData map', status: 400 };
+            }
+            try {
+                const { schema, validation } = renderPage(appId, rulesData, pageType, productData).result;
+                return { schema, validation };
+            } catch (e) {
+                console.error(`DSI Processing Error (batch item ${index}):`, e);
+                return { error: 'Internal DSI processing failed.', status: 500 };
+            }
         });
 
+        const response = { results, rulesVersion: rulesData.version, timestamp: new Date().toISOString() };
+        if (itemList) {
+            const listJsonLd = itemList.collectionData && getPageTemplates(rulesData).collection
+                ? getCompiledPage(appId, rulesData, 'collection')(itemList.collectionData)
+                : null;
+            const schema = assembleItemList(listJsonLd, results.filter(result => result.schema).map(result => result.schema));
+            const { errors, warnings } = validateSchema(schema, { mode: 'output' });
+            response.itemList = { schema, validation: { errors, warnings } };
+        }
+
+        res.set('Cache-Control', 'private, no-cache');
+        res.json(response);
+
     } catch (e) {
         console.error('DSI Processing Error:', e);
         res.status(500).json({ error: 'Internal DSI processing failed.' });
     }
-});
+};
 
+/**
+ * Rules-version stream for open storefront pages (Server-Sent Events, opted into by the loader's
+ * DSI_LIVE_UPDATES). Sends the published version on connect and a `rules-version` event on every
+ * publish or rollback, so pages re-fetch their schema instead of keeping a stale one until reload.
+ */
+const streamRulesVersion = async (req, res) => {
+    const appId = req.shopAppId;
+    try {
+        const streaming = await streamHubEvents(req, res, {
+            hub: storefrontEvents,
+            appId,
+            initialEvent: async () => {
+                const rulesData = await loadPublishedRules(appId);
+                return ['rules-version', { version: rulesData ? rulesData.version : null }];
+            },
+        });
+        if (!streaming) {
+            res.set('Retry-After', '60');
+            res.status(503).json({ error: 'Sync Lag: too many open streams' });
+        }
+    } catch (e) {
+        console.error('DSI Stream Error:', e);
+        res.status(500).json({ error: 'Internal DSI processing failed.' });
+    }
+};
 
 /**
- * Endpoint for Shopify webhooks (e.g., product creation/update).
- * This is where the Admin UI would notify the DSI engine of rule changes.
- * The primary purpose here is security validation (signature check).
+ * Heartbeat for the storefront loader, which pings every 3000ms and enters Stasis Mode after two
+ * failures. Unauthenticated on the direct route (it reveals nothing about any shop) and answered
+ * without touching the rule store: 204 while the engine keeps up, 503 Sync Lag while it is falling behind.
  */
-app.post('/webhook/rules_update', (req, res) => {
-    // 1. Signature Verification (CRITICAL SECURITY STEP)
-    const hmac = req.headers['x-shopify-hmac-sha256'];
-    const body = JSON.stringify(req.body); // Use raw body buffer in production
+const ping = (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (engineMetrics.snapshot().lagging) {
+        res.set('Retry-After', '10');
+        return res.status(503).json({ error: 'Sync Lag: reduce pulse frequency' });
+    }
+    res.status(204).end();
+};
 
-    const generatedHash = crypto
-        .createHmac('sha256', SHOPIFY_WEBHOOK_SECRET)
-        .update(body)
-        .digest('base64');
+// Via the Shopify App Proxy (/apps/omnigraph/schema on the shop's domain, forwarded to /proxy/schema)
+app.post('/proxy/schema', engineMetrics.trackRequests, proxyAuth, limitByProxyVisitor, limitByShop, jsonBody(config.bodyLimits.storefront), renderSchema);
+// Direct, for non-proxy setups: `X-OmniGraph-Key: <publishable key>` and { appId } in the body
+app.post('/api/dsi/schema', engineMetrics.trackRequests, limitByIp, jsonBody(config.bodyLimits.storefront), publishableKeyAuth({ ruleStore }), limitByShop, renderSchema);
+// Batches, authenticated the same way (a batch counts as one request against the rate limits)
+app.post('/proxy/schema/batch', engineMetrics.trackRequests, proxyAuth, limitByProxyVisitor, limitByShop, jsonBody(config.bodyLimits.storefront), renderSchemaBatch);
+app.post('/api/dsi/schema/batch', engineMetrics.trackRequests, limitByIp, jsonBody(config.bodyLimits.storefront), publishableKeyAuth({ ruleStore }), limitByShop, renderSchemaBatch);
+// Rules-version streams (EventSource sends no headers, so the direct one takes `?appId=&key=`)
+app.get('/proxy/schema/events', proxyAuth, limitByProxyVisitor, limitByShop, streamRulesVersion);
+app.get('/api/dsi/schema/events', limitByIp, publishableKeyAuth({ ruleStore }), limitByShop, streamRulesVersion);
+// Loader heartbeat (the same path under either endpoint; through the App Proxy it is signed like the rest)
+app.get('/proxy/schema/ping', proxyAuth, limitProxyPings, ping);
+app.get('/api/dsi/schema/ping', limitPings, ping);
 
-    if (generatedHash !== hmac) {
-        console.warn('Webhook received with invalid HMAC signature.');
-        return res.status(401).send('Invalid signature.');
-    }
 
-    // 2. Process Update (Placeholder)
-    // In production, this would trigger an update or cache invalidation for the rules.
-    console.log(`Webhook received and validated for shop: ${req.headers['x-shopify-shop-domain']}`);
+/**
+ * Admin sessions for the embedded Admin UI: POST /api/v1/admin/session trades the page's Shopify session
+ * token for a session scoped to that shop (see adminAuth.js), so the admin key never reaches a browser.
+ */
+app.use('/api/v1/admin', createAdminSessionRouter({ apiKey: config.shopifyApiKey, secrets: config.shopifyApiSecrets }));
+
+/**
+ * Rules management API for the Admin UI: list/read/create/update/delete rule sets and publish.
+ * Mounted per app under /api/v1/apps/:appId (see rulesApi.js).
+ */
+app.use('/api/v1/apps', jsonBody(config.bodyLimits.admin), createRulesRouter({
+    ruleStore,
+    adminKeys: config.adminKeys,
+    sessionSecrets: config.shopifyApiSecrets,
+    // A publish or rollback supersedes every cached render and compiled rule set of the shop
+    onPublished: (appId, published) => {
+        renderCache.invalidateShop(appId);
+        compiledPages.invalidateShop(appId);
+        graphEvents.emit(appId, 'published', { version: published.version, author: published.author, publishedAt: published.publishedAt });
+        storefrontEvents.emit(appId, 'rules-version', { version: published.version });
+    },
+    onDraftChanged: (appId, change) => graphEvents.emit(appId, 'draft-update', change),
+}));
+
+
+/**
+ * Graph sync API from the API spec: pulse check, node upserts and the SSE change stream
+ * (GET /api/v1/dsi/pulse, POST /api/v1/graph/node-update, GET /api/v1/graph/stream; see graphApi.js).
+ */
+app.use('/api/v1', jsonBody(config.bodyLimits.admin), createGraphRouter({
+    ruleStore,
+    adminKeys: config.adminKeys,
+    sessionSecrets: config.shopifyApiSecrets,
+    metrics: engineMetrics,
+    events: graphEvents,
+}));
 
-    res.status(200).send('Webhook processed successfully.');
+
+/**
+ * Endpoint for Shopify webhooks: POST /webhooks/shopify, dispatched on X-Shopify-Topic
+ * (product updates/deletes, app/uninstalled and the mandatory GDPR topics; see webhooks.js).
+ * Product and shop webhooks drop the affected render cache entries.
+ */
+app.use('/webhooks', jsonBody(config.bodyLimits.admin), createWebhookRouter({
+    secrets: config.shopifyApiSecrets,
+    ruleStore,
+    cache: {
+        invalidateProduct: (shop, productId) => renderCache.invalidateProduct(shop, productId),
+        invalidateShop: (shop) => {
+            renderCache.invalidateShop(shop);
+            compiledPages.invalidateShop(shop);
+        },
+    },
+}));
+
+
+// Body parser failures (oversized or malformed JSON) answer in JSON like every other error
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Payload Too Large: the limit is ${err.limit} bytes` });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
+    next(err);
 });
 
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`DSI Engine is running on port ${PORT}`);
-    console.log(`DSI API Key is: ${DSI_API_KEY}`);
+// Start the server once the rule store is ready (seeding the demo rules outside production)
+async function start() {
+    if (process.env.NODE_ENV !== 'production' && !(await ruleStore.getRules(DEMO_APP_ID))) {
+        await ruleStore.putRules(DEMO_APP_ID, DEMO_RULES);
+        console.log(`Seeded demo rules for App ID: ${DEMO_APP_ID}`);
+    }
+
+    app.listen(config.port, () => {
+        console.log(`DSI Engine is running on port ${config.port}`);
+        console.log('Configuration:', describeConfig(config));
+    });
+}
+
+start().catch((e) => {
+    console.error('DSI Engine failed to start:', e);
+    process.exit(1);
 });
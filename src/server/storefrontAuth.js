@@ -0,0 +1,119 @@
+// --- OmniGraph DSI Engine: Storefront Authentication ---
+// Storefront schema requests identify their shop in one of two ways:
+//   1. Shopify App Proxy (default): the loader calls /apps/omnigraph/schema on the shop's own domain;
+//      Shopify forwards it to the engine's /proxy/schema with `shop`, `timestamp` and a `signature`
+//      computed with the app's API secret, so the shop can't be forged.
+//   2. Publishable key (non-proxy setups, e.g. headless storefronts): an `X-OmniGraph-Key` header with
+//      one of the shop's own keys, created in the rules management API. Keys are public (they sit in
+//      page source) but scoped: a key only reads its own shop's published schema. A shop can hold
+//      several active keys; a rotated key keeps working until its `expiresAt` so themes can be updated.
+// Either way the request's app ID comes from the verified identity, never from the request body alone.
+
+const crypto = require('crypto');
+const { isValidAppId } = require('./ruleStore');
+
+const PROXY_MAX_AGE_SECONDS = 5 * 60;
+const PUBLISHABLE_KEY_PREFIX = 'og_pk_';
+
+/**
+ * 1. Verifies a Shopify App Proxy request's `signature` query parameter.
+ * Shopify signs the other query parameters sorted by name as `name=value` pairs (array values
+ * joined with commas) concatenated without separators, using HMAC-SHA256 hex.
+ * @param {object} query - The parsed query string.
+ * @param {Array<string>} secrets - The app's active API secrets (more than one while rotating).
+ * @param {{maxAgeSeconds?: number, now?: number}} [options] - Replay window for `timestamp`.
+ * @returns {boolean}
+ */
+function verifyAppProxySignature(query, secrets, { maxAgeSeconds = PROXY_MAX_AGE_SECONDS, now = Date.now() } = {}) {
+    const { signature, ...params } = query;
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+    const message = Object.keys(params).sort()
+        .map(name => `${name}=${[].concat(params[name]).join(',')}`)
+        .join('');
+    const received = Buffer.from(signature, 'hex');
+    const isSigned = secrets.some(secret =>
+        crypto.timingSafeEqual(received, crypto.createHmac('sha256', secret).update(message).digest()));
+    if (!isSigned) return false;
+
+    const timestamp = Number(params.timestamp);
+    return Number.isFinite(timestamp) && Math.abs(now / 1000 - timestamp) <= maxAgeSeconds;
+}
+
+/**
+ * 2. Generates a new publishable key. Only its hash is stored (see hashPublishableKey).
+ * @returns {string} - E.g. `og_pk_3q2-...`.
+ */
+function generatePublishableKey() {
+    return PUBLISHABLE_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+const hashPublishableKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const isKeyActive = (entry, now = Date.now()) => !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+
+/**
+ * 3. Finds the active stored entry matching a publishable key in an app's document.
+ * @param {object} rulesDoc - The app's document (its `publishableKeys` list holds { id, hash, expiresAt?, ... }).
+ * @param {string} key - The key from the request.
+ * @returns {object|null} - The matching key entry, or null (also when it has expired).
+ */
+function findPublishableKey(rulesDoc, key) {
+    if (!rulesDoc || typeof key !== 'string' || !key.startsWith(PUBLISHABLE_KEY_PREFIX)) return null;
+    const hash = Buffer.from(hashPublishableKey(key), 'hex');
+    return (rulesDoc.publishableKeys || [])
+        .find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), hash) && isKeyActive(entry)) || null;
+}
+
+// --- MIDDLEWARE ---
+// Both set `req.shopAppId` to the authenticated app ID, or answer 401.
+
+/**
+ * 4. Authenticates App Proxy requests; the app ID is the signed `shop` parameter.
+ * @param {{secrets: Array<string>}} options - The app's active API secrets.
+ */
+function appProxyAuth({ secrets }) {
+    return (req, res, next) => {
+        if (!verifyAppProxySignature(req.query, secrets) || !isValidAppId(req.query.shop)) {
+            return res.status(401).json({ error: 'Unauthorized: Invalid App Proxy signature' });
+        }
+        req.shopAppId = req.query.shop;
+        next();
+    };
+}
+
+/**
+ * 5. Authenticates direct requests with a shop's publishable key; the key must belong to `appId`.
+ * GET requests (the EventSource stream, which can't send headers) pass both as `?appId=&key=`.
+ * @param {{ruleStore: object}} options - Where the shops' key hashes are stored.
+ */
+function publishableKeyAuth({ ruleStore }) {
+    return async (req, res, next) => {
+        const params = req.method === 'GET' ? req.query : (req.body || {});
+        const appId = params.appId;
+        const key = req.headers['x-omnigraph-key'] || (req.method === 'GET' ? req.query.key : undefined);
+        if (!key || !isValidAppId(appId)) {
+            return res.status(401).json({ error: 'Unauthorized: Invalid publishable key' });
+        }
+        try {
+            if (!findPublishableKey(await ruleStore.getRules(appId), key)) {
+                return res.status(401).json({ error: 'Unauthorized: Invalid publishable key' });
+            }
+        } catch (e) {
+            console.error('Publishable key lookup failed:', e);
+            return res.status(500).json({ error: 'Internal DSI processing failed.' });
+        }
+        req.shopAppId = appId;
+        next();
+    };
+}
+
+module.exports = {
+    verifyAppProxySignature,
+    generatePublishableKey,
+    hashPublishableKey,
+    isKeyActive,
+    findPublishableKey,
+    appProxyAuth,
+    publishableKeyAuth,
+};
@@ -0,0 +1,155 @@
+// --- OmniGraph DSI Engine: Shopify Webhooks ---
+// One endpoint for every subscribed topic; Shopify names the topic in `X-Shopify-Topic` and the
+// shop in `X-Shopify-Shop-Domain` (which is also the shop's app ID in the rule store).
+//
+//   products/update, products/delete   invalidate the product's cached schemas
+//   app/uninstalled                    delete the shop's rules and version history, drop its caches
+//   customers/data_request             report the customer data held (none: rules hold no customer data)
+//   customers/redact                   erase a customer's data (none held; acknowledged and logged)
+//   shop/redact                        erase everything held for the shop (48h after uninstall)
+//
+// Requests are authenticated by the HMAC-SHA256 of the raw body, and de-duplicated by
+// `X-Shopify-Webhook-Id`, since Shopify delivers at least once and retries for up to 48 hours.
+
+const express = require('express');
+const crypto = require('crypto');
+const { isValidAppId } = require('./ruleStore');
+
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+const DEDUPE_MAX_ENTRIES = 10000;
+
+/**
+ * 1. Verifies a Shopify webhook signature over the exact bytes Shopify sent.
+ * @param {Buffer} rawBody - The unparsed request body.
+ * @param {string} signature - The `X-Shopify-Hmac-Sha256` header (base64).
+ * @param {Array<string>} secrets - The app's active API secrets (more than one while rotating).
+ * @returns {boolean}
+ */
+function verifyShopifyHmac(rawBody, signature, secrets) {
+    if (!Buffer.isBuffer(rawBody) || typeof signature !== 'string') return false;
+    const received = Buffer.from(signature, 'base64');
+    return secrets.some(secret => {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+}
+
+/**
+ * 2. Remembers handled webhook IDs so redeliveries are acknowledged without running twice.
+ * A delivery that is still running counts as seen; one that failed is forgotten so Shopify's retry runs it.
+ * In-memory: with several engine instances behind a load balancer, back this with a shared store.
+ * @param {{ttlMs?: number, maxEntries?: number}} [options]
+ * @returns {{run: function(string, function): Promise<{duplicate: boolean}>}}
+ */
+function createWebhookDeduper({ ttlMs = DEDUPE_TTL_MS, maxEntries = DEDUPE_MAX_ENTRIES } = {}) {
+    const seen = new Map(); // webhook ID -> time first seen (insertion order = age order)
+
+    const prune = (now) => {
+        for (const [id, time] of seen) {
+            if (now - time < ttlMs && seen.size <= maxEntries) break;
+            seen.delete(id);
+        }
+    };
+
+    return {
+        async run(webhookId, task) {
+            const now = Date.now();
+            prune(now);
+            if (seen.has(webhookId)) return { duplicate: true };
+
+            seen.set(webhookId, now);
+            try {
+                await task();
+            } catch (e) {
+                seen.delete(webhookId);
+                throw e;
+            }
+            return { duplicate: false };
+        },
+    };
+}
+
+/**
+ * 3. Creates the webhook router. It reads `req.rawBody`, so the JSON body parser in front of it
+ * must keep the raw buffer (see server.js).
+ * @param {{secrets: Array<string>, ruleStore: object, cache?: object, deduper?: object}} options
+ *   `cache` receives invalidations: { invalidateProduct(shop, productId), invalidateShop(shop) }.
+ * @returns {express.Router}
+ */
+function createWebhookRouter({ secrets, ruleStore, cache = {}, deduper = createWebhookDeduper() }) {
+    const router = express.Router();
+    const invalidateProduct = cache.invalidateProduct || (() => {});
+    const invalidateShop = cache.invalidateShop || (() => {});
+
+    // Removes everything stored for a shop; safe to repeat.
+    const deleteTenant = async (shop) => {
+        await ruleStore.deleteVersions(shop);
+        await ruleStore.deleteRules(shop);
+        invalidateShop(shop);
+    };
+
+    const TOPIC_HANDLERS = {
+        'products/update': async (shop, payload) => {
+            invalidateProduct(shop, payload.id);
+            console.log(`Product ${payload.id} updated for shop ${shop}; cached schemas invalidated.`);
+        },
+        'products/delete': async (shop, payload) => {
+            invalidateProduct(shop, payload.id);
+            console.log(`Product ${payload.id} deleted for shop ${shop}; cached schemas invalidated.`);
+        },
+        'app/uninstalled': async (shop) => {
+            await deleteTenant(shop);
+            console.log(`App uninstalled by shop ${shop}; rules and version history deleted.`);
+        },
+        'customers/data_request': async (shop, payload) => {
+            // Rule documents and schema caches are keyed by shop and product, never by customer
+            console.log(`Customer data request for shop ${shop} (request ${payload.data_request && payload.data_request.id}): no customer data held.`);
+        },
+        'customers/redact': async (shop, payload) => {
+            console.log(`Customer redact for shop ${shop} (customer ${payload.customer && payload.customer.id}): no customer data held.`);
+        },
+        'shop/redact': async (shop) => {
+            await deleteTenant(shop);
+            console.log(`Shop redact for ${shop}; all shop data deleted.`);
+        },
+    };
+
+    router.post('/shopify', async (req, res) => {
+        // 1. Signature Verification (CRITICAL SECURITY STEP): over the raw bytes, not re-serialized JSON
+        if (!verifyShopifyHmac(req.rawBody, req.headers['x-shopify-hmac-sha256'], secrets)) {
+            console.warn('Webhook received with invalid HMAC signature.');
+            return res.status(401).send('Invalid signature.');
+        }
+
+        const topic = req.headers['x-shopify-topic'];
+        const shop = req.headers['x-shopify-shop-domain'];
+        const webhookId = req.headers['x-shopify-webhook-id'];
+        // Own keys only: `__proto__` or `constructor` must not resolve to an Object.prototype member
+        const handler = Object.prototype.hasOwnProperty.call(TOPIC_HANDLERS, topic) ? TOPIC_HANDLERS[topic] : null;
+        if (!handler) {
+            // Acknowledge, or Shopify keeps retrying a topic we never subscribed to handle
+            console.warn(`Ignoring webhook with unhandled topic: ${topic}`);
+            return res.status(200).send('Topic not handled.');
+        }
+        if (!isValidAppId(shop) || !webhookId) {
+            return res.status(400).send('Missing or invalid shop domain or webhook ID.');
+        }
+
+        // 2. Process once per webhook ID
+        try {
+            const { duplicate } = await deduper.run(webhookId, () => handler(shop, req.body || {}));
+            res.status(200).send(duplicate ? 'Duplicate webhook ignored.' : 'Webhook processed successfully.');
+        } catch (e) {
+            console.error(`Webhook ${topic} failed for shop ${shop}:`, e);
+            res.status(500).send('Webhook processing failed.');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    verifyShopifyHmac,
+    createWebhookDeduper,
+    createWebhookRouter,
+};
@@ -0,0 +1,33 @@
+// --- OmniGraph Shared: Product Data Paths ---
+// Resolves mapping source paths against the flat productData map built by omnigraph-loader.liquid.
+// Shared by the DSI engine (server.js) and the Admin UI (OmniGraphApp.jsx).
+
+/**
+ * Resolves a dotted/indexed source path against the product data map.
+ * The storefront sends a flat map with dotted keys (e.g. 'product.title'), so the longest
+ * matching key wins and any remaining segments walk into the value (e.g. 'product.tags[0]').
+ * @param {object} data - The complete product data map.
+ * @param {string} path - The source path (e.g., 'product.tags[0]' or 'variants.0.price').
+ * @returns {*} - The resolved value, or undefined if the path does not exist.
+ */
+function resolveSourcePath(data, path) {
+    if (data == null) return undefined;
+    if (Object.prototype.hasOwnProperty.call(data, path)) return data[path];
+
+    const segments = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+
+    for (let i = segments.length; i > 0; i--) {
+        const key = segments.slice(0, i).join('.');
+        if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+
+        let value = data[key];
+        for (const segment of segments.slice(i)) {
+            if (value == null || typeof value !== 'object') return undefined;
+            value = value[segment];
+        }
+        return value;
+    }
+    return undefined;
+}
+
+module.exports = { resolveSourcePath };
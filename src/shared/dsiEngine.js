@@ -0,0 +1,673 @@
+// --- OmniGraph Shared: DSI Processor ---
+// Renders a JSON-LD template against a storefront productData map.
+// The DSI engine (server.js) serves its output to omnigraph-loader.liquid, and the Admin UI's
+// Live Preview panel runs the exact same code so merchants see what a product will receive.
+
+const { resolveSourcePath } = require('./dataPath');
+const { parseRule, evaluateConditionTree, resolveValue, conditionSources, RULE_CONTAINERS, RULE_KEY_SUFFIX } = require('./ruleLanguage');
+const { PAGE_TYPES, getPageTemplates, getPageTemplate, isPageType } = require('./pageTypes');
+const { PLACEHOLDER_BODY_SOURCE, parsePlaceholder, applyTransforms } = require('./transforms');
+const { EXPR_KEY_SUFFIX, parseExpression, evaluateExpression, expressionSources } = require('./expressions');
+const { DEFAULT_OFFER_MODE, variantAvailability, buildVariantOffer, buildAggregateOffer } = require('./variantOffers');
+
+// Matches a single `[source.path]` placeholder, including indexed paths like `[product.tags[0]]`
+// and transform pipelines like `[product.tags | join: ", "]` (see transforms.js).
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${PLACEHOLDER_BODY_SOURCE})\\]`, 'g');
+const WHOLE_PLACEHOLDER_PATTERN = new RegExp(`^\\[(${PLACEHOLDER_BODY_SOURCE})\\]$`);
+
+// Template directive: an object with `_repeat: "source.path"` becomes an array with one copy per
+// list item. Inside it, `[item.x]` (or the name given by `_as`) and `[loop.index]` (1-based) resolve.
+const REPEAT_KEY = '_repeat';
+const REPEAT_ALIAS_KEY = '_as';
+
+// Template directive: an object with `_variants: "variants"` becomes the product's offers, either
+// one Offer per variant (`_mode: "offers"`, the default) or a single AggregateOffer
+// (`_mode: "aggregate"`). Other keys are merged into each offer; in offers mode `[variant.x]`
+// (or the name given by `_as`), `[variant.availability]` and `[loop.index]` resolve.
+const VARIANTS_KEY = '_variants';
+const VARIANTS_MODE_KEY = '_mode';
+
+const joinPath = (parent, key) => parent === '' ? String(key) : `${parent}.${key}`;
+
+// Objects and arrays inserted from page data by whole-value placeholders. applyRules leaves them as they
+// are: rules and expressions come from the template only, so a metafield holding a `*_Rule` key renders
+// exactly as the compiled path (which never looks inside data) renders it.
+const insertedData = new WeakSet();
+
+// Resolves the inside of a placeholder: the source value, run through its transforms.
+const resolvePlaceholder = (data, body) => {
+    const { path, transforms } = parsePlaceholder(body);
+    return { path, value: applyTransforms(resolveSourcePath(data, path), transforms) };
+};
+
+/**
+ * Expands a `_repeat` object into an array, rendering each copy against item-scoped data.
+ * @param {object} node - The template object containing `_repeat`.
+ * @param {object} data - The complete product data map.
+ * @param {string} path - The JSON path of the node, for the trace.
+ * @param {object|null} trace - Optional trace collector.
+ * @returns {Array|undefined} - The rendered items, or undefined if the list is missing or empty.
+ */
+function expandRepeat(node, data, path, trace) {
+    const list = resolveSourcePath(data, node[REPEAT_KEY]);
+    if (!Array.isArray(list) || list.length === 0) {
+        if (trace) trace.dropped.push({ path, reason: `Missing or empty list [${node[REPEAT_KEY]}]` });
+        return undefined;
+    }
+
+    const alias = node[REPEAT_ALIAS_KEY] || 'item';
+    const body = { ...node };
+    delete body[REPEAT_KEY];
+    delete body[REPEAT_ALIAS_KEY];
+
+    return list
+        .map((element, index) => {
+            const scoped = { ...data, [alias]: element, 'loop.index': index + 1 };
+            const itemPath = joinPath(path, index);
+            return applyRules(substitutePlaceholders(body, scoped, itemPath, trace), scoped, itemPath, trace);
+        })
+        .filter(item => item !== undefined);
+}
+
+/**
+ * Expands a `_variants` object into an offers array or an AggregateOffer (see variantOffers.js).
+ * Keys of the template object override the derived offer properties.
+ * @param {object} node - The template object containing `_variants`.
+ * @param {object} data - The complete product data map.
+ * @param {string} path - The JSON path of the node, for the trace.
+ * @param {object|null} trace - Optional trace collector.
+ * @returns {Array|object|undefined} - The offers, or undefined if there are no variants with a price.
+ */
+function expandVariants(node, data, path, trace) {
+    const variants = resolveSourcePath(data, node[VARIANTS_KEY]);
+    if (!Array.isArray(variants) || variants.length === 0) {
+        if (trace) trace.dropped.push({ path, reason: `Missing or empty variants list [${node[VARIANTS_KEY]}]` });
+        return undefined;
+    }
+
+    const mode = node[VARIANTS_MODE_KEY] || DEFAULT_OFFER_MODE;
+    const alias = node[REPEAT_ALIAS_KEY] || 'variant';
+    const body = { ...node };
+    delete body[VARIANTS_KEY];
+    delete body[VARIANTS_MODE_KEY];
+    delete body[REPEAT_ALIAS_KEY];
+
+    if (mode === 'aggregate') {
+        const aggregate = buildAggregateOffer(variants);
+        if (!aggregate) {
+            if (trace) trace.dropped.push({ path, reason: `No variant in [${node[VARIANTS_KEY]}] has a price` });
+            return undefined;
+        }
+        return { ...aggregate, ...applyRules(substitutePlaceholders(body, data, path, trace), data, path, trace) };
+    }
+
+    return variants
+        .map((variant, index) => {
+            const scoped = { ...data, [alias]: { ...variant, availability: variantAvailability(variant) }, 'loop.index': index + 1 };
+            const itemPath = joinPath(path, index);
+            const overrides = applyRules(substitutePlaceholders(body, scoped, itemPath, trace), scoped, itemPath, trace);
+            return { ...buildVariantOffer(variant), ...overrides };
+        });
+}
+
+/**
+ * 1. Recursively substitutes `[placeholder]` values anywhere in the template.
+ * - A string that is exactly one placeholder is replaced by the raw value (keeping numbers/arrays).
+ * - Placeholders embedded in a longer string are interpolated as text.
+ * - A placeholder's transforms (`[path | join: ", "]`) are applied to the value first.
+ * - Any unresolved placeholder removes the property (or array entry) instead of shipping a literal.
+ * - Objects with a `_repeat` directive are expanded into arrays (see expandRepeat).
+ * - Objects with a `_variants` directive are expanded into offers (see expandVariants).
+ * Keys ending in `_Rule` or `_Expr` are left untouched for the conditional processor.
+ * @param {*} node - The template node (object, array or scalar).
+ * @param {object} data - The complete product data map.
+ * @param {string} [path=''] - The JSON path of the node, for the trace.
+ * @param {object|null} [trace=null] - Optional trace collector ({ rules, dropped }).
+ * @returns {*} - The substituted node, or undefined if it should be dropped.
+ */
+function substitutePlaceholders(node, data, path = '', trace = null) {
+    if (typeof node === 'string') {
+        const missing = [];
+        const whole = node.match(WHOLE_PLACEHOLDER_PATTERN);
+        let result;
+
+        if (whole) {
+            const { path: sourcePath, value } = resolvePlaceholder(data, whole[1]);
+            if (value === undefined || value === null) missing.push(sourcePath);
+            if (value && typeof value === 'object') insertedData.add(value);
+            result = value === null ? undefined : value;
+        } else {
+            const text = node.replace(PLACEHOLDER_PATTERN, (match, body) => {
+                const { path: sourcePath, value } = resolvePlaceholder(data, body);
+                if (value === undefined || value === null) {
+                    missing.push(sourcePath);
+                    return '';
+                }
+                return Array.isArray(value) ? value.join(', ') : String(value);
+            });
+            result = missing.length === 0 ? text : undefined;
+        }
+
+        if (trace && missing.length > 0) {
+            trace.dropped.push({ path, reason: `Missing source ${missing.map(p => `[${p}]`).join(', ')}` });
+        }
+        return result;
+    }
+
+    if (Array.isArray(node)) {
+        return node
+            .map((item, index) => substitutePlaceholders(item, data, joinPath(path, index), trace))
+            .filter(item => item !== undefined);
+    }
+
+    if (node && typeof node === 'object') {
+        if (node[REPEAT_KEY]) return expandRepeat(node, data, path, trace);
+        if (node[VARIANTS_KEY]) return expandVariants(node, data, path, trace);
+
+        const result = {};
+        for (const key in node) {
+            if (key.endsWith(RULE_KEY_SUFFIX) || key.endsWith(EXPR_KEY_SUFFIX)) {
+                result[key] = node[key];
+                continue;
+            }
+            const value = substitutePlaceholders(node[key], data, joinPath(path, key), trace);
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    return node;
+}
+
+/**
+ * 2. Recursively evaluates `<property>_Expr` keys (computed expressions) and `<property>_Rule`
+ * keys (DSI rule language) anywhere in the template (not inside values inserted from page data).
+ * The expression result or THEN/ELSE value is injected into `<property>`; a null result removes it.
+ * A nested object left with only `@` keys, or a rule container (e.g. aggregateRating) whose
+ * gated property was dropped, is removed as well, so no empty rich-result types are emitted.
+ * @param {*} node - The schema node (object, array or scalar).
+ * @param {object} data - The complete product data map.
+ * @param {string} [path=''] - The JSON path of the node; the root object is ''.
+ * @param {object|null} [trace=null] - Optional trace collector ({ rules, dropped }).
+ * @returns {*} - The processed node, or undefined if it should be dropped.
+ */
+function applyRules(node, data, path = '', trace = null) {
+    if (node && typeof node === 'object' && insertedData.has(node)) return node;
+
+    if (Array.isArray(node)) {
+        return node
+            .map((item, index) => applyRules(item, data, joinPath(path, index), trace))
+            .filter(item => item !== undefined);
+    }
+
+    if (!node || typeof node !== 'object') return node;
+
+    const result = {};
+    const ruleKeys = [];
+    const exprKeys = [];
+    for (const key in node) {
+        if (key.endsWith(RULE_KEY_SUFFIX)) {
+            ruleKeys.push(key);
+            continue;
+        }
+        if (key.endsWith(EXPR_KEY_SUFFIX)) {
+            exprKeys.push(key);
+            continue;
+        }
+        const value = applyRules(node[key], data, joinPath(path, key), trace);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+
+    // Computed expressions replace any static value on the target property
+    for (const key of exprKeys) {
+        const property = key.slice(0, -EXPR_KEY_SUFFIX.length);
+        const propertyPath = joinPath(path, property);
+        const value = evaluateExpression(node[key], data);
+
+        if (trace) {
+            trace.rules.push({ path: propertyPath, expression: node[key], value });
+        }
+
+        if (value === null) {
+            delete result[property];
+            if (trace) trace.dropped.push({ path: propertyPath, reason: 'Expression resolved to null (missing source or invalid arithmetic)' });
+        } else {
+            result[property] = value;
+        }
+    }
+
+    // Rules win over any static or computed value already on the target property
+    for (const key of ruleKeys) {
+        const property = key.slice(0, -RULE_KEY_SUFFIX.length);
+        const propertyPath = joinPath(path, property);
+        const rule = parseRule(node[key]);
+        const isMet = evaluateConditionTree(rule.condition, data);
+        const value = resolveValue(isMet ? rule.then : rule.else, data);
+
+        if (trace) {
+            trace.rules.push({ path: propertyPath, rule: node[key], isMet, value });
+        }
+
+        if (value === null) {
+            delete result[property];
+            if (trace) trace.dropped.push({ path: propertyPath, reason: `Rule resolved to [NULL] (${isMet ? 'THEN' : 'ELSE'} branch)` });
+        } else {
+            result[property] = value;
+        }
+    }
+
+    if (path !== '' && ruleKeys.length + exprKeys.length > 0) {
+        // A rule container (e.g. aggregateRating) only exists if its gated property survived
+        const container = RULE_CONTAINERS[path.split('.').pop()];
+        const isGateClosed = container && ruleKeys.includes(`${container.property}${RULE_KEY_SUFFIX}`) &&
+            result[container.property] === undefined;
+
+        if (isGateClosed || Object.keys(result).every(key => key.startsWith('@'))) {
+            const reason = isGateClosed ? `${container.property} was dropped by its rule` : 'No properties left after rules';
+            if (trace) trace.dropped.push({ path, reason });
+            return undefined;
+        }
+    }
+    return result;
+}
+
+/**
+ * 3. Renders a parsed JSON-LD template into the final schema object.
+ * @param {object} data - The product data map from the Shopify storefront.
+ * @param {object} template - The parsed JSON-LD template.
+ * @param {object|null} [trace=null] - Optional trace collector ({ rules: [], dropped: [] }).
+ * @returns {object} - The final schema object.
+ */
+function renderSchema(data, template, trace = null) {
+    // --- A. Process Placeholders ---
+    // Substitute all placeholders like [current_price] with actual data, at any depth
+    const substitutedSchema = substitutePlaceholders(template, data, '', trace);
+
+    // --- B. Process Conditional Rules (DSI Logic) ---
+    // Evaluate every `*_Rule` key, e.g. aggregateRating.ratingValue_Rule, with the shared rule language
+    const finalSchema = applyRules(substitutedSchema, data, '', trace);
+
+    // Remove comments before final output
+    for (const key in finalSchema) {
+        if (key.startsWith('_comment')) {
+            delete finalSchema[key];
+        }
+    }
+
+    return finalSchema;
+}
+
+/**
+ * 4. Processes the JSON-LD template using the product data and complex conditional rules.
+ * @param {object} data - The product data map from the Shopify storefront.
+ * @param {object} rulesData - The configuration object containing jsonLdTemplate and mappings.
+ * @returns {string} - The final, processed JSON-LD string.
+ */
+function processDsiSchema(data, rulesData) {
+    return JSON.stringify(renderSchema(data, JSON.parse(rulesData.jsonLdTemplate)), null, 2);
+}
+
+/**
+ * 5. Like processDsiSchema, but also reports which rules fired and which properties were dropped.
+ * Used by the Admin UI's Live Preview panel.
+ * @param {object} data - The product data map from the Shopify storefront.
+ * @param {object} rulesData - The configuration object containing jsonLdTemplate and mappings.
+ * @returns {{schema: string, rules: Array<object>, dropped: Array<object>}} - Output and trace.
+ */
+function traceDsiSchema(data, rulesData) {
+    const trace = { rules: [], dropped: [] };
+    const schema = renderSchema(data, JSON.parse(rulesData.jsonLdTemplate), trace);
+    return { schema: JSON.stringify(schema, null, 2), rules: trace.rules, dropped: trace.dropped };
+}
+
+/**
+ * 6. Renders every template that applies to a storefront page: the page type's own template plus
+ * its partials (e.g. breadcrumbs). Partials that render no properties are left out.
+ * @param {object} data - The page data map from the Shopify storefront.
+ * @param {object} rulesDoc - The rule document holding the templates for each page type.
+ * @param {string} pageType - The page type (a key of PAGE_TYPES).
+ * @returns {string|null} - The JSON-LD string (an array when several templates apply), or null
+ *   if the rule document has no template for this page type.
+ */
+function processDsiPage(data, rulesDoc, pageType) {
+    const templates = getPageTemplates(rulesDoc);
+    const template = getPageTemplate(templates, pageType);
+    if (!template) return null;
+
+    const partials = (isPageType(pageType) && PAGE_TYPES[pageType].partials) || [];
+    const schemas = [renderSchema(data, JSON.parse(template.jsonLdTemplate))];
+
+    partials.filter(partial => getPageTemplate(templates, partial)).forEach(partial => {
+        const schema = renderSchema(data, JSON.parse(templates[partial].jsonLdTemplate));
+        if (Object.keys(schema).some(key => !key.startsWith('@'))) {
+            schemas.push(schema);
+        }
+    });
+
+    return JSON.stringify(schemas.length === 1 ? schemas[0] : schemas, null, 2);
+}
+
+// --- COMPILATION ---
+// The functions above interpret the template text on every call. For the storefront, a published
+// rule set is compiled once per version into a tree of closures: placeholders, transform pipelines,
+// rules and expressions are parsed up front, so rendering only resolves data. Compiled output is
+// identical to renderSchema's (bench/renderBenchmark.js checks both paths against each other).
+// Page data values are inserted as they are, without looking for rule keys inside them.
+
+const isMissingValue = (value) => value === undefined || value === null;
+
+// Compiles a template string; mirrors the string branch of substitutePlaceholders.
+function compileString(text) {
+    const whole = text.match(WHOLE_PLACEHOLDER_PATTERN);
+    if (whole) {
+        const { path, transforms } = parsePlaceholder(whole[1]);
+        return (data) => {
+            const value = applyTransforms(resolveSourcePath(data, path), transforms);
+            return value === null ? undefined : value;
+        };
+    }
+
+    // Alternating literal text and parsed placeholders
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        parts.push(text.slice(last, match.index), parsePlaceholder(match[1]));
+        last = match.index + match[0].length;
+    }
+    if (parts.length === 0) return () => text;
+    parts.push(text.slice(last));
+
+    return (data) => {
+        let result = '';
+        for (let i = 0; i < parts.length; i++) {
+            if (i % 2 === 0) {
+                result += parts[i];
+                continue;
+            }
+            const value = applyTransforms(resolveSourcePath(data, parts[i].path), parts[i].transforms);
+            if (isMissingValue(value)) return undefined;
+            result += Array.isArray(value) ? value.join(', ') : String(value);
+        }
+        return result;
+    };
+}
+
+// Compiles a `_repeat` object; mirrors expandRepeat.
+function compileRepeat(node) {
+    const body = { ...node };
+    delete body[REPEAT_KEY];
+    delete body[REPEAT_ALIAS_KEY];
+    const alias = node[REPEAT_ALIAS_KEY] || 'item';
+    const renderItem = compileObject(body, null);
+
+    return (data) => {
+        const list = resolveSourcePath(data, node[REPEAT_KEY]);
+        if (!Array.isArray(list) || list.length === 0) return undefined;
+        const items = [];
+        for (let index = 0; index < list.length; index++) {
+            const item = renderItem({ ...data, [alias]: list[index], 'loop.index': index + 1 });
+            if (item !== undefined) items.push(item);
+        }
+        return items;
+    };
+}
+
+// Compiles a `_variants` object; mirrors expandVariants.
+function compileVariants(node, lastKey) {
+    const body = { ...node };
+    delete body[VARIANTS_KEY];
+    delete body[VARIANTS_MODE_KEY];
+    delete body[REPEAT_ALIAS_KEY];
+    const mode = node[VARIANTS_MODE_KEY] || DEFAULT_OFFER_MODE;
+    const alias = node[REPEAT_ALIAS_KEY] || 'variant';
+
+    if (mode === 'aggregate') {
+        const renderBody = compileObject(body, lastKey);
+        return (data) => {
+            const variants = resolveSourcePath(data, node[VARIANTS_KEY]);
+            if (!Array.isArray(variants) || variants.length === 0) return undefined;
+            const aggregate = buildAggregateOffer(variants);
+            return aggregate && { ...aggregate, ...renderBody(data) };
+        };
+    }
+
+    const renderOverrides = compileObject(body, null);
+    return (data) => {
+        const variants = resolveSourcePath(data, node[VARIANTS_KEY]);
+        if (!Array.isArray(variants) || variants.length === 0) return undefined;
+        return variants.map((variant, index) => {
+            const scoped = { ...data, [alias]: { ...variant, availability: variantAvailability(variant) }, 'loop.index': index + 1 };
+            return { ...buildVariantOffer(variant), ...renderOverrides(scoped) };
+        });
+    };
+}
+
+/**
+ * Compiles a template object; mirrors substitutePlaceholders followed by applyRules.
+ * @param {object} node - The template object.
+ * @param {string|null} lastKey - The object's key in its parent (for rule containers), or null for
+ *   the root and for array items, which are never dropped as empty containers by key.
+ */
+function compileObject(node, lastKey, isRoot = false) {
+    if (node[REPEAT_KEY]) return compileRepeat(node);
+    if (node[VARIANTS_KEY]) return compileVariants(node, lastKey);
+
+    const properties = [];
+    const expressions = [];
+    const rules = [];
+    for (const key in node) {
+        if (key.endsWith(RULE_KEY_SUFFIX)) {
+            rules.push({ key, property: key.slice(0, -RULE_KEY_SUFFIX.length), rule: parseRule(node[key]) });
+        } else if (key.endsWith(EXPR_KEY_SUFFIX)) {
+            expressions.push({ property: key.slice(0, -EXPR_KEY_SUFFIX.length), tree: parseExpression(node[key]) });
+        } else {
+            properties.push({ key, render: compileNode(node[key], key) });
+        }
+    }
+
+    const container = lastKey !== null ? RULE_CONTAINERS[lastKey] : undefined;
+    const gateKey = container && `${container.property}${RULE_KEY_SUFFIX}`;
+    const isGated = !!container && rules.some(({ key }) => key === gateKey);
+    const mayDrop = !isRoot && rules.length + expressions.length > 0;
+
+    return (data) => {
+        const result = {};
+        for (const { key, render } of properties) {
+            const value = render(data);
+            if (value !== undefined) result[key] = value;
+        }
+        for (const { property, tree } of expressions) {
+            const value = evaluateExpression(tree, data);
+            if (value === null) delete result[property];
+            else result[property] = value;
+        }
+        for (const { property, rule } of rules) {
+            const value = resolveValue(evaluateConditionTree(rule.condition, data) ? rule.then : rule.else, data);
+            if (value === null) delete result[property];
+            else result[property] = value;
+        }
+
+        if (mayDrop) {
+            const isGateClosed = isGated && result[container.property] === undefined;
+            if (isGateClosed || Object.keys(result).every(key => key.startsWith('@'))) return undefined;
+        }
+        return result;
+    };
+}
+
+function compileNode(node, lastKey) {
+    if (typeof node === 'string') return compileString(node);
+
+    if (Array.isArray(node)) {
+        const items = node.map(item => compileNode(item, null));
+        return (data) => {
+            const result = [];
+            for (const render of items) {
+                const value = render(data);
+                if (value !== undefined) result.push(value);
+            }
+            return result;
+        };
+    }
+
+    if (node && typeof node === 'object') return compileObject(node, lastKey);
+    return () => node;
+}
+
+/**
+ * 7. Compiles a parsed JSON-LD template into a reusable render function.
+ * @param {object} template - The parsed JSON-LD template.
+ * @returns {function(object): object} - Renders the final schema object for a product data map,
+ *   exactly as renderSchema(data, template) does.
+ */
+function compileSchema(template) {
+    const render = template && typeof template === 'object' && !Array.isArray(template)
+        ? compileObject(template, null, true)
+        : compileNode(template, null);
+
+    return (data) => {
+        const schema = render(data);
+        for (const key in schema) {
+            if (key.startsWith('_comment')) delete schema[key];
+        }
+        return schema;
+    };
+}
+
+/**
+ * 8. Compiles the templates that apply to a page type (its own plus its partials) into one
+ * render function: the compiled counterpart of processDsiPage.
+ * @param {object} rulesDoc - The rule document holding the templates for each page type.
+ * @param {string} pageType - The page type (a key of PAGE_TYPES).
+ * @returns {function(object): string|null} - Renders the JSON-LD string for a page data map, or
+ *   null if the rule document has no template for this page type.
+ */
+function compileDsiPage(rulesDoc, pageType) {
+    const templates = getPageTemplates(rulesDoc);
+    const template = getPageTemplate(templates, pageType);
+    if (!template) return () => null;
+
+    const partials = ((isPageType(pageType) && PAGE_TYPES[pageType].partials) || []).filter(partial => getPageTemplate(templates, partial));
+    const renderPage = compileSchema(JSON.parse(template.jsonLdTemplate));
+    const renderPartials = partials.map(partial => compileSchema(JSON.parse(templates[partial].jsonLdTemplate)));
+
+    return (data) => {
+        const schemas = [renderPage(data)];
+        renderPartials.forEach(renderPartial => {
+            const schema = renderPartial(data);
+            if (Object.keys(schema).some(key => !key.startsWith('@'))) {
+                schemas.push(schema);
+            }
+        });
+        return JSON.stringify(schemas.length === 1 ? schemas[0] : schemas, null, 2);
+    };
+}
+
+// --- ITEM LIST ASSEMBLY ---
+
+// The page's main entity: the first schema when partials were rendered alongside it
+const mainSchemaOf = (jsonLd) => {
+    const parsed = JSON.parse(jsonLd);
+    return Array.isArray(parsed) ? parsed[0] : parsed;
+};
+
+/**
+ * 9. Assembles rendered item schemas into a schema.org ItemList whose ListItems embed each item in
+ * full (Google's "all-in-one" list page), e.g. a collection grid's products.
+ * @param {string|null} listJsonLd - The rendered collection page (processDsiPage/compileDsiPage output);
+ *   its ItemList supplies name, url and numberOfItems and its partials are kept. Null for a bare ItemList.
+ * @param {Array<string>} itemJsonLds - The rendered item pages, in list order.
+ * @returns {string} - The JSON-LD string, shaped like listJsonLd.
+ */
+function assembleItemList(listJsonLd, itemJsonLds) {
+    const parsed = listJsonLd ? JSON.parse(listJsonLd) : { "@context": "https://schema.org/", "@type": "ItemList" };
+    const schemas = Array.isArray(parsed) ? parsed : [parsed];
+    const list = schemas[0];
+
+    list["@type"] = "ItemList";
+    list.itemListElement = itemJsonLds.map((jsonLd, index) => {
+        // The list carries the @context for every embedded item
+        const { "@context": context, ...item } = mainSchemaOf(jsonLd);
+        return { "@type": "ListItem", "position": index + 1, "item": item };
+    });
+    if (list.numberOfItems === undefined) list.numberOfItems = itemJsonLds.length;
+
+    return JSON.stringify(Array.isArray(parsed) ? schemas : list, null, 2);
+}
+
+// --- SOURCE ANALYSIS ---
+// Which page data a template reads, so the storefront loader can send exactly that (see
+// src/server/loaderSnippet.js). Inside a `_repeat` or offers-mode `_variants` object, paths starting
+// with the item alias or `loop` read the list element, not the page data, and are left out.
+
+const rootOf = (path) => path.split(/[.[]/)[0];
+
+/**
+ * 10. Lists the page-data paths a template reads: placeholders (anywhere, including THEN/ELSE values),
+ * `_Rule` conditions, `_Expr` sources and the lists of `_repeat` and `_variants` directives.
+ * @param {object} template - The parsed JSON-LD template.
+ * @returns {Array<string>} - The distinct source paths, in template order.
+ */
+function templateSources(template) {
+    const paths = new Set();
+    const add = (path, scopes) => {
+        if (!scopes.includes(rootOf(path))) paths.add(path);
+    };
+
+    const visit = (node, scopes) => {
+        if (typeof node === 'string') {
+            for (const match of node.matchAll(PLACEHOLDER_PATTERN)) add(parsePlaceholder(match[1]).path, scopes);
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach(item => visit(item, scopes));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        let inner = scopes;
+        if (node[REPEAT_KEY]) {
+            add(node[REPEAT_KEY], scopes);
+            inner = [...scopes, node[REPEAT_ALIAS_KEY] || 'item', 'loop'];
+        } else if (node[VARIANTS_KEY]) {
+            add(node[VARIANTS_KEY], scopes);
+            if ((node[VARIANTS_MODE_KEY] || DEFAULT_OFFER_MODE) !== 'aggregate') {
+                inner = [...scopes, node[REPEAT_ALIAS_KEY] || 'variant', 'loop'];
+            }
+        }
+
+        for (const key in node) {
+            if (key.endsWith(RULE_KEY_SUFFIX)) {
+                const rule = parseRule(node[key]);
+                conditionSources(rule.condition).forEach(path => add(path, inner));
+                [rule.then, rule.else].filter(value => value.type === 'source').forEach(value => add(value.path, inner));
+            } else if (key.endsWith(EXPR_KEY_SUFFIX)) {
+                expressionSources(node[key]).forEach(path => add(path, inner));
+            } else {
+                visit(node[key], inner);
+            }
+        }
+    };
+
+    visit(template, []);
+    return [...paths];
+}
+
+module.exports = {
+    REPEAT_KEY,
+    VARIANTS_KEY,
+    substitutePlaceholders,
+    applyRules,
+    renderSchema,
+    processDsiSchema,
+    traceDsiSchema,
+    processDsiPage,
+    compileSchema,
+    compileDsiPage,
+    assembleItemList,
+    templateSources,
+};
@@ -0,0 +1,353 @@
+// --- OmniGraph Shared: Computed Expressions ---
+// A small, sandboxed expression language for mappings that combine several sources, e.g.
+//   product.vendor + " " + product.title
+//   round((compare_at_price - current_price) / compare_at_price * 100)
+//   round(average_rating, 1)
+// Expressions are parsed into a tree and interpreted; nothing is ever passed to eval/Function,
+// and only the functions in FUNCTIONS can be called. Templates store them as `<property>_Expr`.
+
+const { resolveSourcePath } = require('./dataPath');
+
+const EXPR_KEY_SUFFIX = '_Expr';
+// Deepest expression tree allowed (parentheses, unary operators, call arguments and chained binary
+// operators each add a level): parsing and evaluation recurse per level, so deeper input would
+// overflow the stack instead of failing as a syntax error.
+const MAX_NESTING_DEPTH = 64;
+
+class ExpressionSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} (at position ${position})`);
+        this.name = 'ExpressionSyntaxError';
+        this.position = position;
+    }
+}
+
+const isMissing = (value) => value === undefined || value === null;
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return null;
+};
+
+const toText = (value) => isMissing(value) ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+
+const isTruthy = (value) => !isMissing(value) && value !== false && value !== 0 && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+
+// Functions callable from expressions: `arity` is [min, max] (max Infinity for variadic).
+// Each receives already-evaluated arguments, except `if`, which is evaluated lazily.
+const FUNCTIONS = {
+    round: { arity: [1, 2], call: (value, digits = 0) => {
+        const number = toNumber(value);
+        if (number === null) return null;
+        const factor = Math.pow(10, toNumber(digits) || 0);
+        return Math.round(number * factor) / factor;
+    } },
+    floor: { arity: [1, 1], call: (value) => toNumber(value) === null ? null : Math.floor(toNumber(value)) },
+    ceil: { arity: [1, 1], call: (value) => toNumber(value) === null ? null : Math.ceil(toNumber(value)) },
+    abs: { arity: [1, 1], call: (value) => toNumber(value) === null ? null : Math.abs(toNumber(value)) },
+    min: { arity: [1, Infinity], call: (...values) => {
+        const numbers = values.flat().map(toNumber).filter(number => number !== null);
+        return numbers.length > 0 ? Math.min(...numbers) : null;
+    } },
+    max: { arity: [1, Infinity], call: (...values) => {
+        const numbers = values.flat().map(toNumber).filter(number => number !== null);
+        return numbers.length > 0 ? Math.max(...numbers) : null;
+    } },
+    number: { arity: [1, 1], call: toNumber },
+    text: { arity: [1, 1], call: (value) => isMissing(value) ? null : toText(value) },
+    concat: { arity: [1, Infinity], call: (...values) => values.map(toText).join('') },
+    upper: { arity: [1, 1], call: (value) => isMissing(value) ? null : toText(value).toUpperCase() },
+    lower: { arity: [1, 1], call: (value) => isMissing(value) ? null : toText(value).toLowerCase() },
+    trim: { arity: [1, 1], call: (value) => isMissing(value) ? null : toText(value).trim() },
+    length: { arity: [1, 1], call: (value) => isMissing(value) ? 0 : (Array.isArray(value) ? value : toText(value)).length },
+    join: { arity: [1, 2], call: (list, separator = ', ') => Array.isArray(list) ? list.map(toText).join(separator) : list },
+    coalesce: { arity: [1, Infinity], call: (...values) => {
+        const found = values.find(value => !isMissing(value) && value !== '');
+        return found === undefined ? null : found;
+    } },
+    if: { arity: [2, 3], lazy: true },
+};
+
+// --- TOKENIZER ---
+
+const TOKEN_PATTERNS = [
+    { type: 'NUMBER', pattern: /^\d+(?:\.\d+)?/ },
+    { type: 'STRING', pattern: /^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/ },
+    // `[path]` allows source paths that contain hyphens, e.g. [product.metafields.custom.fabric-type]
+    { type: 'IDENT', pattern: /^\[([A-Za-z_][\w.-]*(?:\[\d+\][\w.-]*)*)\]/ },
+    { type: 'IDENT', pattern: /^[A-Za-z_][\w.]*(?:\[\d+\][\w.]*)*/ },
+    { type: 'OPERATOR', pattern: /^(?:==|!=|<=|>=|&&|\|\||[-+*/%<>!])/ },
+    { type: 'PUNCTUATION', pattern: /^[(),]/ },
+];
+
+/**
+ * 1. Splits an expression into tokens.
+ * @param {string} input - The raw expression.
+ * @returns {Array<{type: string, value: *, position: number}>} - The token list.
+ */
+function tokenizeExpression(input) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < input.length) {
+        const rest = input.slice(position);
+
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            position += whitespace[0].length;
+            continue;
+        }
+
+        const rule = TOKEN_PATTERNS.find(({ pattern }) => pattern.test(rest));
+        if (!rule) {
+            throw new ExpressionSyntaxError(`Unexpected character '${rest[0]}'`, position);
+        }
+
+        const match = rest.match(rule.pattern);
+        let value = match[0];
+        if (rule.type === 'NUMBER') value = parseFloat(match[0]);
+        if (rule.type === 'STRING') value = (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1');
+        if (rule.type === 'IDENT' && match[0].startsWith('[')) value = match[1];
+
+        tokens.push({ type: rule.type, value, position });
+        position += match[0].length;
+    }
+
+    tokens.push({ type: 'EOF', value: null, position });
+    return tokens;
+}
+
+// --- PARSER ---
+
+// Binary operator precedence, loosest first.
+const PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '>', '<=', '>='],
+    ['+', '-'],
+    ['*', '/', '%'],
+];
+
+/**
+ * 2. Parses an expression into a tree of
+ * { type: 'literal', value } | { type: 'source', path } | { type: 'unary', operator, operand } |
+ * { type: 'binary', operator, left, right } | { type: 'call', name, args }.
+ * @param {string} input - The raw expression.
+ * @returns {object} - The expression tree.
+ */
+function parseExpression(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        throw new ExpressionSyntaxError('Expression is empty', 0);
+    }
+
+    const tokens = tokenizeExpression(input);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const describe = (token) => token.type === 'EOF' ? 'end of expression' : `'${token.value}'`;
+    const expectPunctuation = (value) => {
+        const token = next();
+        if (token.type !== 'PUNCTUATION' || token.value !== value) {
+            throw new ExpressionSyntaxError(`Expected '${value}' but found ${describe(token)}`, token.position);
+        }
+    };
+    const descend = (token) => {
+        if (depth === MAX_NESTING_DEPTH) {
+            throw new ExpressionSyntaxError(`Expression nests deeper than ${MAX_NESTING_DEPTH} levels`, token.position);
+        }
+        depth++;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token.type === 'NUMBER' || token.type === 'STRING') return { type: 'literal', value: token.value };
+        if (token.type === 'PUNCTUATION' && token.value === '(') {
+            descend(token);
+            const inner = parseBinary(0);
+            expectPunctuation(')');
+            depth--;
+            return inner;
+        }
+        if (token.type === 'IDENT') {
+            if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+            if (token.value === 'null') return { type: 'literal', value: null };
+
+            if (peek().type === 'PUNCTUATION' && peek().value === '(') {
+                // Own keys only, so `constructor(x)` or `toString(x)` is an unknown function
+                const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+                if (!fn) throw new ExpressionSyntaxError(`Unknown function '${token.value}'`, token.position);
+                descend(next());
+                const args = [];
+                while (!(peek().type === 'PUNCTUATION' && peek().value === ')')) {
+                    if (args.length > 0) expectPunctuation(',');
+                    args.push(parseBinary(0));
+                }
+                next();
+                depth--;
+                const [min, max] = fn.arity;
+                if (args.length < min || args.length > max) {
+                    const expected = max === Infinity ? `at least ${min}` : min === max ? `${min}` : `${min}-${max}`;
+                    throw new ExpressionSyntaxError(`${token.value}() takes ${expected} argument(s), got ${args.length}`, token.position);
+                }
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'source', path: token.value };
+        }
+        throw new ExpressionSyntaxError(`Expected a value but found ${describe(token)}`, token.position);
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token.type === 'OPERATOR' && (token.value === '-' || token.value === '!')) {
+            descend(next());
+            const operand = parseUnary();
+            depth--;
+            return { type: 'unary', operator: token.value, operand };
+        }
+        return parsePrimary();
+    };
+
+    // Precedence climbing over the PRECEDENCE table; all binary operators are left-associative.
+    const parseBinary = (level) => {
+        if (level === PRECEDENCE.length) return parseUnary();
+
+        // Each operator of a chain nests the chain so far one level deeper (`a + b + c` is `(a + b) + c`)
+        const base = depth;
+        let left = parseBinary(level + 1);
+        while (peek().type === 'OPERATOR' && PRECEDENCE[level].includes(peek().value)) {
+            const operator = next();
+            descend(operator);
+            left = { type: 'binary', operator: operator.value, left, right: parseBinary(level + 1) };
+        }
+        depth = base;
+        return left;
+    };
+
+    const tree = parseBinary(0);
+    if (peek().type !== 'EOF') {
+        throw new ExpressionSyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+    }
+    return tree;
+}
+
+// --- EVALUATOR ---
+
+const arithmetic = (operator, left, right) => {
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) return null;
+    switch (operator) {
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+    }
+    return null;
+};
+
+const compare = (operator, left, right) => {
+    const a = toNumber(left);
+    const b = toNumber(right);
+    const [x, y] = a !== null && b !== null ? [a, b] : [toText(left), toText(right)];
+    switch (operator) {
+        case '==': return x === y;
+        case '!=': return x !== y;
+        case '<': return x < y;
+        case '>': return x > y;
+        case '<=': return x <= y;
+        case '>=': return x >= y;
+    }
+    return null;
+};
+
+function evaluateNode(node, data) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'source': {
+            const value = resolveSourcePath(data, node.path);
+            return value === undefined ? null : value;
+        }
+        case 'unary': {
+            const operand = evaluateNode(node.operand, data);
+            if (node.operator === '!') return !isTruthy(operand);
+            const number = toNumber(operand);
+            return number === null ? null : -number;
+        }
+        case 'binary': {
+            if (node.operator === '&&' || node.operator === '||') {
+                const left = evaluateNode(node.left, data);
+                if (node.operator === '&&' ? !isTruthy(left) : isTruthy(left)) return left;
+                return evaluateNode(node.right, data);
+            }
+            const left = evaluateNode(node.left, data);
+            const right = evaluateNode(node.right, data);
+            if (['==', '!=', '<', '>', '<=', '>='].includes(node.operator)) return compare(node.operator, left, right);
+            // A missing operand makes the whole result missing, so the property is dropped
+            if (isMissing(left) || isMissing(right)) return null;
+            if (node.operator === '+') {
+                return typeof left === 'number' && typeof right === 'number' ? left + right : toText(left) + toText(right);
+            }
+            return arithmetic(node.operator, left, right);
+        }
+        case 'call': {
+            if (node.name === 'if') {
+                const [condition, thenNode, elseNode] = node.args;
+                if (isTruthy(evaluateNode(condition, data))) return evaluateNode(thenNode, data);
+                return elseNode ? evaluateNode(elseNode, data) : null;
+            }
+            return FUNCTIONS[node.name].call(...node.args.map(arg => evaluateNode(arg, data)));
+        }
+    }
+    return null;
+}
+
+/**
+ * 3. Evaluates an expression (string or parsed) against the data map.
+ * Missing sources propagate as null through operators (use coalesce() for fallbacks); division
+ * by zero and non-numeric arithmetic also yield null. A null or non-finite result means "drop".
+ * @param {string|object} expression - The expression text or tree.
+ * @param {object} data - The complete product data map.
+ * @returns {*} - The value, or null if the property should be dropped.
+ */
+function evaluateExpression(expression, data) {
+    const tree = typeof expression === 'string' ? parseExpression(expression) : expression;
+    const value = evaluateNode(tree, data);
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    return value === undefined ? null : value;
+}
+
+/**
+ * 4. Lists the source paths an expression reads, e.g. for checking them against the page's sources.
+ * @param {string|object} expression - The expression text or tree.
+ * @returns {Array<string>} - The distinct source paths.
+ */
+function expressionSources(expression) {
+    const tree = typeof expression === 'string' ? parseExpression(expression) : expression;
+    const paths = new Set();
+    const visit = (node) => {
+        if (node.type === 'source') paths.add(node.path);
+        if (node.operand) visit(node.operand);
+        if (node.left) visit(node.left);
+        if (node.right) visit(node.right);
+        if (node.args) node.args.forEach(visit);
+    };
+    visit(tree);
+    return [...paths];
+}
+
+module.exports = {
+    EXPR_KEY_SUFFIX,
+    FUNCTIONS,
+    ExpressionSyntaxError,
+    tokenizeExpression,
+    parseExpression,
+    evaluateExpression,
+    expressionSources,
+};
@@ -0,0 +1,194 @@
+// --- OmniGraph Shared: Page Types ---
+// Each storefront page type has its own JSON-LD template in the rule store, its own data
+// sources (sent by the matching branch of omnigraph-loader.liquid) and its own schema targets.
+// `partials` are extra templates (e.g. breadcrumbs) rendered alongside the page's main template.
+
+const PAGE_TYPES = {
+    product: {
+        label: 'Product',
+        liquidTemplate: 'product',
+        partials: ['breadcrumbs', 'faq'],
+        sources: [
+            'product.title',
+            'product.metafields.custom.isbn',
+            'product.metafields.custom.fabric_type',
+            'product.tags',
+            'product.vendor',
+            'review_count',
+            'average_rating',
+            'inventory_quantity',
+            'current_price',
+            'shop.currency',
+            'variants'
+        ],
+        targets: ['name', 'identifier', 'material', 'keywords', 'manufacturer', 'aggregateRating', 'availability', 'price'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "Product",
+            "name": "[product.title]",
+            "description": "A fully customized, SEO-optimized product.",
+            "offers": {
+                "@type": "Offer",
+                "priceCurrency": "[shop.currency]",
+                "price": "[current_price]"
+            }
+        }
+    },
+    collection: {
+        label: 'Collection (ItemList)',
+        liquidTemplate: 'collection',
+        partials: ['breadcrumbs'],
+        sources: ['collection.title', 'collection.description', 'collection.url', 'collection.products_count', 'collection.products'],
+        targets: ['name', 'description', 'url', 'numberOfItems'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "ItemList",
+            "name": "[collection.title]",
+            "url": "[collection.url]",
+            "numberOfItems": "[collection.products_count]",
+            "itemListElement": {
+                "_repeat": "collection.products",
+                "@type": "ListItem",
+                "position": "[loop.index]",
+                "name": "[item.title]",
+                "url": "[item.url]"
+            }
+        }
+    },
+    article: {
+        label: 'Blog Article',
+        liquidTemplate: 'article',
+        partials: ['breadcrumbs'],
+        sources: ['article.title', 'article.author', 'article.published_at', 'article.updated_at', 'article.image', 'article.excerpt', 'article.url', 'article.tags', 'blog.title', 'shop.name'],
+        targets: ['headline', 'description', 'image', 'datePublished', 'dateModified', 'keywords', 'url'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "BlogPosting",
+            "headline": "[article.title]",
+            "datePublished": "[article.published_at]",
+            "dateModified": "[article.updated_at]",
+            "image": "[article.image]",
+            "author": {
+                "@type": "Person",
+                "name": "[article.author]"
+            },
+            "publisher": {
+                "@type": "Organization",
+                "name": "[shop.name]"
+            }
+        }
+    },
+    home: {
+        label: 'Home (Organization / WebSite)',
+        liquidTemplate: 'index',
+        partials: ['organization'],
+        sources: ['shop.name', 'shop.url', 'shop.description', 'shop.search_url'],
+        targets: ['name', 'description', 'url', 'alternateName'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "WebSite",
+            "name": "[shop.name]",
+            "url": "[shop.url]",
+            "potentialAction": {
+                "@type": "SearchAction",
+                "target": "[shop.search_url]",
+                "query-input": "required name=search_term_string"
+            }
+        }
+    },
+    organization: {
+        label: 'Organization',
+        liquidTemplate: 'index',
+        isPartial: true,
+        sources: ['shop.name', 'shop.url', 'shop.logo', 'shop.email'],
+        targets: ['name', 'url', 'logo', 'email', 'sameAs'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "Organization",
+            "name": "[shop.name]",
+            "url": "[shop.url]",
+            "logo": "[shop.logo]"
+        }
+    },
+    breadcrumbs: {
+        label: 'Breadcrumbs',
+        isPartial: true,
+        sources: ['breadcrumbs'],
+        targets: [],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "BreadcrumbList",
+            "itemListElement": {
+                "_repeat": "breadcrumbs",
+                "@type": "ListItem",
+                "position": "[loop.index]",
+                "name": "[item.name]",
+                "item": "[item.url]"
+            }
+        }
+    },
+    faq: {
+        label: 'FAQ (metafields)',
+        liquidTemplate: 'page',
+        partials: ['breadcrumbs'],
+        sources: ['page.title', 'faq'],
+        targets: ['name'],
+        baseTemplate: {
+            "@context": "https://schema.org/",
+            "@type": "FAQPage",
+            "mainEntity": {
+                "_repeat": "faq",
+                "@type": "Question",
+                "name": "[item.question]",
+                "acceptedAnswer": {
+                    "@type": "Answer",
+                    "text": "[item.answer]"
+                }
+            }
+        }
+    },
+};
+
+const DEFAULT_PAGE_TYPE = 'product';
+
+// Page types come from URLs and request bodies, so only own keys count (not `constructor` or `__proto__`)
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * 1. Returns the page-type templates of a rule document.
+ * Rule documents written before page types existed hold a single product template at the top level.
+ * @param {object} rulesDoc - The rule document ({ templates: { [pageType]: { jsonLdTemplate, mappings } } }).
+ * @returns {object} - The templates keyed by page type.
+ */
+function getPageTemplates(rulesDoc) {
+    if (rulesDoc.templates) return rulesDoc.templates;
+    if (rulesDoc.jsonLdTemplate) return { [DEFAULT_PAGE_TYPE]: rulesDoc };
+    return {};
+}
+
+/**
+ * 2. Whether a name is one of the PAGE_TYPES.
+ * @param {string} pageType - The name to check.
+ * @returns {boolean}
+ */
+function isPageType(pageType) {
+    return typeof pageType === 'string' && hasOwn(PAGE_TYPES, pageType);
+}
+
+/**
+ * 3. Returns the template stored for a page type (or a draft's rule set, keyed the same way).
+ * @param {object} templates - The templates keyed by page type.
+ * @param {string} pageType - The page type.
+ * @returns {object|null} - The template, or null if there is none.
+ */
+function getPageTemplate(templates, pageType) {
+    return templates && hasOwn(templates, pageType) ? templates[pageType] : null;
+}
+
+module.exports = {
+    PAGE_TYPES,
+    DEFAULT_PAGE_TYPE,
+    getPageTemplates,
+    isPageType,
+    getPageTemplate,
+};
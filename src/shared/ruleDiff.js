@@ -0,0 +1,72 @@
+// --- OmniGraph Shared: Rule Version Diff ---
+// Line diffs between two published rule versions, for the Admin UI's version history.
+// Each page type's template is compared as written, its mappings as pretty-printed JSON.
+
+/**
+ * 1. Diffs two texts line by line (longest common subsequence).
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {Array<{type: 'same'|'add'|'remove', text: string}>} - The lines in display order.
+ */
+function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'remove', text: a[i++] });
+        } else {
+            lines.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'remove', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'add', text: b[j++] });
+    return lines;
+}
+
+const mappingsText = (ruleSet) => ruleSet ? JSON.stringify(ruleSet.mappings || [], null, 2) : '';
+
+/**
+ * 2. Diffs the templates of two rule versions, page type by page type.
+ * @param {object} before - The older version's templates ({ [pageType]: { jsonLdTemplate, mappings } }).
+ * @param {object} after - The newer version's templates.
+ * @returns {Array<{pageType: string, status: string, template: Array, mappings: Array}>} - One entry
+ *   per page type in either version; status is 'added', 'removed', 'changed' or 'unchanged'.
+ */
+function diffRuleVersions(before = {}, after = {}) {
+    const pageTypes = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return pageTypes.map(pageType => {
+        const old = before[pageType];
+        const next = after[pageType];
+        const template = diffLines(old ? old.jsonLdTemplate : '', next ? next.jsonLdTemplate : '');
+        const mappings = diffLines(mappingsText(old), mappingsText(next));
+
+        let status = 'unchanged';
+        if (!old) status = 'added';
+        else if (!next) status = 'removed';
+        else if ([...template, ...mappings].some(line => line.type !== 'same')) status = 'changed';
+
+        return { pageType, status, template, mappings };
+    });
+}
+
+module.exports = {
+    diffLines,
+    diffRuleVersions,
+};
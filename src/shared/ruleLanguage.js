@@ -0,0 +1,752 @@
+// --- OmniGraph Shared: DSI Rule Language ---
+// Tokenizer, parser, serializer and evaluator for conditional mapping rules, e.g.
+//   IF (review_count > 5 AND average_rating > 4.5) THEN [average_rating] ELSE [NULL]
+// The Admin UI serializes mapper rows into this syntax and parses it back from the
+// Bi-Directional Schema Editor; the DSI engine (server.js) evaluates it against productData.
+
+const { resolveSourcePath } = require('./dataPath');
+const { PLACEHOLDER_BODY_SOURCE, parsePlaceholder, serializePlaceholder, applyTransforms } = require('./transforms');
+
+// Comparison operators, as offered by the RuleModal. Word operators must be whole words.
+const OPERATORS = [
+    '>', '<', '>=', '<=', '==', '!=',
+    'contains', 'starts with', 'matches',
+    'in', 'not in', 'between',
+    'before', 'after',
+    'is empty', 'is not empty'
+];
+// Operators that take no right-hand operand.
+const UNARY_OPERATORS = ['is empty', 'is not empty'];
+// Operators whose operand is a list, e.g. `tag in ['sale', 'featured']` or `price between [10, 50]`.
+const LIST_OPERATORS = ['in', 'not in', 'between'];
+
+// Targets whose rule lives inside a wrapper object rather than on the target key itself, e.g.
+// `aggregateRating` renders as { "@type": "AggregateRating", "ratingValue_Rule": "IF ...", "reviewCount": "[review_count]" }
+// `review` is the pre-validator name of the same wrapper, kept so existing templates still parse.
+const RULE_CONTAINERS = {
+    aggregateRating: { type: 'AggregateRating', property: 'ratingValue', properties: { reviewCount: '[review_count]' } },
+    review: { type: 'AggregateRating', property: 'ratingValue' }
+};
+
+const RULE_KEY_SUFFIX = '_Rule';
+// Deepest nesting of parentheses, NOT and operand lists a rule may use: the parser recurses once per
+// level, so unbounded nesting would overflow the stack instead of failing as a syntax error.
+const MAX_NESTING_DEPTH = 32;
+
+class RuleSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} (at position ${position})`);
+        this.name = 'RuleSyntaxError';
+        this.position = position;
+    }
+}
+
+// --- TOKENIZER ---
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest operators first so '!=' is never read as a shorter match.
+const OPERATOR_PATTERNS = [...OPERATORS]
+    .sort((a, b) => b.length - a.length)
+    .map(op => ({
+        op,
+        pattern: new RegExp('^' + op.split(' ').map(escapeRegExp).join('\\s+') + (/\w$/.test(op) ? '(?![\\w.])' : ''))
+    }));
+
+const TOKEN_PATTERNS = [
+    { type: 'PLACEHOLDER', pattern: new RegExp(`^\\[(${PLACEHOLDER_BODY_SOURCE})\\]`) },
+    { type: 'LBRACKET', pattern: /^\[/ },
+    { type: 'RBRACKET', pattern: /^\]/ },
+    { type: 'COMMA', pattern: /^,/ },
+    { type: 'STRING', pattern: /^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/ },
+    { type: 'KEYWORD', pattern: /^(IF|THEN|ELSE|AND|OR|NOT|END)(?![\w.])/ },
+    { type: 'NUMBER', pattern: /^-?\d+(?:\.\d+)?(?![\w.])/ },
+    { type: 'IDENT', pattern: /^[A-Za-z_][\w.-]*(?:\[\d+\][\w.-]*)*/ },
+];
+
+/**
+ * 1. Splits a rule string into tokens.
+ * @param {string} input - The raw rule string.
+ * @returns {Array<{type: string, value: *, position: number}>} - The token list.
+ */
+function tokenize(input) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < input.length) {
+        const rest = input.slice(position);
+
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            position += whitespace[0].length;
+            continue;
+        }
+
+        if (rest[0] === '(' || rest[0] === ')') {
+            tokens.push({ type: rest[0] === '(' ? 'LPAREN' : 'RPAREN', value: rest[0], position });
+            position++;
+            continue;
+        }
+
+        const operator = OPERATOR_PATTERNS.find(({ pattern }) => pattern.test(rest));
+        if (operator) {
+            const length = rest.match(operator.pattern)[0].length;
+            tokens.push({ type: 'OPERATOR', value: operator.op, position });
+            position += length;
+            continue;
+        }
+
+        let matched = false;
+        for (const { type, pattern } of TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (!match) continue;
+
+            let value = match[0];
+            if (type === 'PLACEHOLDER') value = match[1];
+            if (type === 'STRING') value = (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1');
+            if (type === 'NUMBER') value = parseFloat(match[0]);
+
+            tokens.push({ type, value, position });
+            position += match[0].length;
+            matched = true;
+            break;
+        }
+
+        if (!matched) {
+            throw new RuleSyntaxError(`Unexpected character '${rest[0]}'`, position);
+        }
+    }
+
+    tokens.push({ type: 'EOF', value: null, position });
+    return tokens;
+}
+
+// --- PARSER ---
+
+/**
+ * 2. Parses a rule string into a rule object.
+ * Conditions form a tree of { type: 'and' | 'or', conditions: [...] } groups over
+ * { type: 'comparison', field, operator, value } leaves; AND binds tighter than OR.
+ * Any node may carry `negate: true` (written `NOT a > 1` or `NOT (a > 1 OR b > 2)`).
+ * This tree is also the stored condition format of a mapping (`mapping.condition`).
+ * THEN/ELSE values are { type: 'source', path, transforms? }, { type: 'literal', value } or { type: 'null' }.
+ * A missing ELSE branch defaults to [NULL], and the legacy trailing `END` keyword is accepted.
+ * @param {string} input - The raw rule string.
+ * @returns {{condition: object, then: object, else: object}} - The parsed rule.
+ */
+function parseRule(input) {
+    const tokens = tokenize(input);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (word) => peek().type === 'KEYWORD' && peek().value === word;
+    const nested = (token, parse) => {
+        if (depth === MAX_NESTING_DEPTH) {
+            throw new RuleSyntaxError(`Rule nests deeper than ${MAX_NESTING_DEPTH} levels`, token.position);
+        }
+        depth++;
+        const result = parse();
+        depth--;
+        return result;
+    };
+    const expect = (type, value) => {
+        const token = next();
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            throw new RuleSyntaxError(`Expected ${value || type} but found '${token.value === null ? 'end of rule' : token.value}'`, token.position);
+        }
+        return token;
+    };
+
+    const parseOperand = () => {
+        const token = next();
+        if (token.type === 'LBRACKET') {
+            const items = [];
+            while (peek().type !== 'RBRACKET') {
+                if (items.length > 0) expect('COMMA');
+                items.push(nested(token, parseOperand));
+            }
+            next();
+            return items;
+        }
+        if (token.type === 'NUMBER' || token.type === 'STRING') return token.value;
+        if (token.type === 'IDENT') {
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            return token.value;
+        }
+        throw new RuleSyntaxError(`Expected a comparison value but found '${token.value}'`, token.position);
+    };
+
+    const parseComparison = () => {
+        const field = expect('IDENT').value;
+        const operator = expect('OPERATOR').value;
+        const comparison = { type: 'comparison', field, operator };
+        if (!UNARY_OPERATORS.includes(operator)) {
+            const { position } = peek();
+            comparison.value = parseOperand();
+            const problem = operator === 'matches' ? checkPattern(comparison.value) : null;
+            if (problem) throw new RuleSyntaxError(problem, position);
+        }
+        return comparison;
+    };
+
+    const parseGroup = (type, keyword, parseChild) => {
+        const conditions = [parseChild()];
+        while (isKeyword(keyword)) {
+            next();
+            conditions.push(parseChild());
+        }
+        return conditions.length === 1 ? conditions[0] : { type, conditions };
+    };
+
+    // NOT and parenthesised groups bind tightest, then AND, then OR.
+    const parseUnary = () => {
+        if (isKeyword('NOT')) {
+            const condition = nested(next(), parseUnary);
+            return { ...condition, negate: !condition.negate };
+        }
+        if (peek().type === 'LPAREN') {
+            const condition = nested(next(), parseOr);
+            expect('RPAREN');
+            return condition;
+        }
+        return parseComparison();
+    };
+
+    const parseAnd = () => parseGroup('and', 'AND', parseUnary);
+    const parseOr = () => parseGroup('or', 'OR', parseAnd);
+
+    expect('KEYWORD', 'IF');
+    expect('LPAREN');
+    const condition = normalizeCondition(parseOr());
+    if (isKeyword('END')) next();
+    expect('RPAREN');
+
+    expect('KEYWORD', 'THEN');
+    const thenValue = parseValueToken(next());
+
+    let elseValue = { type: 'null' };
+    if (isKeyword('ELSE')) {
+        next();
+        elseValue = parseValueToken(next());
+    }
+
+    expect('EOF');
+    return { condition, then: thenValue, else: elseValue };
+}
+
+/**
+ * Converts a single THEN/ELSE token into a value node.
+ * @param {object} token - The token to convert.
+ * @returns {object} - The value node.
+ */
+function parseValueToken(token) {
+    switch (token.type) {
+        case 'PLACEHOLDER': {
+            if (token.value === 'NULL') return { type: 'null' };
+            try {
+                const { path, transforms } = parsePlaceholder(token.value);
+                return transforms.length > 0 ? { type: 'source', path, transforms } : { type: 'source', path };
+            } catch (e) {
+                throw new RuleSyntaxError(e.message, token.position);
+            }
+        }
+        case 'STRING':
+        case 'NUMBER':
+            return { type: 'literal', value: token.value };
+        case 'IDENT':
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' };
+            }
+            break;
+    }
+    throw new RuleSyntaxError(`Expected a [source], [NULL] or literal value but found '${token.value}'`, token.position);
+}
+
+/**
+ * 3. Parses a standalone THEN/ELSE value, as typed into the RuleModal (e.g. "[NULL]", "'In stock'").
+ * @param {string} input - The raw value text.
+ * @returns {object} - The value node.
+ */
+function parseValue(input) {
+    const tokens = tokenize(input);
+    if (tokens.length !== 2) {
+        throw new RuleSyntaxError('Expected exactly one value', tokens[Math.min(1, tokens.length - 1)].position);
+    }
+    return parseValueToken(tokens[0]);
+}
+
+// --- SERIALIZER ---
+
+const quote = (text) => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * Serializes a comparison operand. Numeric strings (as typed into the RuleModal) are written bare.
+ * @param {*} value - The operand.
+ * @returns {string} - The operand text.
+ */
+function serializeOperand(value) {
+    if (Array.isArray(value)) return `[${value.map(serializeOperand).join(', ')}]`;
+    if (typeof value === 'number' || typeof value === 'boolean' || value === null) return String(value);
+    if (/^-?\d+(\.\d+)?$/.test(String(value).trim())) return String(value).trim();
+    return quote(value);
+}
+
+/**
+ * 4. Serializes a THEN/ELSE value node.
+ * @param {object} node - The value node.
+ * @returns {string} - The value text.
+ */
+function serializeValue(node) {
+    switch (node.type) {
+        case 'source':
+            return serializePlaceholder(node.path, node.transforms);
+        case 'literal':
+            return typeof node.value === 'string' ? quote(node.value) : String(node.value);
+        default:
+            return '[NULL]';
+    }
+}
+
+/**
+ * 5. Serializes a condition tree. Nested groups are always parenthesised.
+ * @param {object} node - The condition node.
+ * @returns {string} - The condition text.
+ */
+function serializeCondition(node) {
+    let text;
+    if (node.type === 'comparison') {
+        const operand = UNARY_OPERATORS.includes(node.operator) ? '' : ` ${serializeOperand(node.value)}`;
+        text = `${node.field} ${node.operator}${operand}`;
+    } else {
+        text = node.conditions
+            .map(child => child.type === 'comparison' || child.negate ? serializeCondition(child) : `(${serializeCondition(child)})`)
+            .join(node.type === 'or' ? ' OR ' : ' AND ');
+    }
+
+    if (!node.negate) return text;
+    return node.type === 'comparison' ? `NOT ${text}` : `NOT (${text})`;
+}
+
+/**
+ * 6. Serializes a rule object. `serializeRule(parseRule(text))` is stable for any canonical rule.
+ * @param {{condition: object, then: object, else: object}} rule - The rule.
+ * @returns {string} - The rule string.
+ */
+function serializeRule(rule) {
+    return `IF (${serializeCondition(rule.condition)}) THEN ${serializeValue(rule.then)} ELSE ${serializeValue(rule.else || { type: 'null' })}`;
+}
+
+// --- MAPPER CONVERSION ---
+
+/**
+ * Normalizes a value typed into the RuleModal. List operators accept comma-separated text
+ * (e.g. "sale, featured" or "10, 50"), which is split into a list with numeric items as numbers.
+ * @param {string} operator - The comparison operator.
+ * @param {*} value - The raw value.
+ * @returns {*} - The operand.
+ */
+function normalizeOperand(operator, value) {
+    if (!LIST_OPERATORS.includes(operator) || Array.isArray(value)) return value;
+    return String(value)
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item !== '')
+        .map(item => /^-?\d+(\.\d+)?$/.test(item) ? parseFloat(item) : item);
+}
+
+/**
+ * 7. Converts the legacy flat condition list ({ field, operator, value, logic }) into a condition tree.
+ * Each condition's `logic` joins it to the next one; 'END' marks the last.
+ * @param {Array<object>} conditions - The flat condition list.
+ * @returns {object} - The condition tree.
+ */
+function conditionsToTree(conditions) {
+    const orGroups = [[]];
+    conditions.forEach((condition, index) => {
+        const comparison = { type: 'comparison', field: condition.field, operator: condition.operator };
+        if (!UNARY_OPERATORS.includes(condition.operator)) comparison.value = normalizeOperand(condition.operator, condition.value);
+        orGroups[orGroups.length - 1].push(comparison);
+        if (condition.logic === 'OR' && index < conditions.length - 1) orGroups.push([]);
+    });
+
+    const groups = orGroups.map(group => group.length === 1 ? group[0] : { type: 'and', conditions: group });
+    return groups.length === 1 ? groups[0] : { type: 'or', conditions: groups };
+}
+
+/**
+ * 8. Normalizes a condition tree: drops empty groups, collapses single-child groups,
+ * flattens nested groups of the same type and normalizes operands, so that
+ * parse(serialize(tree)) returns the same tree.
+ * @param {object|null} node - The condition node.
+ * @returns {object|null} - The normalized node, or null if no conditions remain.
+ */
+function normalizeCondition(node) {
+    if (!node) return null;
+    if (node.type === 'comparison') {
+        const comparison = { type: 'comparison', field: node.field, operator: node.operator };
+        if (!UNARY_OPERATORS.includes(node.operator)) comparison.value = normalizeOperand(node.operator, node.value);
+        if (node.negate) comparison.negate = true;
+        return comparison;
+    }
+
+    const conditions = [];
+    node.conditions.map(normalizeCondition).forEach(child => {
+        if (!child) return;
+        if (child.type === node.type && !child.negate) {
+            conditions.push(...child.conditions);
+        } else {
+            conditions.push(child);
+        }
+    });
+
+    if (conditions.length === 0) return null;
+    if (conditions.length === 1) {
+        const [only] = conditions;
+        return node.negate ? normalizeCondition({ ...only, negate: !only.negate }) : only;
+    }
+    return node.negate ? { type: node.type, conditions, negate: true } : { type: node.type, conditions };
+}
+
+/**
+ * 9. Returns the condition tree of a mapping, migrating the legacy flat `conditions` list.
+ * @param {object} mapping - The mapping row.
+ * @returns {object|null} - The condition tree, or null for an unconditional mapping.
+ */
+function getMappingCondition(mapping) {
+    if (mapping.condition) return mapping.condition;
+    if (Array.isArray(mapping.conditions) && mapping.conditions.length > 0) {
+        return conditionsToTree(mapping.conditions);
+    }
+    return null;
+}
+
+/**
+ * 10. Counts the comparisons in a condition tree.
+ * @param {object|null} node - The condition node.
+ * @returns {number} - The number of comparisons.
+ */
+function countConditions(node) {
+    if (!node) return 0;
+    if (node.type === 'comparison') return 1;
+    return node.conditions.reduce((total, child) => total + countConditions(child), 0);
+}
+
+/**
+ * 11. Lists the source paths a condition tree compares, e.g. for checking them against the page's sources.
+ * @param {object|null} node - The condition node.
+ * @returns {Array<string>} - The distinct source paths.
+ */
+function conditionSources(node) {
+    if (!node) return [];
+    if (node.type === 'comparison') return [node.field];
+    return [...new Set(node.conditions.flatMap(conditionSources))];
+}
+
+// --- EVALUATOR ---
+
+// --- Type-aware coercion helpers ---
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    return Number(value.trim());
+};
+
+const toTimestamp = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim())) return Date.parse(value.trim());
+    return NaN;
+};
+
+const toBoolean = (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+};
+
+/**
+ * Compares two values as numbers, or as dates when both are ISO date strings.
+ * @returns {number} - Negative, zero or positive; NaN if the values are not comparable.
+ */
+function compareValues(a, b) {
+    const numberA = toNumber(a);
+    const numberB = toNumber(b);
+    if (!isNaN(numberA) && !isNaN(numberB)) return numberA - numberB;
+    return toTimestamp(a) - toTimestamp(b);
+}
+
+/**
+ * Equality that tolerates Liquid's stringly-typed output ("5" == 5, "true" == true).
+ */
+function looseEquals(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return toBoolean(a) !== undefined && toBoolean(a) === toBoolean(b);
+    }
+    const numberA = toNumber(a);
+    const numberB = toNumber(b);
+    if (!isNaN(numberA) && !isNaN(numberB)) return numberA === numberB;
+    return String(a) === String(b);
+}
+
+// --- `matches` patterns ---
+// Patterns are written by shop admins and run on every storefront render, so they are kept short
+// and may not repeat a group that itself repeats (e.g. `(a+)+`) or alternates (e.g. `(a|aa)*`):
+// both can backtrack exponentially, stalling rendering for every shop on the engine.
+
+const MAX_PATTERN_LENGTH = 200;
+const PATTERN_CACHE_MAX_ENTRIES = 1000;
+const compiledPatterns = new Map(); // operand -> RegExp, or null if it may not run
+
+// The quantifier at `index`: 'exact' for `{n}`, 'variable' for `* + ? {n,} {n,m}`, or null.
+const quantifierAt = (source, index) => {
+    if ('*+?'.includes(source[index] || '-')) return 'variable';
+    const braces = source.slice(index).match(/^\{\d+(,\d*)?\}/);
+    return braces ? (braces[1] ? 'variable' : 'exact') : null;
+};
+
+/**
+ * Finds a repeated group that holds a variable quantifier (`(a+)+`, `(\w+\s?)*`) or an alternation
+ * (`(a|a)*`, `(?:x|y){2,}`), at any depth.
+ * @returns {'quantifier'|'alternation'|null} - What the repeated group holds, or null if none is found.
+ */
+function findAmbiguousRepeat(source) {
+    const groups = [{ quantified: false, alternates: false }];
+    const current = () => groups[groups.length - 1];
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            for (i++; i < source.length && source[i] !== ']'; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternates: false });
+            if (source[i + 1] === '?') i++; // (?: (?= (?! (?<name> are not quantifiers
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { quantified: false, alternates: false };
+            const quantifier = quantifierAt(source, i + 1);
+            if (quantifier && source[i + 1] !== '?') {
+                if (group.quantified) return 'quantifier';
+                if (group.alternates) return 'alternation';
+            }
+            if (group.quantified || quantifier === 'variable') current().quantified = true;
+            if (group.alternates) current().alternates = true;
+        } else if (char === '|') {
+            current().alternates = true;
+        } else if (quantifierAt(source, i) === 'variable') {
+            current().quantified = true;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds a RegExp from a `matches` operand. Accepts a bare pattern or `/pattern/flags`.
+ * @returns {{expression?: RegExp, problem?: string}} - The expression, or why it may not run.
+ */
+function compilePattern(text) {
+    if (text.length > MAX_PATTERN_LENGTH) {
+        return { problem: `matches pattern is longer than ${MAX_PATTERN_LENGTH} characters` };
+    }
+    const literal = text.match(/^\/(.*)\/([gimsuy]*)$/);
+    const source = literal ? literal[1] : text;
+    const repeated = findAmbiguousRepeat(source);
+    if (repeated) {
+        const holds = repeated === 'quantifier' ? 'a repeated group' : 'a group with alternatives';
+        return { problem: `matches pattern repeats ${holds}, which can take exponential time: ${text}` };
+    }
+    try {
+        // Compiled expressions are shared, so flags that make test() stateful are dropped
+        return { expression: new RegExp(source, literal ? literal[2].replace(/[gy]/g, '') : '') };
+    } catch (e) {
+        return { problem: `Invalid matches pattern: ${e.message}` };
+    }
+}
+
+/**
+ * 12. Checks a `matches` operand before it is saved: it must compile, stay under the length cap
+ * and repeat no group that repeats or alternates.
+ * @param {*} pattern - The operand.
+ * @returns {string|null} - The problem, or null if the pattern may run.
+ */
+function checkPattern(pattern) {
+    return compilePattern(String(pattern)).problem || null;
+}
+
+// The compiled expression for an operand (null if it may not run), compiled once.
+function toRegExp(pattern) {
+    const text = String(pattern);
+    if (compiledPatterns.has(text)) return compiledPatterns.get(text);
+
+    const { expression = null } = compilePattern(text);
+    if (compiledPatterns.size >= PATTERN_CACHE_MAX_ENTRIES) {
+        compiledPatterns.delete(compiledPatterns.keys().next().value);
+    }
+    compiledPatterns.set(text, expression);
+    return expression;
+}
+
+const asList = (value) => Array.isArray(value) ? value : [value];
+
+/**
+ * Evaluates a positive operator against a single (non-array) data value.
+ * @returns {boolean} - True if the comparison holds.
+ */
+function compareScalar(dataValue, operator, value) {
+    switch (operator) {
+        case '>':
+            return compareValues(dataValue, value) > 0;
+        case '<':
+            return compareValues(dataValue, value) < 0;
+        case '>=':
+            return compareValues(dataValue, value) >= 0;
+        case '<=':
+            return compareValues(dataValue, value) <= 0;
+        case '==':
+            return looseEquals(dataValue, value);
+        case 'contains':
+            return dataValue !== null && String(dataValue).includes(String(value));
+        case 'starts with':
+            return dataValue !== null && String(dataValue).startsWith(String(value));
+        case 'matches': {
+            const expression = toRegExp(value);
+            return expression !== null && dataValue !== null && expression.test(String(dataValue));
+        }
+        case 'in':
+            return asList(value).some(item => looseEquals(dataValue, item));
+        case 'between': {
+            const [low, high] = asList(value);
+            return compareValues(dataValue, low) >= 0 && compareValues(dataValue, high) <= 0;
+        }
+        case 'before':
+            return toTimestamp(dataValue) < toTimestamp(value);
+        case 'after':
+            return toTimestamp(dataValue) > toTimestamp(value);
+        default:
+            return false;
+    }
+}
+
+// Negated operators and their positive counterparts.
+const NEGATED_OPERATORS = { '!=': '==', 'not in': 'in' };
+
+/**
+ * 13. Executes a single comparison against the data map.
+ * Array values (e.g. product.tags) match when ANY element matches; negated operators
+ * (`!=`, `not in`) match when NO element does. `contains` on an array tests membership.
+ * A missing field behaves like null: it is empty, and unequal to any non-null value.
+ * @param {string} field - The data path (e.g., 'review_count').
+ * @param {string} operator - The operator (e.g., '>').
+ * @param {*} value - The comparison value (e.g., 5).
+ * @param {object} data - The complete product data map.
+ * @returns {boolean} - True if the condition is met.
+ */
+function evaluateCondition(field, operator, value, data) {
+    const dataValue = resolveSourcePath(data, field);
+
+    if (operator === 'is empty') return isBlank(dataValue);
+    if (operator === 'is not empty') return !isBlank(dataValue);
+
+    if (NEGATED_OPERATORS[operator]) {
+        return !evaluateCondition(field, NEGATED_OPERATORS[operator], value, data);
+    }
+
+    if (dataValue === undefined || dataValue === null) {
+        return operator === '==' || operator === 'in' ? compareScalar(null, operator, value) : false;
+    }
+
+    if (Array.isArray(dataValue)) {
+        if (operator === 'contains') return dataValue.some(item => looseEquals(item, value));
+        return dataValue.some(item => compareScalar(item, operator, value));
+    }
+
+    return compareScalar(dataValue, operator, value);
+}
+
+/**
+ * 14. Evaluates a condition tree, short-circuiting AND/OR groups.
+ * @param {object} node - The condition node.
+ * @param {object} data - The complete product data map.
+ * @returns {boolean} - True if the condition is met.
+ */
+function evaluateConditionTree(node, data) {
+    let isMet;
+    switch (node.type) {
+        case 'and':
+            isMet = node.conditions.every(child => evaluateConditionTree(child, data));
+            break;
+        case 'or':
+            isMet = node.conditions.some(child => evaluateConditionTree(child, data));
+            break;
+        default:
+            isMet = evaluateCondition(node.field, node.operator, node.value, data);
+    }
+    return node.negate ? !isMet : isMet;
+}
+
+/**
+ * 15. Resolves a THEN/ELSE value node.
+ * @param {object} node - The value node.
+ * @param {object} data - The complete product data map.
+ * @returns {*} - The value, or null if the property should be dropped.
+ */
+function resolveValue(node, data) {
+    if (node.type === 'literal') return node.value;
+    if (node.type === 'source') {
+        const value = applyTransforms(resolveSourcePath(data, node.path), node.transforms);
+        return value === undefined ? null : value;
+    }
+    return null;
+}
+
+/**
+ * 16. Evaluates a rule (string or parsed) against the data map.
+ * @param {string|object} rule - The rule string or parsed rule.
+ * @param {object} data - The complete product data map.
+ * @returns {*} - The THEN or ELSE value, or null if the property should be dropped.
+ */
+function evaluateRule(rule, data) {
+    const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+    const isMet = evaluateConditionTree(parsed.condition, data);
+    return resolveValue(isMet ? parsed.then : parsed.else, data);
+}
+
+module.exports = {
+    OPERATORS,
+    UNARY_OPERATORS,
+    LIST_OPERATORS,
+    RULE_CONTAINERS,
+    RULE_KEY_SUFFIX,
+    RuleSyntaxError,
+    tokenize,
+    parseRule,
+    parseValue,
+    serializeRule,
+    serializeValue,
+    serializeCondition,
+    normalizeOperand,
+    conditionsToTree,
+    normalizeCondition,
+    getMappingCondition,
+    countConditions,
+    conditionSources,
+    checkPattern,
+    evaluateCondition,
+    evaluateConditionTree,
+    resolveValue,
+    evaluateRule,
+};
@@ -0,0 +1,440 @@
+// --- OmniGraph Shared: Schema Validator ("Zero-Error Agent") ---
+// Validates JSON-LD against a schema.org vocabulary subset and Google's Product rich-result
+// requirements. The Admin UI runs it on the template and the live preview; the DSI engine
+// (server.js) runs it on every rendered schema before /api/dsi/schema responds.
+
+const { parseRule, RULE_KEY_SUFFIX } = require('./ruleLanguage');
+const { OFFER_MODES, DEFAULT_OFFER_MODE } = require('./variantOffers');
+const { PLACEHOLDER_BODY_SOURCE, parsePlaceholder } = require('./transforms');
+const { EXPR_KEY_SUFFIX, parseExpression } = require('./expressions');
+
+// Schema.org types used by OmniGraph templates. `parent` inherits properties; each property lists
+// the value types it accepts (data types, enumerations or other types in this table).
+const SCHEMA_TYPES = {
+    Thing: {
+        properties: {
+            name: ['Text'],
+            description: ['Text'],
+            url: ['URL'],
+            image: ['URL', 'ImageObject'],
+            identifier: ['Text', 'URL', 'PropertyValue'],
+            sameAs: ['URL'],
+            alternateName: ['Text'],
+        }
+    },
+    Product: {
+        parent: 'Thing',
+        properties: {
+            sku: ['Text'],
+            mpn: ['Text'],
+            gtin: ['Text'],
+            gtin8: ['Text'],
+            gtin12: ['Text'],
+            gtin13: ['Text'],
+            gtin14: ['Text'],
+            brand: ['Brand', 'Organization'],
+            manufacturer: ['Organization'],
+            material: ['Text', 'URL', 'Product'],
+            color: ['Text'],
+            category: ['Text', 'URL'],
+            keywords: ['Text', 'URL'],
+            offers: ['Offer', 'AggregateOffer'],
+            aggregateRating: ['AggregateRating'],
+            review: ['Review'],
+        }
+    },
+    Offer: {
+        parent: 'Thing',
+        properties: {
+            price: ['Number', 'Text'],
+            priceCurrency: ['Text'],
+            priceValidUntil: ['Date'],
+            availability: ['ItemAvailability'],
+            itemCondition: ['OfferItemCondition'],
+            sku: ['Text'],
+            gtin: ['Text'],
+            mpn: ['Text'],
+            seller: ['Organization'],
+        }
+    },
+    AggregateOffer: {
+        parent: 'Offer',
+        properties: {
+            lowPrice: ['Number', 'Text'],
+            highPrice: ['Number', 'Text'],
+            offerCount: ['Integer'],
+            offers: ['Offer'],
+        }
+    },
+    Rating: {
+        parent: 'Thing',
+        properties: {
+            ratingValue: ['Number', 'Text'],
+            bestRating: ['Number', 'Text'],
+            worstRating: ['Number', 'Text'],
+        }
+    },
+    AggregateRating: {
+        parent: 'Rating',
+        properties: {
+            reviewCount: ['Integer'],
+            ratingCount: ['Integer'],
+        }
+    },
+    Review: {
+        parent: 'Thing',
+        properties: {
+            author: ['Person', 'Organization'],
+            reviewRating: ['Rating'],
+            reviewBody: ['Text'],
+            datePublished: ['Date'],
+        }
+    },
+    Organization: {
+        parent: 'Thing',
+        properties: {
+            logo: ['URL', 'ImageObject'],
+        }
+    },
+    Brand: {
+        parent: 'Thing',
+        properties: {
+            logo: ['URL', 'ImageObject'],
+        }
+    },
+    Person: { parent: 'Thing', properties: {} },
+    ImageObject: {
+        parent: 'Thing',
+        properties: {
+            contentUrl: ['URL'],
+        }
+    },
+    PropertyValue: {
+        parent: 'Thing',
+        properties: {
+            propertyID: ['Text'],
+            value: ['Text', 'Number'],
+        }
+    },
+    ItemList: {
+        parent: 'Thing',
+        properties: {
+            itemListElement: ['ListItem', 'Thing'],
+            numberOfItems: ['Integer'],
+            itemListOrder: ['Text'],
+        }
+    },
+    BreadcrumbList: { parent: 'ItemList', properties: {} },
+    ListItem: {
+        parent: 'Thing',
+        properties: {
+            position: ['Integer'],
+            item: ['URL', 'Thing'],
+        }
+    },
+    CreativeWork: {
+        parent: 'Thing',
+        properties: {
+            headline: ['Text'],
+            author: ['Person', 'Organization'],
+            publisher: ['Organization'],
+            datePublished: ['Date'],
+            dateModified: ['Date'],
+            keywords: ['Text'],
+            mainEntityOfPage: ['URL', 'WebPage'],
+        }
+    },
+    Article: {
+        parent: 'CreativeWork',
+        properties: {
+            articleBody: ['Text'],
+            articleSection: ['Text'],
+            wordCount: ['Integer'],
+        }
+    },
+    BlogPosting: { parent: 'Article', properties: {} },
+    WebSite: {
+        parent: 'CreativeWork',
+        properties: {
+            potentialAction: ['SearchAction'],
+        }
+    },
+    WebPage: {
+        parent: 'CreativeWork',
+        properties: {
+            breadcrumb: ['BreadcrumbList'],
+            mainEntity: ['Thing'],
+        }
+    },
+    FAQPage: { parent: 'WebPage', properties: {} },
+    Question: {
+        parent: 'CreativeWork',
+        properties: {
+            acceptedAnswer: ['Answer'],
+        }
+    },
+    Answer: {
+        parent: 'CreativeWork',
+        properties: {
+            text: ['Text'],
+        }
+    },
+    SearchAction: {
+        parent: 'Thing',
+        properties: {
+            target: ['URL', 'EntryPoint'],
+            'query-input': ['Text'],
+        }
+    },
+    EntryPoint: {
+        parent: 'Thing',
+        properties: {
+            urlTemplate: ['URL'],
+        }
+    },
+};
+
+const ENUMERATIONS = {
+    ItemAvailability: ['InStock', 'OutOfStock', 'PreOrder', 'BackOrder', 'Discontinued', 'InStoreOnly', 'LimitedAvailability', 'OnlineOnly', 'SoldOut'],
+    OfferItemCondition: ['NewCondition', 'UsedCondition', 'RefurbishedCondition', 'DamagedCondition'],
+};
+
+// Properties Google requires for rich results. A nested array means "at least one of".
+const GOOGLE_REQUIREMENTS = {
+    Product: ['name', ['offers', 'review', 'aggregateRating']],
+    Offer: ['price', 'priceCurrency', 'availability'],
+    AggregateOffer: ['lowPrice', 'priceCurrency'],
+    AggregateRating: ['ratingValue', ['reviewCount', 'ratingCount']],
+    BreadcrumbList: ['itemListElement'],
+    ItemList: ['itemListElement'],
+    ListItem: ['position'],
+    Article: ['headline'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text'],
+};
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${PLACEHOLDER_BODY_SOURCE})\\]`, 'g');
+
+/**
+ * Returns true if `type` is `expected` or one of its schema.org subtypes.
+ */
+function isSubtypeOf(type, expected) {
+    for (let current = type; current; current = SCHEMA_TYPES[current] && SCHEMA_TYPES[current].parent) {
+        if (current === expected) return true;
+    }
+    return false;
+}
+
+/**
+ * Looks up a property definition on a type, following the parent chain.
+ * @returns {Array<string>|undefined} - The accepted value types.
+ */
+function findProperty(type, property) {
+    for (let current = type; current; current = SCHEMA_TYPES[current].parent) {
+        if (!SCHEMA_TYPES[current]) return undefined;
+        if (SCHEMA_TYPES[current].properties[property]) return SCHEMA_TYPES[current].properties[property];
+    }
+    return undefined;
+}
+
+/**
+ * Returns the Google requirements of a type, or of its nearest ancestor that has any
+ * (e.g. BlogPosting uses Article's; AggregateOffer has its own instead of Offer's).
+ */
+function requirementsFor(type) {
+    for (let current = type; current; current = SCHEMA_TYPES[current] && SCHEMA_TYPES[current].parent) {
+        if (GOOGLE_REQUIREMENTS[current]) return GOOGLE_REQUIREMENTS[current];
+    }
+    return [];
+}
+
+/**
+ * Checks a scalar against a schema.org data type or enumeration.
+ */
+function matchesDataType(value, dataType) {
+    switch (dataType) {
+        case 'Text':
+            return typeof value === 'string' || typeof value === 'number';
+        case 'Number':
+            return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+        case 'Integer':
+            return Number.isInteger(typeof value === 'string' ? Number(value) : value) && String(value).trim() !== '';
+        case 'URL':
+            return typeof value === 'string' && /^(https?:)?\/\//.test(value);
+        case 'Date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value);
+        default:
+            if (ENUMERATIONS[dataType]) {
+                return typeof value === 'string' &&
+                    ENUMERATIONS[dataType].some(member => value === `https://schema.org/${member}` || value === `http://schema.org/${member}`);
+            }
+            return false;
+    }
+}
+
+const typesOf = (node) => Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+
+/**
+ * 1. Validates JSON-LD against schema.org types and Google rich-result requirements.
+ * In 'template' mode, OmniGraph syntax is understood: `[placeholder]` values are not type-checked
+ * (only their transforms are parsed), `<property>_Rule` and `<property>_Expr` keys count as the
+ * property and their rule or expression is parsed, `_comment` keys and `_repeat` directives are ignored, and a `_variants` object is checked as the Offer or
+ * AggregateOffer it renders into, with the variant-derived properties counted as present.
+ * In 'output' mode the rendered schema must be fully concrete.
+ * Errors that would stop the template from rendering at all (bad JSON, rules, expressions,
+ * transforms or directives) are flagged `syntax: true`.
+ * @param {string|object} input - The JSON-LD text or object.
+ * @param {{mode?: 'template'|'output'}} [options] - Validation options.
+ * @returns {{isValid: boolean, errors: Array<{path: string, message: string, syntax?: boolean}>, warnings: Array<{path: string, message: string}>}}
+ */
+function validateSchema(input, { mode = 'output' } = {}) {
+    const errors = [];
+    const warnings = [];
+    const isTemplate = mode === 'template';
+
+    let json = input;
+    if (typeof input === 'string') {
+        try {
+            json = JSON.parse(input);
+        } catch (e) {
+            errors.push({ path: '$', message: `SYNTAX ERROR: ${e.message}`, syntax: true });
+            return { isValid: false, errors, warnings };
+        }
+    }
+
+    // Placeholders are only known at render time; their transform pipelines are checked instead
+    const isDynamic = (value, path) => {
+        if (!isTemplate || typeof value !== 'string') return false;
+        const placeholders = [...value.matchAll(PLACEHOLDER_PATTERN)];
+        placeholders.forEach(([, body]) => {
+            try {
+                parsePlaceholder(body);
+            } catch (e) {
+                errors.push({ path, message: `Invalid transform: ${e.message}`, syntax: true });
+            }
+        });
+        return placeholders.length > 0;
+    };
+
+    const checkValue = (value, acceptedTypes, path) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => checkValue(item, acceptedTypes, `${path}[${index}]`));
+            return;
+        }
+        if (isDynamic(value, path)) return;
+
+        if (value && typeof value === 'object') {
+            const objectTypes = acceptedTypes.filter(type => SCHEMA_TYPES[type]);
+            if (objectTypes.length === 0) {
+                errors.push({ path, message: `Expected ${acceptedTypes.join(' or ')}, got an object` });
+                return;
+            }
+            if (isTemplate && value._variants) {
+                const offerMode = OFFER_MODES[value._mode || DEFAULT_OFFER_MODE];
+                if (!offerMode) {
+                    errors.push({ path: `${path}._mode`, message: `Unknown _variants mode "${value._mode}"`, syntax: true });
+                    return;
+                }
+                checkNode(value, path, offerMode.type, offerMode.derives);
+                return;
+            }
+            if (!value['@type']) {
+                warnings.push({ path, message: `Missing @type; assuming ${objectTypes[0]}` });
+                checkNode(value, path, objectTypes[0]);
+                return;
+            }
+            const actual = typesOf(value).find(type => objectTypes.some(expected => isSubtypeOf(type, expected)));
+            if (!actual) {
+                errors.push({ path, message: `Expected ${objectTypes.join(' or ')}, got ${typesOf(value).join(', ')}` });
+            }
+            checkNode(value, path);
+            return;
+        }
+
+        if (!acceptedTypes.some(type => matchesDataType(value, type))) {
+            errors.push({ path, message: `Expected ${acceptedTypes.join(' or ')}, got ${JSON.stringify(value)}` });
+        }
+    };
+
+    const checkNode = (node, path, assumedType, derivedProperties = []) => {
+        const types = node['@type'] ? typesOf(node) : [assumedType];
+        const knownTypes = types.filter(type => SCHEMA_TYPES[type]);
+        types.filter(type => type && !SCHEMA_TYPES[type])
+            .forEach(type => warnings.push({ path: `${path}.@type`, message: `Unknown schema.org type "${type}"` }));
+
+        const present = new Set(derivedProperties);
+        for (const key in node) {
+            // `_comment` keys and template directives such as `_repeat` are not schema properties
+            if (key.startsWith('@') || key.startsWith('_')) continue;
+
+            let property = key;
+            let value = node[key];
+            if (isTemplate && key.endsWith(RULE_KEY_SUFFIX)) {
+                property = key.slice(0, -RULE_KEY_SUFFIX.length);
+                try {
+                    parseRule(value);
+                } catch (e) {
+                    errors.push({ path: `${path}.${key}`, message: `Invalid rule: ${e.message}`, syntax: true });
+                }
+                value = undefined;
+            } else if (isTemplate && key.endsWith(EXPR_KEY_SUFFIX)) {
+                property = key.slice(0, -EXPR_KEY_SUFFIX.length);
+                try {
+                    parseExpression(value);
+                } catch (e) {
+                    errors.push({ path: `${path}.${key}`, message: `Invalid expression: ${e.message}`, syntax: true });
+                }
+                value = undefined;
+            }
+            present.add(property);
+
+            if (knownTypes.length === 0) continue;
+            const acceptedTypes = knownTypes.map(type => findProperty(type, property)).find(Boolean);
+            if (!acceptedTypes) {
+                warnings.push({ path: `${path}.${property}`, message: `Unknown property "${property}" for ${knownTypes.join(', ')}` });
+                continue;
+            }
+            if (value !== undefined) checkValue(value, acceptedTypes, `${path}.${property}`);
+        }
+
+        knownTypes.forEach(type => {
+            requirementsFor(type).forEach(requirement => {
+                const options = Array.isArray(requirement) ? requirement : [requirement];
+                if (!options.some(property => present.has(property))) {
+                    errors.push({
+                        path: `${path}.${options[0]}`,
+                        message: `Google requires ${options.join(' or ')} on ${type} for rich results`
+                    });
+                }
+            });
+        });
+    };
+
+    let roots = [[json, '$']];
+    if (Array.isArray(json)) {
+        roots = json.map((root, index) => [root, `$[${index}]`]);
+    } else if (json && Array.isArray(json['@graph'])) {
+        roots = json['@graph'].map((root, index) => [root, `$.@graph[${index}]`]);
+    }
+
+    roots.forEach(([root, path]) => {
+        if (!root || typeof root !== 'object') {
+            errors.push({ path, message: 'Expected a JSON-LD object' });
+            return;
+        }
+        if (!root['@type']) {
+            errors.push({ path: `${path}.@type`, message: 'Missing @type' });
+            return;
+        }
+        checkNode(root, path);
+    });
+
+    return { isValid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+    SCHEMA_TYPES,
+    GOOGLE_REQUIREMENTS,
+    validateSchema,
+};
@@ -0,0 +1,274 @@
+// --- OmniGraph Shared: Value Transforms ---
+// Liquid-style filters applied to a mapped source value before it is written into the schema, e.g.
+//   [inventory_quantity | lookup: "0=https://schema.org/OutOfStock", "*=https://schema.org/InStock"]
+//   [product.tags | join: ", "]      [current_price | round: 2]      [article.published_at | iso_date]
+// The Admin UI edits them per mapping row and serializes them into placeholders; the DSI engine
+// and the rule language (THEN/ELSE values) apply them in order.
+
+class TransformError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransformError';
+    }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+// Applies a scalar function to a value, or to each element of a list value.
+const eachValue = (value, fn) => {
+    if (value === undefined || value === null) return value;
+    return Array.isArray(value) ? value.map(fn) : fn(value);
+};
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+// The available transforms. `args` names the arguments for the Admin UI; `apply` receives the
+// current value (possibly undefined) and the argument list, and returns the new value.
+// `checkArgs`, where present, returns a problem with the arguments (see checkTransform), or null.
+const TRANSFORMS = {
+    lookup: {
+        label: 'Lookup table',
+        args: ['"key=value"', '...', '"*=fallback"'],
+        checkArgs: (args) => {
+            const entry = args.find(arg => !String(arg).includes('='));
+            return entry === undefined ? null : `lookup entry "${entry}" must be "key=value"`;
+        },
+        apply: (value, args) => {
+            const table = args.map(entry => {
+                const text = String(entry);
+                const separator = text.indexOf('=');
+                if (separator === -1) throw new TransformError(`lookup entry "${text}" must be "key=value"`);
+                return [text.slice(0, separator), text.slice(separator + 1)];
+            });
+            // A missing value has no key to match, so it takes the fallback
+            const fallback = table.find(([key]) => key === '*');
+            if (value === undefined || value === null) return fallback ? fallback[1] : value;
+            return eachValue(value, (item) => {
+                const match = table.find(([key]) => key === String(item)) || fallback;
+                return match ? match[1] : item;
+            });
+        },
+    },
+    join: {
+        label: 'Join list',
+        args: ['separator'],
+        apply: (value, [separator = ', ']) => Array.isArray(value) ? value.join(separator) : value,
+    },
+    split: {
+        label: 'Split text',
+        args: ['separator'],
+        apply: (value, [separator = ',']) => typeof value === 'string'
+            ? value.split(separator).map(part => part.trim()).filter(Boolean)
+            : value,
+    },
+    round: {
+        label: 'Fixed decimals',
+        args: ['decimals'],
+        checkArgs: ([decimals]) => decimals === undefined || (/^\d+$/.test(String(decimals)) && Number(decimals) <= 100)
+            ? null
+            : `round decimals must be a whole number from 0 to 100, got "${decimals}"`,
+        apply: (value, [decimals = 0]) => eachValue(value, (item) => {
+            const number = toNumber(item);
+            return number === undefined ? item : number.toFixed(Math.max(0, parseInt(decimals, 10) || 0));
+        }),
+    },
+    lowercase: {
+        label: 'Lowercase',
+        args: [],
+        apply: (value) => eachValue(value, item => String(item).toLowerCase()),
+    },
+    uppercase: {
+        label: 'Uppercase',
+        args: [],
+        apply: (value) => eachValue(value, item => String(item).toUpperCase()),
+    },
+    truncate: {
+        label: 'Truncate',
+        args: ['length', 'ellipsis'],
+        checkArgs: ([length]) => length === undefined || /^\d+$/.test(String(length))
+            ? null
+            : `truncate length must be a whole number, got "${length}"`,
+        apply: (value, [length = 50, ellipsis = '...']) => eachValue(value, (item) => {
+            const text = String(item);
+            const max = parseInt(length, 10);
+            const suffix = String(ellipsis);
+            return text.length <= max ? text : text.slice(0, Math.max(0, max - suffix.length)) + suffix;
+        }),
+    },
+    default: {
+        label: 'Default value',
+        args: ['value'],
+        apply: (value, [fallback]) => isBlank(value) ? fallback : value,
+    },
+    prefix: {
+        label: 'Prefix',
+        args: ['text'],
+        apply: (value, [text = '']) => eachValue(value, item => `${text}${item}`),
+    },
+    suffix: {
+        label: 'Suffix',
+        args: ['text'],
+        apply: (value, [text = '']) => eachValue(value, item => `${item}${text}`),
+    },
+    iso_date: {
+        label: 'ISO 8601 date',
+        args: ['"date" or "datetime"'],
+        apply: (value, [precision = 'datetime']) => eachValue(value, (item) => {
+            const date = new Date(typeof item === 'string' ? item.replace(/([+-]\d{2})(\d{2})$/, '$1:$2') : item);
+            if (Number.isNaN(date.getTime())) return item;
+            const iso = date.toISOString();
+            return precision === 'date' ? iso.slice(0, 10) : iso.replace(/\.000Z$/, 'Z');
+        }),
+    },
+};
+
+// --- SYNTAX ---
+
+const PATH_SOURCE = '[A-Za-z_][\\w.-]*(?:\\[\\d+\\][\\w.-]*)*';
+const ARGUMENT_SOURCE = `"(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*'|[^\\]|"',\\s][^\\]|"',]*`;
+const PIPELINE_SOURCE = `(?:\\s*\\|\\s*\\w+(?:\\s*:\\s*(?:${ARGUMENT_SOURCE})(?:\\s*,\\s*(?:${ARGUMENT_SOURCE}))*)?)*`;
+// The inside of a placeholder: a source path followed by any number of `| transform: args`.
+const PLACEHOLDER_BODY_SOURCE = `${PATH_SOURCE}${PIPELINE_SOURCE}\\s*`;
+
+const ARGUMENT_PATTERN = new RegExp(`\\s*(${ARGUMENT_SOURCE})\\s*(?:,|$)`, 'y');
+
+const parseArgument = (text) => {
+    const quoted = text.match(/^"((?:[^"\\]|\\.)*)"$|^'((?:[^'\\]|\\.)*)'$/);
+    if (quoted) return (quoted[1] !== undefined ? quoted[1] : quoted[2]).replace(/\\(.)/g, '$1');
+    const trimmed = text.trim();
+    return /^-?\d+(?:\.\d+)?$/.test(trimmed) ? parseFloat(trimmed) : trimmed;
+};
+
+/**
+ * 1. Parses a comma-separated transform argument list, e.g. `", "` or `"0=OutOfStock", "*=InStock"`.
+ * @param {string} text - The raw argument text.
+ * @returns {Array<string|number>} - The arguments; quoted strings are unquoted, numbers parsed.
+ */
+function parseTransformArgs(text) {
+    const args = [];
+    if (!text || !text.trim()) return args;
+
+    ARGUMENT_PATTERN.lastIndex = 0;
+    while (ARGUMENT_PATTERN.lastIndex < text.length) {
+        const start = ARGUMENT_PATTERN.lastIndex;
+        const match = ARGUMENT_PATTERN.exec(text);
+        if (!match) throw new TransformError(`Invalid transform arguments at "${text.slice(start)}"`);
+        args.push(parseArgument(match[1]));
+    }
+    return args;
+}
+
+/**
+ * 2. Parses the inside of a placeholder into its source path and transform list.
+ * @param {string} body - E.g. `product.tags | join: ", " | truncate: 60`.
+ * @returns {{path: string, transforms: Array<{name: string, args: Array}>}} - The parsed placeholder.
+ */
+function parsePlaceholder(body) {
+    const [path, ...steps] = splitPipeline(body);
+    const transforms = steps.map(step => {
+        const separator = step.indexOf(':');
+        const name = (separator === -1 ? step : step.slice(0, separator)).trim();
+        const transform = { name, args: separator === -1 ? [] : parseTransformArgs(step.slice(separator + 1)) };
+        const problem = checkTransform(transform);
+        if (problem) throw new TransformError(problem);
+        return transform;
+    });
+    return { path: path.trim(), transforms };
+}
+
+// Splits on `|` outside quoted strings.
+function splitPipeline(body) {
+    const parts = [''];
+    let quote = null;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (quote) {
+            if (char === '\\') {
+                parts[parts.length - 1] += char + (body[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '|') {
+            parts.push('');
+            continue;
+        }
+        parts[parts.length - 1] += char;
+    }
+    return parts;
+}
+
+/**
+ * 3. Serializes a transform argument list; the inverse of parseTransformArgs.
+ * @param {Array<string|number>} [args] - The arguments.
+ * @returns {string} - E.g. `"0=OutOfStock", "*=InStock"`.
+ */
+function serializeTransformArgs(args = []) {
+    return args.map(arg => typeof arg === 'number' ? String(arg) : JSON.stringify(String(arg))).join(', ');
+}
+
+/**
+ * 4. Serializes a transform list back into pipeline syntax (with a leading ` | `, or '' if empty).
+ * @param {Array<{name: string, args: Array}>} [transforms] - The transforms.
+ * @returns {string} - E.g. ` | join: ", " | truncate: 60`.
+ */
+function serializeTransforms(transforms = []) {
+    return transforms
+        .map(({ name, args = [] }) => args.length > 0 ? ` | ${name}: ${serializeTransformArgs(args)}` : ` | ${name}`)
+        .join('');
+}
+
+/**
+ * 5. Serializes a source path and its transforms into a placeholder, e.g. `[product.tags | join: ", "]`.
+ */
+function serializePlaceholder(path, transforms) {
+    return `[${path}${serializeTransforms(transforms)}]`;
+}
+
+/**
+ * 6. Applies a transform list, in order, to a resolved source value.
+ * Transforms run even when the value is missing, so `default` can fill it in.
+ * @param {*} value - The resolved source value (undefined if missing).
+ * @param {Array<{name: string, args: Array}>} [transforms] - The transforms.
+ * @returns {*} - The transformed value.
+ */
+function applyTransforms(value, transforms = []) {
+    return transforms.reduce((current, { name, args = [] }) => {
+        const transform = transformNamed(name);
+        if (!transform) throw new TransformError(`Unknown transform "${name}"`);
+        return transform.apply(current, args);
+    }, value);
+}
+
+// Own keys only, so `constructor` or `toString` is an unknown transform
+const transformNamed = (name) => Object.prototype.hasOwnProperty.call(TRANSFORMS, name) ? TRANSFORMS[name] : null;
+
+/**
+ * 7. Checks a transform's name and arguments, e.g. that `truncate` is given a numeric length.
+ * @param {{name: string, args?: Array}} transform - The transform.
+ * @returns {string|null} - The problem, or null if the transform can be applied.
+ */
+function checkTransform({ name, args = [] }) {
+    const transform = transformNamed(name);
+    if (!transform) return `Unknown transform "${name}"`;
+    return transform.checkArgs ? transform.checkArgs(args) : null;
+}
+
+module.exports = {
+    TRANSFORMS,
+    TransformError,
+    PLACEHOLDER_BODY_SOURCE,
+    parseTransformArgs,
+    parsePlaceholder,
+    serializeTransformArgs,
+    serializeTransforms,
+    serializePlaceholder,
+    applyTransforms,
+    checkTransform,
+};
@@ -0,0 +1,100 @@
+// --- OmniGraph Shared: Variant Offers ---
+// Builds schema.org offers from the product's variants array sent by omnigraph-loader.liquid:
+// [{ title, sku, barcode, price, compare_at_price, available, inventory_quantity, inventory_management,
+//    inventory_policy, options, url }]
+// Used by the DSI engine's `_variants` template directive (see dsiEngine.js).
+
+const AVAILABILITY = {
+    inStock: 'https://schema.org/InStock',
+    outOfStock: 'https://schema.org/OutOfStock',
+    backOrder: 'https://schema.org/BackOrder',
+};
+
+// `_mode` values of the `_variants` directive, with the type they produce and the properties
+// derived from the variants (the template only needs to add the rest, e.g. priceCurrency)
+const OFFER_MODES = {
+    offers: {
+        label: 'One Offer per variant',
+        type: 'Offer',
+        derives: ['name', 'sku', 'gtin', 'price', 'availability', 'url'],
+    },
+    aggregate: {
+        label: 'AggregateOffer (price range)',
+        type: 'AggregateOffer',
+        derives: ['lowPrice', 'highPrice', 'offerCount', 'availability'],
+    },
+};
+
+const DEFAULT_OFFER_MODE = 'offers';
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * 1. Derives the schema.org availability of a single variant.
+ * Shopify's `available` flag wins when it says no. Untracked inventory or stock on hand is in
+ * stock; a sellable variant without stock (inventory_policy "continue") is on back order.
+ * @param {object} variant - A variant from the loader's variants array.
+ * @returns {string} - An ItemAvailability URL.
+ */
+function variantAvailability(variant) {
+    if (variant.available === false) return AVAILABILITY.outOfStock;
+
+    const isTracked = !('inventory_management' in variant) || !!variant.inventory_management;
+    const quantity = toNumber(variant.inventory_quantity);
+    if (!isTracked || quantity === undefined || quantity > 0) return AVAILABILITY.inStock;
+
+    return variant.available === true || variant.inventory_policy === 'continue' ? AVAILABILITY.backOrder : AVAILABILITY.outOfStock;
+}
+
+/**
+ * 2. Builds the Offer for one variant. Properties the variant doesn't have are left out.
+ * @param {object} variant - A variant from the loader's variants array.
+ * @returns {object} - The Offer object.
+ */
+function buildVariantOffer(variant) {
+    const offer = { '@type': 'Offer' };
+    if (variant.title && variant.title !== 'Default Title') offer.name = variant.title;
+    if (variant.sku) offer.sku = String(variant.sku);
+    if (variant.barcode) offer.gtin = String(variant.barcode);
+    if (toNumber(variant.price) !== undefined) offer.price = toNumber(variant.price);
+    offer.availability = variantAvailability(variant);
+    if (variant.url) offer.url = variant.url;
+    return offer;
+}
+
+/**
+ * 3. Builds the AggregateOffer for a set of variants: the price range, the number of offers and
+ * the best availability across variants (in stock beats back order beats out of stock).
+ * @param {Array<object>} variants - The loader's variants array.
+ * @returns {object|undefined} - The AggregateOffer, or undefined if no variant has a price.
+ */
+function buildAggregateOffer(variants) {
+    const priced = variants.filter(variant => toNumber(variant.price) !== undefined);
+    if (priced.length === 0) return undefined;
+
+    const prices = priced.map(variant => toNumber(variant.price));
+    const availabilities = priced.map(variantAvailability);
+    const availability = [AVAILABILITY.inStock, AVAILABILITY.backOrder]
+        .find(candidate => availabilities.includes(candidate)) || AVAILABILITY.outOfStock;
+
+    return {
+        '@type': 'AggregateOffer',
+        lowPrice: Math.min(...prices),
+        highPrice: Math.max(...prices),
+        offerCount: priced.length,
+        availability,
+    };
+}
+
+module.exports = {
+    AVAILABILITY,
+    OFFER_MODES,
+    DEFAULT_OFFER_MODE,
+    variantAvailability,
+    buildVariantOffer,
+    buildAggregateOffer,
+};
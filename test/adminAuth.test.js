@@ -0,0 +1,80 @@
+// Admin sessions: run with `node --test test/` (the API test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyShopifySessionToken, issueAdminSession, verifyAdminSession } = require('../src/server/adminAuth');
+const { startServer, SHOPIFY_API_SECRET, DSI_MASTER_KEY } = require('./serverHarness');
+
+const API_KEY = 'test-api-key';
+const SHOP = 'one.myshopify.com';
+
+// A Shopify session token as App Bridge's shopify.idToken() returns it
+const sessionToken = (claims = {}, secret = SHOPIFY_API_SECRET) => {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = encode({
+        iss: `https://${SHOP}/admin`, dest: `https://${SHOP}`, aud: API_KEY, sub: '42',
+        exp: now + 60, nbf: now, iat: now, jti: crypto.randomUUID(), ...claims,
+    });
+    return `${header}.${payload}.${crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url')}`;
+};
+
+test('Shopify session tokens name their shop only when signed, addressed and current', () => {
+    const options = { apiKey: API_KEY, secrets: [SHOPIFY_API_SECRET] };
+    assert.strictEqual(verifyShopifySessionToken(sessionToken(), options), SHOP);
+    assert.strictEqual(verifyShopifySessionToken(sessionToken({}, 'another-secret-0123456789'), options), null);
+    assert.strictEqual(verifyShopifySessionToken(sessionToken({ aud: 'another-app' }), options), null);
+    assert.strictEqual(verifyShopifySessionToken(sessionToken({ exp: Math.floor(Date.now() / 1000) - 60 }), options), null);
+    assert.strictEqual(verifyShopifySessionToken(sessionToken({ iss: 'https://two.myshopify.com/admin' }), options), null);
+    assert.strictEqual(verifyShopifySessionToken('not.a.token', options), null);
+});
+
+test('admin sessions are signed and expire', () => {
+    const { token } = issueAdminSession(SHOP, { secrets: [SHOPIFY_API_SECRET] });
+    assert.strictEqual(verifyAdminSession(token, { secrets: [SHOPIFY_API_SECRET] }), SHOP);
+    assert.strictEqual(verifyAdminSession(token, { secrets: [SHOPIFY_API_SECRET], now: Date.now() + 16 * 60 * 1000 }), null);
+    assert.strictEqual(verifyAdminSession(`${token.slice(0, -2)}xx`, { secrets: [SHOPIFY_API_SECRET] }), null);
+    assert.strictEqual(verifyAdminSession(token, { secrets: ['another-secret-0123456789'] }), null);
+});
+
+test('an admin session administers its own shop only', async () => {
+    const server = await startServer({ SHOPIFY_API_KEY: API_KEY });
+    const call = (method, path, token, body) => fetch(`${server.url}/api/v1${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    try {
+        assert.strictEqual((await call('POST', '/admin/session', sessionToken({ aud: 'another-app' }))).status, 401);
+        const signIn = await call('POST', '/admin/session', sessionToken());
+        assert.strictEqual(signIn.status, 200);
+        const { token, shop } = await signIn.json();
+        assert.strictEqual(shop, SHOP);
+
+        const templates = { product: { jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: '[product.title]' }), mappings: [] } };
+        assert.strictEqual((await call('POST', `/apps/${SHOP}/publish`, token, { revision: 0, templates })).status, 200);
+        assert.strictEqual((await call('GET', `/apps/${SHOP}/rules`, token)).status, 200);
+        assert.strictEqual((await call('GET', '/apps/two.myshopify.com/rules', token)).status, 403);
+        assert.strictEqual((await call('POST', '/apps/two.myshopify.com/publish', token, { revision: 0 })).status, 403);
+        assert.strictEqual((await call('GET', '/graph/stream?appId=two.myshopify.com', token)).status, 403);
+        const nodeUpdate = await call('POST', '/graph/node-update', token, { appId: 'two.myshopify.com', pageType: 'product', revision: 0, node_id: 'n1' });
+        assert.strictEqual(nodeUpdate.status, 403);
+
+        // The Shopify session token itself is not an admin credential, and the admin key still reaches every shop
+        assert.strictEqual((await call('GET', `/apps/${SHOP}/rules`, sessionToken())).status, 401);
+        assert.strictEqual((await call('POST', '/apps/two.myshopify.com/publish', DSI_MASTER_KEY, { revision: 0, templates })).status, 200);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('admin sessions are refused without an API key to check tokens against', async () => {
+    const server = await startServer();
+    try {
+        const signIn = await fetch(`${server.url}/api/v1/admin/session`, { method: 'POST', headers: { Authorization: `Bearer ${sessionToken()}` } });
+        assert.strictEqual(signIn.status, 503);
+    } finally {
+        await server.stop();
+    }
+});
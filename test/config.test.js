@@ -0,0 +1,103 @@
+// Configuration and secret rotation: run with `node --test test/` (the API test needs the server's dependencies).
+const test = require('node:test');
+const { after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, parseEnvFile, loadConfig, describeConfig } = require('../src/server/config');
+const { startServer, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SECRET = 'a'.repeat(32);
+const NEXT_SECRET = 'b'.repeat(32);
+const ADMIN_KEY = 'c'.repeat(32);
+// A working directory without a .env file
+const EMPTY_DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'omnigraph-config-'));
+after(() => fs.rmSync(EMPTY_DIRECTORY, { recursive: true, force: true }));
+
+test('.env files are parsed, and real environment variables win over them', () => {
+    assert.deepStrictEqual(parseEnvFile([
+        '# comment',
+        'export PORT=4000',
+        'SHOPIFY_API_SECRET="quoted # not a comment"',
+        "DSI_MASTER_KEY='single'",
+        'OMNIGRAPH_RULE_STORE=file # trailing comment',
+        'not a variable',
+    ].join('\n')), { PORT: '4000', SHOPIFY_API_SECRET: 'quoted # not a comment', DSI_MASTER_KEY: 'single', OMNIGRAPH_RULE_STORE: 'file' });
+
+    const envFile = path.join(EMPTY_DIRECTORY, 'engine.env');
+    fs.writeFileSync(envFile, `PORT=4000\nSHOPIFY_API_SECRET=${SECRET}\nDSI_MASTER_KEY=${ADMIN_KEY}\n`);
+    const config = loadConfig({ env: { PORT: '5000', OMNIGRAPH_ENV_FILE: envFile }, cwd: EMPTY_DIRECTORY });
+    assert.strictEqual(config.port, 5000);
+    assert.deepStrictEqual(config.shopifyApiSecrets, [SECRET]);
+});
+
+test('secrets take comma-separated lists for rotation and are never logged', () => {
+    const config = loadConfig({ env: { SHOPIFY_API_SECRET: `${NEXT_SECRET}, ${SECRET}`, DSI_MASTER_KEY: ADMIN_KEY }, cwd: EMPTY_DIRECTORY });
+    assert.deepStrictEqual(config.shopifyApiSecrets, [NEXT_SECRET, SECRET]);
+    const described = JSON.stringify(describeConfig(config));
+    assert.ok(!described.includes(SECRET) && !described.includes(ADMIN_KEY));
+    assert.match(described, /"shopifyApiSecrets":"2 active"/);
+});
+
+test('missing, short, sample and malformed settings are all reported at once', () => {
+    assert.throws(() => loadConfig({
+        env: { SHOPIFY_API_SECRET: 'shhhhhh_this_is_a_secret_key', DSI_MASTER_KEY: `${ADMIN_KEY},short`, PORT: 'http', STOREFRONT_BODY_LIMIT: 'lots' },
+        cwd: EMPTY_DIRECTORY,
+    }), (e) => {
+        assert.ok(e instanceof ConfigError);
+        assert.deepStrictEqual(e.problems, [
+            'PORT must be an integer of at least 1',
+            'SHOPIFY_API_SECRET is set to a sample value from the repository; generate a real secret',
+            'DSI_MASTER_KEY must be at least 16 characters',
+            'STOREFRONT_BODY_LIMIT must be a size such as 256kb or 2mb',
+        ]);
+        assert.ok(!e.message.includes('shhhhhh'));
+        return true;
+    });
+});
+
+test('a rotated admin key works alongside the new one until it is removed', async () => {
+    const server = await startServer({ DSI_MASTER_KEY: `${ADMIN_KEY},${DSI_MASTER_KEY}` });
+    const rules = (key) => fetch(`${server.url}/api/v1/apps/one.myshopify.com/rules`, { headers: { 'Authorization': `Bearer ${key}` } });
+    try {
+        assert.strictEqual((await rules(ADMIN_KEY)).status, 404);
+        assert.strictEqual((await rules(DSI_MASTER_KEY)).status, 404);
+        assert.strictEqual((await rules(NEXT_SECRET)).status, 401);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('a rotated publishable key keeps working for its overlap window only', async () => {
+    const server = await startServer();
+    const admin = (method, path, body) => fetch(`${server.url}/api/v1/apps/one.myshopify.com${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    // Nothing is published, so an accepted key gets 404 rather than 401
+    const isAccepted = async (key) => (await fetch(`${server.url}/api/dsi/schema`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-OmniGraph-Key': key },
+        body: JSON.stringify({ appId: 'one.myshopify.com', productData: {} }),
+    })).status !== 401;
+    try {
+        const first = await (await admin('POST', '/keys', { label: 'Headless' })).json();
+        const second = await (await admin('POST', `/keys/${first.id}/rotate`, { overlapSeconds: 3600 })).json();
+        assert.ok(await isAccepted(first.key));
+        assert.ok(await isAccepted(second.key));
+        assert.ok(second.retired.expiresAt);
+
+        const third = await (await admin('POST', `/keys/${second.id}/rotate`, { overlapSeconds: 0 })).json();
+        assert.strictEqual(await isAccepted(second.key), false);
+        assert.ok(await isAccepted(third.key));
+        assert.strictEqual((await admin('POST', `/keys/${second.id}/rotate`, { overlapSeconds: 0 })).status, 404);
+
+        const { keys } = await (await admin('GET', '/keys')).json();
+        assert.deepStrictEqual(keys.map(({ id }) => id), [first.id, third.id]);
+        assert.ok(keys.every(entry => !('hash' in entry) && !('key' in entry)));
+    } finally {
+        await server.stop();
+    }
+});
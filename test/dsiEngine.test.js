@@ -0,0 +1,144 @@
+// DSI engine: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderSchema, compileSchema, processDsiSchema, traceDsiSchema, processDsiPage, compileDsiPage } = require('../src/shared/dsiEngine');
+const { PAGE_TYPES } = require('../src/shared/pageTypes');
+
+// The interpreted path (Live Preview, traces) and the compiled path (storefront) must agree
+const renderBoth = (template, data) => [renderSchema(data, template), compileSchema(template)(data)];
+
+test('rules and expressions inside page data values are left as data', () => {
+    const template = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name': '[product.title]',
+        'additionalProperty': '[product.metafields.custom.specs]',
+        'isRelatedTo': '[product.metafields.custom.related]',
+    };
+    const data = {
+        'product.title': 'Hat',
+        'product.metafields.custom.specs': { '@type': 'PropertyValue', 'name': 'Fabric', 'value_Rule': 'not a rule at all', 'value_Expr': '1 +' },
+        'product.metafields.custom.related': [{ '@type': 'Product', 'name_Rule': "IF (x > 1) THEN 'y'" }],
+    };
+
+    const [interpreted, compiled] = renderBoth(template, data);
+    assert.deepStrictEqual(interpreted, compiled);
+    assert.deepStrictEqual(interpreted.additionalProperty, data['product.metafields.custom.specs']);
+    assert.deepStrictEqual(interpreted.isRelatedTo, data['product.metafields.custom.related']);
+});
+
+test('template rules still run next to inserted data', () => {
+    const template = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name_Expr': '[product.vendor] + " " + [product.title]',
+        'audience': '[product.metafields.custom.audience]',
+        'aggregateRating': {
+            '@type': 'AggregateRating',
+            'ratingValue_Rule': 'IF (review_count > 5) THEN [average_rating] ELSE [NULL]',
+            'reviewCount': '[review_count]',
+        },
+        '_comment_rule_1': '// dropped from the output',
+    };
+    const data = { 'product.vendor': 'Acme', 'product.title': 'Hat', 'product.metafields.custom.audience': { '@type': 'PeopleAudience', 'suggestedGender_Rule': 'x' }, 'review_count': 9, 'average_rating': 4.8 };
+
+    const [interpreted, compiled] = renderBoth(template, data);
+    assert.deepStrictEqual(interpreted, compiled);
+    assert.strictEqual(interpreted.name, 'Acme Hat');
+    assert.strictEqual(interpreted.aggregateRating.ratingValue, 4.8);
+    assert.strictEqual(interpreted._comment_rule_1, undefined);
+    assert.deepStrictEqual(interpreted.audience, data['product.metafields.custom.audience']);
+});
+
+test('placeholders are substituted at any depth, and unresolved ones drop their property', () => {
+    const template = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name': '[product.title]',
+        'brand': { '@type': 'Brand', 'name': '[product.vendor]', 'logo': '[shop.logo]' },
+        'offers': [{ '@type': 'Offer', 'price': '[current_price]', 'priceSpecification': { 'price': '[current_price]', 'priceCurrency': '[shop.currency]' } }],
+        'description': '[product.title] by [product.vendor]',
+        'keywords': ['[product.tags[0]]', '[product.tags[5]]', 'hats'],
+        'slogan': 'Only [product.slogan]',
+    };
+    const data = { 'product.title': 'Hat', 'product.vendor': 'Acme', 'current_price': 19.5, 'shop.currency': 'EUR', 'product.tags': ['wool', 'winter'] };
+
+    assert.deepStrictEqual(JSON.parse(processDsiSchema(data, { jsonLdTemplate: JSON.stringify(template) })), {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name': 'Hat',
+        'brand': { '@type': 'Brand', 'name': 'Acme' },
+        'offers': [{ '@type': 'Offer', 'price': 19.5, 'priceSpecification': { 'price': 19.5, 'priceCurrency': 'EUR' } }],
+        'description': 'Hat by Acme',
+        'keywords': ['wool', 'hats'],
+    });
+    assert.deepStrictEqual(...renderBoth(template, data));
+});
+
+test('the preview trace reports the rules that ran and every dropped property', () => {
+    const template = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name': '[product.title]',
+        'sku': '[product.sku]',
+        'aggregateRating': {
+            '@type': 'AggregateRating',
+            'ratingValue_Rule': 'IF (review_count > 5) THEN [average_rating] ELSE [NULL]',
+            'reviewCount': '[review_count]',
+        },
+    };
+    const data = { 'product.title': 'Hat', 'review_count': 2, 'average_rating': 4.8 };
+
+    const { schema, rules, dropped } = traceDsiSchema(data, { jsonLdTemplate: JSON.stringify(template) });
+    assert.deepStrictEqual(JSON.parse(schema), { '@context': 'https://schema.org', '@type': 'Product', 'name': 'Hat' });
+    assert.deepStrictEqual(rules, [{ path: 'aggregateRating.ratingValue', rule: template.aggregateRating.ratingValue_Rule, isMet: false, value: null }]);
+    assert.deepStrictEqual(dropped, [
+        { path: 'sku', reason: 'Missing source [product.sku]' },
+        { path: 'aggregateRating.ratingValue', reason: 'Rule resolved to [NULL] (ELSE branch)' },
+        { path: 'aggregateRating', reason: 'ratingValue was dropped by its rule' },
+    ]);
+    assert.deepStrictEqual(JSON.parse(schema), compileSchema(template)(data));
+});
+
+test('compiled rule sets render every page type exactly as the interpreter does', () => {
+    const templates = {};
+    Object.keys(PAGE_TYPES).forEach(pageType => {
+        templates[pageType] = { jsonLdTemplate: JSON.stringify(PAGE_TYPES[pageType].baseTemplate), mappings: [] };
+    });
+    templates.product.jsonLdTemplate = JSON.stringify({
+        ...PAGE_TYPES.product.baseTemplate,
+        'name_Expr': 'product.vendor + " " + product.title',
+        'keywords': '[product.tags | join: ", " | truncate: 12]',
+        'offers': { '_variants': 'variants', '_mode': 'aggregate', 'priceCurrency': '[shop.currency]' },
+        'aggregateRating': {
+            '@type': 'AggregateRating',
+            'ratingValue_Rule': 'IF (review_count > 5 AND NOT (average_rating < 4)) THEN [average_rating | round: 1] ELSE [NULL]',
+            'reviewCount': '[review_count]',
+        },
+    });
+    const doc = { templates };
+    const pages = [
+        ['product', {}],
+        ['product', { 'product.title': 'Hat', 'product.vendor': 'Acme', 'product.tags': ['wool', 'winter', 'warm'], 'shop.currency': 'EUR', 'review_count': 9, 'average_rating': 4.86, 'variants': [{ price: 20, available: true }, { price: 30, available: false }], 'breadcrumbs': [{ name: 'Home', url: 'https://shop.example/' }] }],
+        ['collection', { 'collection.title': 'Hats', 'collection.products': [{ title: 'Beanie', url: 'https://shop.example/products/beanie' }] }],
+        ['article', { 'article.title': 'Care guide', 'article.author': 'Nate', 'article.published_at': '2024-03-01T10:00:00Z' }],
+        ['home', { 'shop.name': 'Acme', 'shop.url': 'https://shop.example' }],
+        ['faq', { 'page.title': 'FAQ', 'faq': [{ question: 'Returns?', answer: '30 days' }] }],
+    ];
+    pages.forEach(([pageType, data]) => {
+        const compiled = compileDsiPage(doc, pageType);
+        assert.strictEqual(compiled(data), processDsiPage(data, doc, pageType), pageType);
+        assert.strictEqual(compiled(data), processDsiPage(data, doc, pageType), `${pageType}, rendered again`);
+    });
+});
+
+test('compiling parses a template once, up front', () => {
+    assert.throws(() => compileSchema({ '@type': 'Product', 'name_Rule': 'IF (a >) THEN 1' }), { name: 'RuleSyntaxError' });
+
+    const template = { '@type': 'Product', 'name': '[product.title]' };
+    const render = compileSchema(template);
+    template.name = '[product.vendor]';
+    const first = render({ 'product.title': 'Hat' });
+    first.name = 'changed by the caller';
+    assert.deepStrictEqual(render({ 'product.title': 'Hat' }), { '@type': 'Product', 'name': 'Hat' });
+});
@@ -0,0 +1,60 @@
+// Event hubs: run with `node --test test/` (the stream test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventHub } = require('../src/server/eventStream');
+const { startServer, signedProxyQuery, eventReader, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+
+test('one app cannot take every stream of the hub', () => {
+    const hub = createEventHub({ maxSubscribers: 5, maxSubscribersPerApp: 2 });
+    const received = [];
+    const first = hub.subscribe('one.myshopify.com', (type) => received.push(type));
+    const second = hub.subscribe('one.myshopify.com', () => {});
+    assert.ok(first && second);
+    assert.strictEqual(hub.subscribe('one.myshopify.com', () => {}), null);
+    assert.strictEqual(hub.sizeOf('one.myshopify.com'), 2);
+
+    // Other apps still connect, up to the hub's own cap
+    const others = ['two', 'three', 'four'].map(name => hub.subscribe(`${name}.myshopify.com`, () => {}));
+    assert.ok(others.every(Boolean));
+    assert.strictEqual(hub.subscribe('five.myshopify.com', () => {}), null);
+    assert.strictEqual(hub.size, 5);
+
+    // Closed streams free their app's slots (once, however often they are closed)
+    second();
+    second();
+    assert.strictEqual(hub.sizeOf('one.myshopify.com'), 1);
+    assert.ok(hub.subscribe('one.myshopify.com', () => {}));
+    hub.emit('one.myshopify.com', 'rules-version', { version: 2 });
+    assert.deepStrictEqual(received, ['rules-version']);
+});
+
+test('publishing pushes the new rules version to open storefront pages and admin streams', async () => {
+    const server = await startServer();
+    const open = async (url, headers) => (await fetch(url, { headers })).body.getReader();
+    const readers = [];
+    try {
+        readers.push(await open(`${server.url}/proxy/schema/events?${signedProxyQuery({ shop: SHOP })}`));
+        readers.push(await open(`${server.url}/api/v1/graph/stream?appId=${SHOP}`, { 'Authorization': `Bearer ${DSI_MASTER_KEY}` }));
+        const [storefront, graph] = readers.map(eventReader);
+        assert.deepStrictEqual(await storefront(1), [{ event: 'rules-version', data: { version: null } }]);
+        assert.strictEqual((await graph(1))[0].event, 'ready');
+
+        const response = await fetch(`${server.url}/api/v1/apps/${SHOP}/publish`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ revision: 0, author: 'ana', templates: { product: { jsonLdTemplate: '{"@type": "Product"}', mappings: [] } } }),
+        });
+        assert.strictEqual(response.status, 200);
+
+        assert.deepStrictEqual(await storefront(1), [{ event: 'rules-version', data: { version: 1 } }]);
+        const [published] = await graph(1);
+        assert.strictEqual(published.event, 'published');
+        assert.strictEqual(published.data.version, 1);
+        assert.strictEqual(published.data.author, 'ana');
+    } finally {
+        await Promise.all(readers.map(reader => reader.cancel()));
+        await server.stop();
+    }
+});
@@ -0,0 +1,45 @@
+// Expression language: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExpressionSyntaxError, parseExpression, evaluateExpression, expressionSources } = require('../src/shared/expressions');
+
+test('only the listed functions can be called', () => {
+    ['constructor', 'hasOwnProperty', 'toString', 'valueOf', '__proto__', '__defineGetter__'].forEach(name => {
+        assert.throws(() => parseExpression(`${name}(product.title)`), (e) => {
+            assert.ok(e instanceof ExpressionSyntaxError, name);
+            assert.match(e.message, new RegExp(`Unknown function '${name}'`));
+            return true;
+        });
+    });
+    assert.strictEqual(evaluateExpression('round(product.price, 1)', { 'product.price': '2.46' }), 2.5);
+});
+
+test('deeply nested expressions are syntax errors, not stack overflows', () => {
+    assert.strictEqual(evaluateExpression(`${'('.repeat(64)}1${')'.repeat(64)}`, {}), 1);
+    assert.strictEqual(evaluateExpression(`1${' + 1'.repeat(64)}`, {}), 65);
+
+    for (const expression of [
+        `${'('.repeat(65)}1${')'.repeat(65)}`,
+        `1${' + 1'.repeat(200000)}`,
+        `${'-'.repeat(100000)}1`,
+        `${'round('.repeat(100000)}1${')'.repeat(100000)}`,
+    ]) {
+        assert.throws(() => parseExpression(expression), (e) => e instanceof ExpressionSyntaxError && /nests deeper than 64 levels/.test(e.message));
+    }
+});
+
+test('expressions combine sources, and missing sources or bad arithmetic yield null', () => {
+    const data = { 'compare_at_price': 120, 'current_price': 90, 'product.vendor': 'Acme', 'product.title': 'Hat', 'average_rating': 4.86 };
+    const cases = [
+        ['round((compare_at_price - current_price) / compare_at_price * 100)', 25],
+        ['product.vendor + " " + product.title', 'Acme Hat'],
+        ['round(average_rating, 1)', 4.9],
+        ['if(current_price < 100, "under 100", "100 or more")', 'under 100'],
+        ['current_price > 50 && product.vendor == "Acme"', true],
+        ['coalesce(product.subtitle, product.title)', 'Hat'],
+        ['product.subtitle + " " + product.title', null],
+        ['current_price / 0', null],
+    ];
+    cases.forEach(([expression, expected]) => assert.strictEqual(evaluateExpression(expression, data), expected, expression));
+    assert.deepStrictEqual(expressionSources('round((compare_at_price - current_price) / compare_at_price * 100)'), ['compare_at_price', 'current_price']);
+});
@@ -0,0 +1,75 @@
+// Graph sync API: run with `node --test test/` (the API test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createEngineMetrics } = require('../src/server/engineMetrics');
+const { startServer, eventReader, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+
+test('engine metrics average response times and flag loop delay past the threshold', async () => {
+    const metrics = createEngineMetrics({ windowSize: 2, lagThresholdMs: -1 });
+    try {
+        assert.deepStrictEqual(metrics.snapshot(), { latencyMs: 0, loopDelayMs: 0, load: 0, lagging: true, requestsMeasured: 0 });
+        for (let i = 0; i < 3; i++) {
+            const res = new EventEmitter();
+            await new Promise(resolve => metrics.trackRequests({}, res, resolve));
+            res.emit('finish');
+        }
+        assert.strictEqual(metrics.snapshot().requestsMeasured, 2);
+    } finally {
+        metrics.stop();
+    }
+});
+
+test('node updates upsert draft mappings and reach the graph stream', async () => {
+    const server = await startServer();
+    const api = async (method, path, body) => {
+        const response = await fetch(`${server.url}/api/v1${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const nodeUpdate = (fields) => api('POST', '/graph/node-update', {
+        appId: SHOP, pageType: 'product', node_id: 'n1', data_vector: [0.5, 1], visual_config: { color: '#38bdf8' }, ...fields,
+    });
+    let stream;
+    try {
+        const pulse = await api('GET', `/dsi/pulse?appId=${SHOP}`);
+        assert.ok([200, 503].includes(pulse.status));
+        assert.strictEqual(pulse.body.active_nodes, 0);
+        assert.strictEqual((await nodeUpdate({ revision: 0 })).status, 404);
+
+        await api('POST', `/apps/${SHOP}/rules`, {
+            pageType: 'product', revision: 0, jsonLdTemplate: '{"@type": "Product", "name": "[product.title]"}', mappings: [],
+        });
+        const response = await fetch(`${server.url}/api/v1/graph/stream?appId=${SHOP}`, { headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}` } });
+        assert.strictEqual(response.headers.get('content-type').split(';')[0], 'text/event-stream');
+        stream = response.body.getReader();
+        const take = eventReader(stream);
+        assert.deepStrictEqual(await take(1), [{ event: 'ready', data: { appId: SHOP, revision: 1, publishedVersion: null } }]);
+
+        const invalid = await nodeUpdate({ revision: 1, visual_config: { color: 'blue', glow: true } });
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.body.details.map(problem => problem.path), ['$.visual_config.color', '$.visual_config.glow']);
+
+        const created = await nodeUpdate({ revision: 1, mapping: { source: 'product.vendor', target: 'brand', type: 'Text' } });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.revision, 2);
+        assert.strictEqual((await nodeUpdate({ revision: 1 })).status, 409);
+
+        const moved = await nodeUpdate({ revision: 2, data_vector: [2, 3], visual_config: { scale: 2 } });
+        assert.strictEqual(moved.status, 200);
+        assert.deepStrictEqual(moved.body.node.visualConfig, { color: '#38bdf8', scale: 2 });
+        assert.strictEqual(moved.body.node.source, 'product.vendor');
+
+        const [first, second] = await take(2);
+        assert.deepStrictEqual([first.event, first.data.created, second.event, second.data.created], ['node-update', true, 'node-update', false]);
+        assert.strictEqual((await api('GET', `/dsi/pulse?appId=${SHOP}`)).body.active_nodes, 1);
+    } finally {
+        if (stream) await stream.cancel();
+        await server.stop();
+    }
+});
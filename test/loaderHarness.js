@@ -0,0 +1,121 @@
+// Runs the stock storefront loader's script in a sandbox for the loader tests: a product page with
+// stubbed fetch, localStorage and DOM. Only the Liquid the script itself needs is rendered.
+const vm = require('vm');
+const { readLoaderTemplate } = require('../src/server/loaderSnippet');
+
+const SHOP = 'one.myshopify.com';
+
+/**
+ * An in-memory localStorage.
+ * @param {{quota?: number, entries?: object}} [options] - How many keys fit before setItem throws
+ *   (like a full browser store), and the entries to start with.
+ */
+function createStorage({ quota = Infinity, entries = {} } = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        get length() { return items.size; },
+        key: (index) => [...items.keys()][index] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            if (!items.has(key) && items.size >= quota) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: (key) => { items.delete(key); },
+        keys: () => [...items.keys()],
+    };
+}
+
+// The <script> of the loader, rendered for a product page
+const renderScript = (loader, pageData, constants) => {
+    let script = loader.slice(loader.indexOf('<script>\n(function()') + '<script>'.length, loader.lastIndexOf('</script>'));
+    script = script
+        .replace(/\{%- comment -%\} generated:page-data[\s\S]*?end generated:page-data \{%- endcomment -%\}/, `const pageData = ${JSON.stringify(pageData)};`)
+        .replace(/\{%- liquid[\s\S]*?-%\}/, '')
+        .replace(/\{%- if page_type == '' -%\}[\s\S]*?\{%- endif -%\}/, '')
+        .replace('{{ page_type | json }}', '"product"')
+        .replace('{{ cache_id }}', '1')
+        .replace('{{ shop.permanent_domain | json }}', JSON.stringify(SHOP))
+        .replace(/\{%.*?%\}/g, '')
+        .replace(/\{\{.*?\}\}/g, 'null');
+    for (const [name, value] of Object.entries(constants)) {
+        script = script.replace(new RegExp(`const ${name} = [^;]*;`), `const ${name} = ${JSON.stringify(value)};`);
+    }
+    return script;
+};
+
+/**
+ * Runs the loader.
+ * @param {{fetch: function, storage?: object, pageData?: object, constants?: object}} options - The stubbed
+ *   fetch(url, options), the localStorage, the page data and overrides of the loader's configuration
+ *   constants (e.g. { DSI_HEARTBEAT_MS: 0 }).
+ * @returns {Promise<{loader: object, storage: object, schema: function(): string|null, stop: function}>} -
+ *   window.OmniGraph, the storage, the injected schema, and stop(), which halts the loader's timers.
+ */
+async function runLoader({ fetch, storage = createStorage(), pageData = { 'product.title': 'Hat' }, constants = {} }) {
+    const elements = new Map([['omnigraph-liquid-fallback', { remove() { elements.delete('omnigraph-liquid-fallback'); } }]]);
+    const document = {
+        hidden: false,
+        head: { appendChild: (element) => elements.set(element.id, element) },
+        addEventListener() {},
+        getElementById: (id) => elements.get(id) || null,
+        createElement: () => ({ id: null, textContent: '', setAttribute(name, value) { if (name === 'id') this.id = value; } }),
+    };
+
+    // Timers are tracked so stop() can halt the heartbeat; retry backoff is made deterministic
+    const timers = new Set();
+    const sandbox = {
+        window: { addEventListener() {} },
+        document,
+        localStorage: storage,
+        fetch,
+        console: { log() {}, warn() {}, error() {} },
+        AbortController,
+        URLSearchParams,
+        Math: Object.create(Math, { random: { value: () => 0 } }),
+        setTimeout: (callback, delay) => {
+            const timer = setTimeout(() => { timers.delete(timer); callback(); }, delay);
+            timers.add(timer);
+            return timer;
+        },
+        clearTimeout: (timer) => { timers.delete(timer); clearTimeout(timer); },
+    };
+    vm.runInNewContext(renderScript(await readLoaderTemplate(), pageData, constants), sandbox);
+
+    return {
+        loader: sandbox.window.OmniGraph,
+        storage,
+        schema: () => (elements.has('omnigraph-dsi-schema') ? elements.get('omnigraph-dsi-schema').textContent : null),
+        stop: () => timers.forEach(timer => sandbox.clearTimeout(timer)),
+    };
+}
+
+/**
+ * A fetch Response stand-in.
+ * @param {number} status - The HTTP status.
+ * @param {object} [body] - The JSON body.
+ * @param {object} [headers] - Response headers.
+ */
+const response = (status, body = {}, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: String(status),
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body,
+});
+
+// Resolves once `check` holds, polling the event loop
+const waitFor = async (check, timeoutMs = 2000) => {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error(`Timed out waiting for ${check}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+module.exports = {
+    SHOP,
+    createStorage,
+    runLoader,
+    response,
+    waitFor,
+};
@@ -0,0 +1,86 @@
+// Loader snippet generation: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { readLoaderTemplate, generateLoaderSnippet, resolveLiquidSource } = require('../src/server/loaderSnippet');
+
+const productTemplates = (jsonLd) => ({
+    product: { jsonLdTemplate: JSON.stringify(jsonLd), mappings: [] },
+});
+
+test('variants without a compare-at price are sent as null, not 0.0', async () => {
+    const loader = await readLoaderTemplate();
+    const { liquid, pageTypes } = generateLoaderSnippet({
+        templates: productTemplates({ '@type': 'Product', 'name': '[product.title]', 'offers': '[variants]' }),
+        version: 3,
+    }, loader);
+
+    assert.ok(pageTypes.product.includes('variants'));
+    const guarded = "'compare_at_price': {% if variant.compare_at_price %}{{ variant.compare_at_price | divided_by: 100.0 | json }}{% else %}null{% endif %},";
+    for (const source of [loader, liquid]) {
+        const line = source.split('\n').find(text => text.includes("'compare_at_price':"));
+        assert.strictEqual(line.trim(), guarded);
+    }
+});
+
+// The text of one generated region of a snippet
+const region = (liquid, name) => liquid.slice(liquid.indexOf(`generated:${name} `), liquid.indexOf(`end generated:${name} `));
+
+test('source paths resolve to the data key they read and the Liquid that sends it', () => {
+    assert.deepStrictEqual(resolveLiquidSource('product', 'product.tags[0]'), { key: 'product.tags', liquid: 'product.tags' });
+    assert.deepStrictEqual(resolveLiquidSource('product', 'product.weight'), { key: 'product.weight', liquid: 'product.weight' });
+    assert.deepStrictEqual(resolveLiquidSource('product', 'product.metafields.my-ns.size'), {
+        key: 'product.metafields.my-ns.size',
+        liquid: "product.metafields['my-ns'].size.value",
+    });
+    assert.strictEqual(resolveLiquidSource('product', 'product.metafields.bad ns.size'), null);
+    assert.strictEqual(resolveLiquidSource('product', 'order.id'), null);
+    assert.strictEqual(resolveLiquidSource('product', 'collection.title'), null);
+});
+
+test('the generated snippet sends only the data the published rules read, and falls back to what Liquid can render', async () => {
+    const { liquid, pageTypes, unresolved } = generateLoaderSnippet({
+        version: 7,
+        templates: {
+            product: {
+                jsonLdTemplate: JSON.stringify({
+                    '@context': 'https://schema.org/',
+                    '@type': 'Product',
+                    'name': '[product.title]',
+                    'description': 'Made by [product.vendor]',
+                    'size': '[product.metafields.my-ns.size]',
+                    'sku': '[order.name]',
+                    'slogan': '{{ shop.secret }}</script>',
+                }),
+                mappings: [{ id: 1, type: 'Text', target: 'keywords', source: 'product.tags[0]' }],
+            },
+        },
+    }, await readLoaderTemplate());
+
+    // Known sources first, in the stock order; `product.id` is always sent
+    assert.deepStrictEqual(pageTypes, {
+        product: ['product.id', 'product.title', 'product.tags', 'product.vendor', 'product.metafields.my-ns.size'],
+    });
+    assert.deepStrictEqual(unresolved, [{ pageType: 'product', path: 'order.name' }]);
+
+    const pageData = region(liquid, 'page-data');
+    assert.ok(pageData.includes('// Generated from published rules version 7'));
+    assert.ok(pageData.includes("'product.metafields.my-ns.size': {{ product.metafields['my-ns'].size.value | json }},"));
+    assert.ok(pageData.includes('// Not sent: no Liquid source is known for [order.name]'));
+    assert.ok(!pageData.includes("'review_count'"));
+    assert.ok(!pageData.includes("when 'collection'"));
+
+    // Placeholders inside text and unresolved sources need the engine; literals are escaped
+    const fallback = region(liquid, 'liquid-fallback');
+    assert.ok(fallback.includes('"name": {{ product.title | json }},'));
+    assert.ok(!fallback.includes('"description"') && !fallback.includes('"sku"'));
+    assert.ok(fallback.includes('"slogan": "\\u007b\\u007b shop.secret \\u007d\\u007d\\u003c/script\\u003e"'));
+    assert.strictEqual(fallback.split('</script>').length, 2);
+    assert.ok(!fallback.includes("when 'collection'"));
+});
+
+test('generation needs both generated regions of the loader', () => {
+    assert.throws(
+        () => generateLoaderSnippet({ version: 1, templates: productTemplates({ '@type': 'Product' }) }, '<script></script>'),
+        /no generated:liquid-fallback region/,
+    );
+});
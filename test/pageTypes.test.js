@@ -0,0 +1,78 @@
+// Page-type lookups: run with `node --test test/` (the API tests need the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { PAGE_TYPES, isPageType, getPageTemplate } = require('../src/shared/pageTypes');
+const { processDsiPage, compileDsiPage } = require('../src/shared/dsiEngine');
+const { startServer, signedProxyQuery, DSI_MASTER_KEY } = require('./serverHarness');
+
+// Names every plain object answers to through its prototype
+const INHERITED_NAMES = ['constructor', '__proto__', 'toString', 'hasOwnProperty'];
+
+const rulesDoc = {
+    templates: {
+        product: { jsonLdTemplate: JSON.stringify({ '@type': 'Product', name: '[product.title]' }), mappings: [] },
+    },
+};
+
+test('inherited names are not page types or templates', () => {
+    INHERITED_NAMES.forEach(name => {
+        assert.strictEqual(isPageType(name), false, name);
+        assert.strictEqual(getPageTemplate(rulesDoc.templates, name), null, name);
+        assert.strictEqual(processDsiPage({}, rulesDoc, name), null, name);
+        assert.strictEqual(compileDsiPage(rulesDoc, name)({}), null, name);
+    });
+    assert.strictEqual(isPageType('product'), true);
+    assert.strictEqual(JSON.parse(processDsiPage({ 'product.title': 'Hat' }, rulesDoc, 'product')).name, 'Hat');
+});
+
+test('the APIs answer inherited names as unknown page types', async () => {
+    const server = await startServer();
+    const admin = (method, path, body) => fetch(`${server.url}/api/v1${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    try {
+        for (const name of INHERITED_NAMES) {
+            const schema = await fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop: 'one.myshopify.com' })}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pageType: name, productData: {} }),
+            });
+            assert.strictEqual(schema.status, 400, `schema ${name}`);
+
+            const created = await admin('POST', '/apps/one.myshopify.com/rules', { pageType: name, revision: 0, jsonLdTemplate: '{}', mappings: [] });
+            assert.strictEqual(created.status, 400, `create ${name}`);
+            assert.strictEqual((await admin('GET', `/apps/one.myshopify.com/rules/${name}`)).status, 404, `read ${name}`);
+            const nodeUpdate = await admin('POST', '/graph/node-update', { appId: 'one.myshopify.com', pageType: name, revision: 0, node_id: 'n1' });
+            assert.strictEqual(nodeUpdate.status, 400, `node-update ${name}`);
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+test('page types render their base template with their partials, and empty partials are left out', () => {
+    const templateOf = (pageType) => ({ jsonLdTemplate: JSON.stringify(PAGE_TYPES[pageType].baseTemplate), mappings: [] });
+    const doc = { templates: { collection: templateOf('collection'), breadcrumbs: templateOf('breadcrumbs') } };
+    const data = {
+        'collection.title': 'Hats',
+        'collection.url': 'https://shop.example/collections/hats',
+        'collection.products_count': 2,
+        'collection.products': [{ title: 'Beanie', url: 'https://shop.example/products/beanie' }, { title: 'Cap', url: 'https://shop.example/products/cap' }],
+        'breadcrumbs': [{ name: 'Home', url: 'https://shop.example/' }, { name: 'Hats', url: 'https://shop.example/collections/hats' }],
+    };
+
+    const [itemList, breadcrumbList] = JSON.parse(processDsiPage(data, doc, 'collection'));
+    assert.strictEqual(itemList['@type'], 'ItemList');
+    assert.deepStrictEqual(itemList.itemListElement, [
+        { '@type': 'ListItem', 'position': 1, 'name': 'Beanie', 'url': 'https://shop.example/products/beanie' },
+        { '@type': 'ListItem', 'position': 2, 'name': 'Cap', 'url': 'https://shop.example/products/cap' },
+    ]);
+    assert.deepStrictEqual(breadcrumbList.itemListElement.map(({ position, item }) => [position, item]), [[1, 'https://shop.example/'], [2, 'https://shop.example/collections/hats']]);
+    assert.strictEqual(compileDsiPage(doc, 'collection')(data), processDsiPage(data, doc, 'collection'));
+
+    const withoutTrail = JSON.parse(processDsiPage({ ...data, breadcrumbs: [] }, doc, 'collection'));
+    assert.strictEqual(withoutTrail['@type'], 'ItemList');
+    assert.strictEqual(processDsiPage(data, doc, 'article'), null);
+});
@@ -0,0 +1,43 @@
+// Rate limiting: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryBucketStore, forwardedAddress } = require('../src/server/rateLimit');
+
+const limits = { capacity: 2, refillPerSecond: 1 / 60 };
+
+test('a full bucket store drops its least recently used bucket', async () => {
+    const store = createMemoryBucketStore({ maxBuckets: 3, now: () => 0 });
+    await store.take('a', limits);
+    await store.take('a', limits);
+    await store.take('b', limits);
+    await store.take('c', limits);
+    // `a` is used again, so `b` is now the least recently used
+    assert.strictEqual((await store.take('a', limits)).allowed, false);
+    await store.take('d', limits);
+    assert.strictEqual(store.size, 3);
+
+    assert.strictEqual((await store.take('a', limits)).allowed, false, 'a kept its empty bucket');
+    assert.strictEqual((await store.take('b', limits)).remaining, 1, 'b starts over with a full bucket');
+});
+
+test('made-up keys cost the same however full the store is', async () => {
+    const maxBuckets = 1000;
+    const store = createMemoryBucketStore({ maxBuckets, now: () => 0 });
+    for (let i = 0; i < maxBuckets; i++) await store.take(`active-${i}`, limits);
+
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < 50000; i++) await store.take(`forged-${i}`, limits);
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    assert.strictEqual(store.size, maxBuckets);
+    // A full scan per new key would be 50M bucket visits
+    assert.ok(elapsedMs < 2000, `${elapsedMs}ms`);
+});
+
+test('the forwarded address is counted back from the connecting peer', () => {
+    const req = { socket: { remoteAddress: '10.0.0.1' }, headers: { 'x-forwarded-for': '198.51.100.7, 203.0.113.9' } };
+    assert.strictEqual(forwardedAddress(req, 0), '10.0.0.1');
+    assert.strictEqual(forwardedAddress(req, 1), '203.0.113.9');
+    assert.strictEqual(forwardedAddress(req, 2), '198.51.100.7');
+    assert.strictEqual(forwardedAddress(req, 5), '198.51.100.7');
+});
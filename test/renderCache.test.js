@@ -0,0 +1,49 @@
+// Render cache: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { rulesVersionKey, matchesIfNoneMatch, createRenderCache } = require('../src/server/renderCache');
+
+const SHOP = 'one.myshopify.com';
+const rules = (version, name = '[product.title]') => ({ version, templates: { product: { jsonLdTemplate: JSON.stringify({ name }), mappings: [] } } });
+
+test('entries are keyed by shop, rules version, page type and page data', () => {
+    const cache = createRenderCache();
+    const data = { 'product.id': '42', 'product.title': 'Hat' };
+    const keys = [
+        cache.keyFor(SHOP, rules(1), 'product', data),
+        cache.keyFor('two.myshopify.com', rules(1), 'product', data),
+        cache.keyFor(SHOP, rules(2), 'product', data),
+        cache.keyFor(SHOP, rules(1), 'collection', data),
+        cache.keyFor(SHOP, rules(1), 'product', { ...data, 'product.title': 'Cap' }),
+    ];
+    assert.strictEqual(new Set(keys).size, keys.length);
+    assert.strictEqual(cache.keyFor(SHOP, rules(1), 'product', { ...data }), keys[0]);
+
+    // Unversioned documents can change in place, so their content is the version
+    assert.strictEqual(rulesVersionKey(rules(3)), 'v3');
+    assert.notStrictEqual(rulesVersionKey(rules(0)), rulesVersionKey(rules(0, '[product.vendor]')));
+});
+
+test('the least recently used entry goes first, and webhooks drop a product\'s or shop\'s entries', () => {
+    const cache = createRenderCache({ maxEntries: 3 });
+    cache.set('a', 1, { appId: SHOP, productId: 42 });
+    cache.set('b', 2, { appId: SHOP, productId: '42' });
+    cache.set('c', 3, { appId: 'two.myshopify.com', productId: 42 });
+    assert.strictEqual(cache.get('a'), 1);
+    cache.set('d', 4, { appId: SHOP });
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.size, 3);
+
+    assert.strictEqual(cache.invalidateProduct(SHOP, '42'), 1);
+    assert.strictEqual(cache.get('a'), undefined);
+    assert.strictEqual(cache.get('c'), 3);
+    assert.strictEqual(cache.invalidateShop(SHOP), 1);
+    assert.strictEqual(cache.size, 1);
+});
+
+test('If-None-Match lists and weak tags match', () => {
+    assert.strictEqual(matchesIfNoneMatch('"x", W/"abc"', '"abc"'), true);
+    assert.strictEqual(matchesIfNoneMatch('*', '"abc"'), true);
+    assert.strictEqual(matchesIfNoneMatch('"abd"', '"abc"'), false);
+    assert.strictEqual(matchesIfNoneMatch(undefined, '"abc"'), false);
+});
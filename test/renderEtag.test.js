@@ -0,0 +1,56 @@
+// Rendered schema ETags: run with `node --test test/` (needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer, signedProxyQuery, DSI_MASTER_KEY, SHOPIFY_API_SECRET } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+const productData = { 'product.id': '42', 'product.title': 'Hat' };
+
+test('a page re-rendered from the same rules keeps its ETag', async () => {
+    const server = await startServer();
+    const schema = (headers = {}) => fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop: SHOP })}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ pageType: 'product', productData }),
+    });
+    try {
+        const published = await fetch(`${server.url}/api/v1/apps/${SHOP}/publish`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                revision: 0,
+                templates: { product: { jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: '[product.title]' }), mappings: [] } },
+            }),
+        });
+        assert.strictEqual(published.status, 200);
+
+        const first = await schema();
+        assert.strictEqual(first.status, 200);
+        const etag = first.headers.get('etag');
+        const { timestamp } = await first.json();
+
+        // Drop the cached render (as a products/update webhook does) and render again
+        const body = JSON.stringify({ id: 42 });
+        const invalidated = await fetch(`${server.url}/webhooks/shopify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Topic': 'products/update',
+                'X-Shopify-Shop-Domain': SHOP,
+                'X-Shopify-Webhook-Id': crypto.randomUUID(),
+                'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(body).digest('base64'),
+            },
+            body,
+        });
+        assert.strictEqual(invalidated.status, 200);
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const second = await schema();
+        assert.notStrictEqual((await second.json()).timestamp, timestamp);
+        assert.strictEqual(second.headers.get('etag'), etag);
+        assert.strictEqual((await schema({ 'If-None-Match': etag })).status, 304);
+    } finally {
+        await server.stop();
+    }
+});
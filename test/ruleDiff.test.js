@@ -0,0 +1,27 @@
+// Rule version diffs: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLines, diffRuleVersions } = require('../src/shared/ruleDiff');
+
+test('lines are diffed along their longest common subsequence', () => {
+    assert.deepStrictEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+        { type: 'same', text: 'a' },
+        { type: 'remove', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'add', text: 'd' },
+    ]);
+    assert.deepStrictEqual(diffLines('', 'a'), [{ type: 'add', text: 'a' }]);
+});
+
+test('versions are diffed page type by page type', () => {
+    const ruleSet = (jsonLdTemplate, mappings = []) => ({ jsonLdTemplate, mappings });
+    const diff = diffRuleVersions(
+        { product: ruleSet('{"name": "[product.title]"}'), faq: ruleSet('{}'), article: ruleSet('{}') },
+        { product: ruleSet('{"name": "[product.title]"}', [{ id: 1 }]), faq: ruleSet('{}'), home: ruleSet('{}') },
+    );
+    assert.deepStrictEqual(diff.map(({ pageType, status }) => [pageType, status]), [
+        ['product', 'changed'], ['faq', 'unchanged'], ['article', 'removed'], ['home', 'added'],
+    ]);
+    assert.deepStrictEqual(diff[0].template, [{ type: 'same', text: '{"name": "[product.title]"}' }]);
+    assert.ok(diff[0].mappings.some(line => line.type === 'add' && line.text.includes('"id": 1')));
+});
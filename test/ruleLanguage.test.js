@@ -0,0 +1,175 @@
+// Rule language: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    RuleSyntaxError, parseRule, serializeRule, serializeCondition, evaluateRule, evaluateCondition, evaluateConditionTree,
+    conditionsToTree, normalizeCondition, checkPattern,
+} = require('../src/shared/ruleLanguage');
+const { validateRuleSet } = require('../src/server/rulesApi');
+
+const UNSAFE_PATTERNS = ['(a+)+$', '^(\\w+\\s?)*$', '((a+)?)+', '(a{2,})+', '/^(x*)*y/i', 'x'.repeat(201), '('];
+
+test('matches patterns that can backtrack exponentially are rejected', () => {
+    UNSAFE_PATTERNS.forEach(pattern => {
+        assert.ok(checkPattern(pattern), pattern);
+        assert.throws(() => parseRule(`IF (product.title matches '${pattern.replace(/\\/g, '\\\\')}') THEN 'y'`), RuleSyntaxError, pattern);
+    });
+    ['^sale', '/^SALE/i', '[a-z]+\\d*', '^(foo|bar)$', 'foo|bar+', '(\\d{2})+', '(a+)?b', '([|]x)+'].forEach(pattern => {
+        assert.strictEqual(checkPattern(pattern), null, pattern);
+    });
+});
+
+test('matches patterns that repeat alternatives are rejected', () => {
+    ['(a|a)*b', '(a|aa)*$', '^(foo|bar)+$', '(?:x|y){2,}', '((a|b)c)*', '/(a|a)*b/i'].forEach(pattern => {
+        assert.match(checkPattern(pattern), /alternatives/, pattern);
+        assert.throws(() => parseRule(`IF (product.title matches '${pattern}') THEN 'y'`), RuleSyntaxError, pattern);
+    });
+
+    // Saved before the check: never run, so the render returns at once
+    const rule = { condition: { type: 'comparison', field: 'product.title', operator: 'matches', value: '(a|a)*b' }, then: { type: 'literal', value: 'y' }, else: { type: 'literal', value: 'n' } };
+    const started = Date.now();
+    assert.strictEqual(evaluateRule(rule, { 'product.title': `${'a'.repeat(28)}!` }), 'n');
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('unsafe patterns never run, even from rules saved before the check', () => {
+    const rule = { condition: { type: 'comparison', field: 'product.title', operator: 'matches', value: '^(a+)+$' }, then: { type: 'literal', value: 'y' }, else: { type: 'literal', value: 'n' } };
+    const started = Date.now();
+    assert.strictEqual(evaluateRule(rule, { 'product.title': `${'a'.repeat(40)}!` }), 'n');
+    assert.ok(Date.now() - started < 1000);
+
+    assert.strictEqual(evaluateRule("IF (product.title matches '/^sale/i') THEN 'y' ELSE 'n'", { 'product.title': 'SALE hat' }), 'y');
+    assert.strictEqual(evaluateRule("IF (product.title matches '/^sale/iy') THEN 'y' ELSE 'n'", { 'product.title': 'SALE hat' }), 'y');
+    assert.strictEqual(evaluateRule("IF (product.title matches '/^sale/iy') THEN 'y' ELSE 'n'", { 'product.title': 'SALE hat' }), 'y');
+});
+
+test('rule set validation reports unsafe patterns in templates and mapping conditions', () => {
+    const { problems } = validateRuleSet({
+        jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name_Rule: "IF (product.title matches '(a+)+') THEN [product.title]" }),
+        mappings: [{
+            id: 1, target: 'name', type: 'Condition', source: 'product.title',
+            condition: { type: 'and', conditions: [{ type: 'comparison', field: 'product.title', operator: 'matches', value: '(a+)+' }] },
+        }],
+    });
+    assert.deepStrictEqual(problems.map(({ path }) => path), ['$.jsonLdTemplate.name_Rule', '$.mappings[0].condition.conditions[0].value']);
+});
+
+test('deeply nested rules are syntax errors, not stack overflows', () => {
+    const nestedParens = (levels) => `IF (${'('.repeat(levels)}a > 1${')'.repeat(levels)}) THEN 'y'`;
+    assert.strictEqual(evaluateRule(nestedParens(32), { a: 2 }), 'y');
+
+    for (const rule of [
+        nestedParens(33),
+        nestedParens(100000),
+        `IF (${'NOT '.repeat(100000)}a > 1) THEN 'y'`,
+        `IF (a in ${'['.repeat(100000)}1${']'.repeat(100000)}) THEN 'y'`,
+    ]) {
+        assert.throws(() => parseRule(rule), (e) => e instanceof RuleSyntaxError && /nests deeper than 32 levels/.test(e.message));
+    }
+});
+
+test('rules parse into condition trees and serialize back to the same text', () => {
+    const text = "IF (product.vendor == 'Acme' AND review_count > 5) THEN [average_rating] ELSE 'n/a'";
+    const rule = parseRule(text);
+    assert.deepStrictEqual(rule, {
+        condition: {
+            type: 'and',
+            conditions: [
+                { type: 'comparison', field: 'product.vendor', operator: '==', value: 'Acme' },
+                { type: 'comparison', field: 'review_count', operator: '>', value: 5 },
+            ],
+        },
+        then: { type: 'source', path: 'average_rating' },
+        else: { type: 'literal', value: 'n/a' },
+    });
+    assert.strictEqual(serializeRule(rule), text);
+    assert.deepStrictEqual(parseRule(serializeRule(rule)), rule);
+
+    // A missing ELSE is [NULL], and the legacy END before the closing parenthesis is accepted
+    assert.strictEqual(serializeRule(parseRule('IF (a is empty END) THEN [NULL]')), 'IF (a is empty) THEN [NULL] ELSE [NULL]');
+    assert.throws(() => parseRule('IF x > 1 THEN 1'), (e) => e instanceof RuleSyntaxError && e.position === 3);
+});
+
+test('rules pick THEN or ELSE from the page data', () => {
+    const rule = "IF (product.vendor == 'Acme' AND review_count > 5) THEN [average_rating] ELSE 'n/a'";
+    assert.strictEqual(evaluateRule(rule, { 'product.vendor': 'Acme', 'review_count': 9, 'average_rating': 4.8 }), 4.8);
+    assert.strictEqual(evaluateRule(rule, { 'product.vendor': 'Acme', 'review_count': 2, 'average_rating': 4.8 }), 'n/a');
+    assert.strictEqual(evaluateRule("IF (x > 1) THEN 'y'", { x: 0 }), null);
+});
+
+test('operators coerce Liquid output by type', () => {
+    const data = {
+        'review_count': '12',
+        'product.available': 'true',
+        'product.tags': ['wool', 'Winter'],
+        'product.title': 'Wool Hat',
+        'product.published_at': '2024-03-01T10:00:00Z',
+        'product.description': '',
+    };
+    const holds = [
+        ['review_count', '>', 5], ['review_count', '==', 12], ['review_count', 'between', [10, 20]],
+        ['product.available', '==', true], ['product.tags', 'contains', 'wool'], ['product.tags', 'in', ['Winter', 'summer']],
+        ['product.title', 'starts with', 'Wool'], ['product.title', 'matches', '/hat$/i'],
+        ['product.published_at', 'after', '2024-01-01'], ['product.published_at', '<', '2025-01-01'],
+        ['product.description', 'is empty'], ['product.missing', 'is empty'], ['product.title', 'is not empty'],
+        ['product.missing', '==', null], ['product.missing', '!=', 'x'], ['product.tags', 'not in', ['summer']],
+    ];
+    const fails = [
+        ['review_count', '<', 5], ['review_count', 'between', [1, 10]], ['product.available', '==', false],
+        ['product.tags', 'contains', 'wo'], ['product.title', 'before', '2024-01-01'], ['product.missing', '>', 0],
+        ['product.tags', '!=', 'wool'], ['product.title', 'matches', '^hat'],
+    ];
+    holds.forEach(([field, operator, value]) => assert.strictEqual(evaluateCondition(field, operator, value, data), true, `${field} ${operator} ${value}`));
+    fails.forEach(([field, operator, value]) => assert.strictEqual(evaluateCondition(field, operator, value, data), false, `${field} ${operator} ${value}`));
+});
+
+test('AND binds tighter than OR, and NOT negates whole groups', () => {
+    const { condition } = parseRule("IF (a == 1 OR b == 2 AND NOT (c == 3 OR d == 4)) THEN 'y'");
+    assert.deepStrictEqual(condition, {
+        type: 'or',
+        conditions: [
+            { type: 'comparison', field: 'a', operator: '==', value: 1 },
+            {
+                type: 'and',
+                conditions: [
+                    { type: 'comparison', field: 'b', operator: '==', value: 2 },
+                    { type: 'or', conditions: [{ type: 'comparison', field: 'c', operator: '==', value: 3 }, { type: 'comparison', field: 'd', operator: '==', value: 4 }], negate: true },
+                ],
+            },
+        ],
+    });
+    assert.deepStrictEqual(parseRule(`IF (${serializeCondition(condition)}) THEN 'y'`).condition, condition);
+
+    assert.strictEqual(evaluateConditionTree(condition, { a: 0, b: 2, c: 0, d: 0 }), true);
+    assert.strictEqual(evaluateConditionTree(condition, { a: 0, b: 2, c: 3, d: 0 }), false);
+    assert.strictEqual(evaluateConditionTree(condition, { a: 1, b: 0, c: 3, d: 4 }), true);
+});
+
+test('condition trees normalize, and legacy flat lists become trees', () => {
+    assert.deepStrictEqual(normalizeCondition({
+        type: 'and',
+        conditions: [
+            { type: 'and', conditions: [{ type: 'comparison', field: 'a', operator: 'in', value: 'sale, 10' }] },
+            { type: 'or', conditions: [] },
+            { type: 'and', conditions: [{ type: 'comparison', field: 'b', operator: 'is empty', value: 'ignored' }], negate: true },
+        ],
+    }), {
+        type: 'and',
+        conditions: [
+            { type: 'comparison', field: 'a', operator: 'in', value: ['sale', 10] },
+            { type: 'comparison', field: 'b', operator: 'is empty', negate: true },
+        ],
+    });
+
+    assert.deepStrictEqual(conditionsToTree([
+        { field: 'a', operator: '>', value: 1, logic: 'AND' },
+        { field: 'b', operator: '<', value: 2, logic: 'OR' },
+        { field: 'c', operator: 'is empty', logic: 'END' },
+    ]), {
+        type: 'or',
+        conditions: [
+            { type: 'and', conditions: [{ type: 'comparison', field: 'a', operator: '>', value: 1 }, { type: 'comparison', field: 'b', operator: '<', value: 2 }] },
+            { type: 'comparison', field: 'c', operator: 'is empty' },
+        ],
+    });
+});
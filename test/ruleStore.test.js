@@ -0,0 +1,156 @@
+// Rule store adapters: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidAppId, rulesDocumentPath, createFileRuleStore, createFirestoreRuleStore, createRuleStore } = require('../src/server/ruleStore');
+
+const APP_ID = 'test-shop.myshopify.com';
+const record = (version) => ({ version, templates: {}, author: 'test', note: '', publishedAt: new Date(0).toISOString() });
+
+test('file store: a failed document write leaves no version record behind', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'omnigraph-rules-'));
+    const store = createFileRuleStore({ directory });
+    const putRules = store.putRules;
+    store.putRules = async () => { throw new Error('disk full'); };
+
+    await assert.rejects(store.updateRules(APP_ID, (current, versions) => {
+        versions.create(record(1));
+        return { latestVersion: 1 };
+    }), /disk full/);
+    assert.strictEqual(await store.getVersion(APP_ID, 1), null);
+
+    // The retry takes the same number
+    store.putRules = putRules;
+    await store.updateRules(APP_ID, (current, versions) => {
+        versions.create(record(1));
+        return { latestVersion: 1 };
+    });
+    assert.deepStrictEqual((await store.listVersions(APP_ID)).map(({ version }) => version), [1]);
+    assert.deepStrictEqual(await store.getRules(APP_ID), { latestVersion: 1 });
+
+    await assert.rejects(store.updateRules(APP_ID, (current, versions) => {
+        versions.create(record(1));
+        return current;
+    }), { code: 'VERSION_EXISTS' });
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Just enough of Firestore: transactions stage their writes and commit them together. A commit fails
+// as contention if a document the transaction read has been written since (and the first commit of
+// `contendedCommits` transactions fails regardless), so the callback runs again.
+function fakeFirestore({ contendedCommits = 0 } = {}) {
+    const documents = new Map();
+    const writeCounts = new Map(); // path -> number of writes, to detect contention
+    let contention = contendedCommits;
+    const write = (docPath, data) => {
+        if (data === undefined) documents.delete(docPath);
+        else documents.set(docPath, data);
+        writeCounts.set(docPath, (writeCounts.get(docPath) || 0) + 1);
+    };
+    const doc = (docPath) => ({
+        path: docPath,
+        async get() {
+            return { exists: documents.has(docPath), data: () => documents.get(docPath) };
+        },
+        async set(data) {
+            write(docPath, data);
+        },
+        async delete() {
+            write(docPath, undefined);
+        },
+    });
+    return {
+        documents,
+        doc,
+        async runTransaction(callback) {
+            for (;;) {
+                const reads = new Map();
+                const writes = [];
+                const transaction = {
+                    get: (ref) => {
+                        reads.set(ref.path, writeCounts.get(ref.path) || 0);
+                        return ref.get();
+                    },
+                    create: (ref, data) => writes.push(() => {
+                        if (documents.has(ref.path)) throw Object.assign(new Error('ALREADY_EXISTS'), { code: 6 });
+                        write(ref.path, data);
+                    }),
+                    set: (ref, data) => writes.push(() => write(ref.path, data)),
+                    delete: (ref) => writes.push(() => write(ref.path, undefined)),
+                };
+                const result = await callback(transaction);
+                const isStale = [...reads].some(([docPath, count]) => (writeCounts.get(docPath) || 0) !== count);
+                if (contention > 0 || isStale) {
+                    contention = Math.max(0, contention - 1);
+                    continue;
+                }
+                writes.forEach(stagedWrite => stagedWrite());
+                return result;
+            }
+        },
+    };
+}
+
+test('firestore store: a retried transaction does not collide with its own version record', async () => {
+    const firestore = fakeFirestore({ contendedCommits: 1 });
+    const store = createFirestoreRuleStore({ firestore });
+
+    await store.updateRules(APP_ID, (current, versions) => {
+        versions.create(record(1));
+        return { latestVersion: 1 };
+    });
+    assert.deepStrictEqual(await store.getVersion(APP_ID, 1), record(1));
+
+    await assert.rejects(store.updateRules(APP_ID, (current, versions) => {
+        versions.create(record(1));
+        return current;
+    }), { code: 'VERSION_EXISTS' });
+});
+
+// The part of the adapter interface every store shares, run against each adapter
+async function checkDocumentLifecycle(store) {
+    const rulesDoc = { templates: { product: { jsonLdTemplate: '{"@type":"Product"}', mappings: [] } } };
+    assert.strictEqual(await store.getRules(APP_ID), null);
+    await store.putRules(APP_ID, rulesDoc);
+    assert.deepStrictEqual(await store.getRules(APP_ID), rulesDoc);
+
+    // Concurrent read-modify-write cycles never lose an update
+    await store.putRules(APP_ID, { count: 0 });
+    await Promise.all(Array.from({ length: 20 }, () => store.updateRules(APP_ID, async (current) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return { count: current.count + 1 };
+    })));
+    assert.deepStrictEqual(await store.getRules(APP_ID), { count: 20 });
+
+    assert.strictEqual(await store.updateRules(APP_ID, () => null), null);
+    assert.strictEqual(await store.getRules(APP_ID), null);
+    await store.deleteRules(APP_ID);
+
+    for (const appId of ['../escape', 'a/b', '', '.hidden', 'x'.repeat(129), null]) {
+        await assert.rejects(store.getRules(appId), /Invalid app ID/, String(appId));
+    }
+}
+
+test('file store: documents are stored, updated one at a time and deleted', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'omnigraph-rules-'));
+    await checkDocumentLifecycle(createFileRuleStore({ directory }));
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('firestore store: documents live at the path the Admin UI writes', async () => {
+    const firestore = fakeFirestore();
+    const store = createFirestoreRuleStore({ firestore });
+    await store.putRules(APP_ID, { templates: {} });
+    assert.deepStrictEqual(firestore.documents.get(`artifacts/${APP_ID}/public/data/omnigraph/rules`), { templates: {} });
+    assert.strictEqual(rulesDocumentPath(APP_ID), `artifacts/${APP_ID}/public/data/omnigraph/rules`);
+    await store.deleteRules(APP_ID);
+    await checkDocumentLifecycle(store);
+});
+
+test('app IDs are limited to safe file and path names', () => {
+    assert.strictEqual(isValidAppId(APP_ID), true);
+    ['../x', 'a..b', 'a b', 'a/b', '-shop', 42].forEach(appId => assert.strictEqual(isValidAppId(appId), false, String(appId)));
+    assert.throws(() => createRuleStore({ adapter: 'redis' }), /Unknown rule store adapter: redis/);
+});
@@ -0,0 +1,97 @@
+// Rules management API: run with `node --test test/` (needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, signedProxyQuery, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+const productRuleSet = (name) => ({
+    jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name }),
+    mappings: [],
+});
+
+// Calls the rules API for SHOP, returning the status and the parsed body
+const client = (server, token = DSI_MASTER_KEY) => async (method, path, body) => {
+    const response = await fetch(`${server.url}/api/v1/apps/${SHOP}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('draft rule sets are created, read, updated and deleted with revision checks', async () => {
+    const server = await startServer();
+    const api = client(server);
+    try {
+        assert.strictEqual((await client(server, 'wrong-key')('GET', '/rules')).status, 401);
+        assert.strictEqual((await api('GET', '/rules')).status, 404);
+
+        const created = await api('POST', '/rules', { pageType: 'product', revision: 0, ...productRuleSet('[product.title]') });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.revision, 1);
+        assert.strictEqual((await api('POST', '/rules', { pageType: 'product', revision: 1, ...productRuleSet('[product.title]') })).status, 409);
+
+        // A second session still holding revision 0 cannot overwrite the first one's edit
+        const stale = await api('PUT', '/rules/product', { revision: 0, ...productRuleSet('[product.vendor]') });
+        assert.strictEqual(stale.status, 409);
+        assert.strictEqual(stale.body.currentRevision, 1);
+        const updated = await api('PUT', '/rules/product', { revision: 1, ...productRuleSet('[product.vendor]') });
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.body.revision, 2);
+
+        const read = await api('GET', '/rules/product');
+        assert.strictEqual(read.body.jsonLdTemplate, productRuleSet('[product.vendor]').jsonLdTemplate);
+        const listed = await api('GET', '/rules');
+        assert.deepStrictEqual(listed.body.ruleSets.map(({ pageType }) => pageType), ['product']);
+        assert.strictEqual(listed.body.hasUnpublishedChanges, true);
+
+        const invalid = await api('PUT', '/rules/product', { revision: 2, jsonLdTemplate: '{"@type": "Product", "name_Rule": "IF (a >) THEN 1"}', mappings: [] });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.details[0].path, '$.jsonLdTemplate.name_Rule');
+
+        assert.strictEqual((await api('DELETE', '/rules/product?revision=1')).status, 409);
+        assert.deepStrictEqual((await api('DELETE', '/rules/product?revision=2')).body, { pageType: 'product', deleted: true, revision: null });
+        assert.strictEqual((await api('GET', '/rules')).status, 404);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('the storefront serves the published version until the draft is published, and rollbacks publish anew', async () => {
+    const server = await startServer();
+    const api = client(server);
+    const render = async () => {
+        const response = await fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop: SHOP })}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pageType: 'product', productData: { 'product.title': 'Hat', 'product.vendor': 'Acme' } }),
+        });
+        const { schema, rulesVersion } = await response.json();
+        return [JSON.parse(schema).name, rulesVersion];
+    };
+    try {
+        const first = await api('POST', '/publish', { revision: 0, author: 'ana', note: 'first', templates: { product: productRuleSet('[product.title]') } });
+        assert.strictEqual(first.status, 200);
+        assert.deepStrictEqual(await render(), ['Hat', 1]);
+
+        // Draft edits never reach the storefront
+        await api('PUT', '/rules/product', { revision: first.body.revision, ...productRuleSet('[product.vendor]') });
+        assert.deepStrictEqual(await render(), ['Hat', 1]);
+
+        const second = await api('POST', '/publish', { revision: first.body.revision + 1, author: 'ben' });
+        assert.strictEqual(second.body.published.version, 2);
+        assert.deepStrictEqual(await render(), ['Acme', 2]);
+
+        const rollback = await api('POST', '/versions/1/rollback', { revision: second.body.revision, author: 'ana' });
+        assert.deepStrictEqual(rollback.body.published, { version: 3, author: 'ana', note: 'Rollback to version 1', publishedAt: rollback.body.published.publishedAt, rollbackOf: 1 });
+        assert.deepStrictEqual(await render(), ['Hat', 3]);
+
+        const history = await api('GET', '/versions');
+        assert.strictEqual(history.body.publishedVersion, 3);
+        assert.deepStrictEqual(history.body.versions.map(({ version, author }) => [version, author]), [[3, 'ana'], [2, 'ben'], [1, 'ana']]);
+        assert.strictEqual((await api('GET', '/versions/2')).body.templates.product.jsonLdTemplate, productRuleSet('[product.vendor]').jsonLdTemplate);
+        assert.strictEqual((await api('GET', '/versions/9')).status, 404);
+    } finally {
+        await server.stop();
+    }
+});
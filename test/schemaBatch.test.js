@@ -0,0 +1,74 @@
+// Batch schema rendering: run with `node --test test/` (the endpoint test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { assembleItemList } = require('../src/shared/dsiEngine');
+const { PAGE_TYPES } = require('../src/shared/pageTypes');
+const { startServer, signedProxyQuery, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+const product = (title) => JSON.stringify({ '@context': 'https://schema.org/', '@type': 'Product', 'name': title });
+
+test('rendered items are embedded in an ItemList, keeping the list page\'s partials', () => {
+    const bare = JSON.parse(assembleItemList(null, [product('Beanie'), JSON.stringify([JSON.parse(product('Cap')), { '@type': 'BreadcrumbList' }])]));
+    assert.deepStrictEqual(bare, {
+        '@context': 'https://schema.org/',
+        '@type': 'ItemList',
+        'itemListElement': [
+            { '@type': 'ListItem', 'position': 1, 'item': { '@type': 'Product', 'name': 'Beanie' } },
+            { '@type': 'ListItem', 'position': 2, 'item': { '@type': 'Product', 'name': 'Cap' } },
+        ],
+        'numberOfItems': 2,
+    });
+
+    const listPage = JSON.stringify([{ '@type': 'ItemList', 'name': 'Hats', 'numberOfItems': 40 }, { '@type': 'BreadcrumbList' }]);
+    const [list, breadcrumbs] = JSON.parse(assembleItemList(listPage, [product('Beanie')]));
+    assert.strictEqual(list.name, 'Hats');
+    assert.strictEqual(list.numberOfItems, 40);
+    assert.strictEqual(list.itemListElement.length, 1);
+    assert.deepStrictEqual(breadcrumbs, { '@type': 'BreadcrumbList' });
+});
+
+test('a batch renders each item on its own and can assemble them into an ItemList', async () => {
+    const server = await startServer({ SCHEMA_BATCH_MAX_ITEMS: '3' });
+    const batch = async (body) => {
+        const response = await fetch(`${server.url}/proxy/schema/batch?${signedProxyQuery({ shop: SHOP })}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        assert.strictEqual((await batch({ items: [{}] })).status, 404);
+        await fetch(`${server.url}/api/v1/apps/${SHOP}/publish`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                revision: 0,
+                templates: {
+                    product: { jsonLdTemplate: product('[product.title]'), mappings: [] },
+                    collection: { jsonLdTemplate: JSON.stringify(PAGE_TYPES.collection.baseTemplate), mappings: [] },
+                },
+            }),
+        });
+
+        const { status, body } = await batch({
+            items: [{ 'product.title': 'Beanie' }, 'not a map', { 'product.title': 'Cap' }],
+            itemList: { collectionData: { 'collection.title': 'Hats' } },
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.rulesVersion, 1);
+        assert.deepStrictEqual(body.results.map(result => result.schema ? JSON.parse(result.schema).name : result.status), ['Beanie', 400, 'Cap']);
+
+        const list = JSON.parse(body.itemList.schema);
+        assert.strictEqual(list.name, 'Hats');
+        assert.deepStrictEqual(list.itemListElement.map(({ position, item }) => [position, item.name]), [[1, 'Beanie'], [2, 'Cap']]);
+
+        assert.strictEqual((await batch({ items: [] })).status, 400);
+        assert.deepStrictEqual((await batch({ items: [{}, {}, {}, {}] })).body, { error: 'A batch holds at most 3 items' });
+        assert.strictEqual((await batch({ items: [{}], pageType: 'article' })).status, 404);
+        assert.strictEqual((await batch({ items: [{}], itemList: [] })).status, 400);
+    } finally {
+        await server.stop();
+    }
+});
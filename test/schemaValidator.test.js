@@ -0,0 +1,52 @@
+// Schema validation: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema } = require('../src/shared/schemaValidator');
+
+const offer = { '@type': 'Offer', 'price': 19.5, 'priceCurrency': 'EUR', 'availability': 'https://schema.org/InStock' };
+
+test('rendered schema is checked against schema.org types and Google requirements', () => {
+    assert.deepStrictEqual(validateSchema({ '@context': 'https://schema.org', '@type': 'Product', 'name': 'Hat', 'offers': offer }), { isValid: true, errors: [], warnings: [] });
+
+    const { availability, ...offerWithoutAvailability } = offer;
+    const { isValid, errors, warnings } = validateSchema({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'url': 42,
+        'colour': 'red',
+        'offers': offerWithoutAvailability,
+    });
+    assert.strictEqual(isValid, false);
+    assert.deepStrictEqual(errors.map(({ path }) => path).sort(), ['$.name', '$.offers.availability', '$.url']);
+    assert.deepStrictEqual(warnings, [{ path: '$.colour', message: 'Unknown property "colour" for Product' }]);
+
+    const invalidJson = validateSchema('{"@type": "Product",');
+    assert.strictEqual(invalidJson.isValid, false);
+    assert.strictEqual(invalidJson.errors[0].syntax, true);
+});
+
+test('templates are checked with their rules, expressions, transforms and directives', () => {
+    const template = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        'name_Expr': 'product.vendor + " " + product.title',
+        'sku': '[product.sku | uppercase]',
+        'url': '[product.url]',
+        'offers': { '_variants': 'variants', '_mode': 'aggregate', 'priceCurrency': '[shop.currency]' },
+    };
+    assert.deepStrictEqual(validateSchema(template, { mode: 'template' }), { isValid: true, errors: [], warnings: [] });
+
+    const broken = validateSchema({
+        ...template,
+        'name_Expr': 'product.title +',
+        'sku': '[product.sku | bogus]',
+        'offers': { '_variants': 'variants', '_mode': 'cheapest' },
+        'brand_Rule': 'IF (a > ) THEN 1',
+    }, { mode: 'template' });
+    assert.deepStrictEqual(broken.errors.map(({ path, syntax }) => [path, syntax]), [
+        ['$.name_Expr', true],
+        ['$.sku', true],
+        ['$.offers._mode', true],
+        ['$.brand_Rule', true],
+    ]);
+});
@@ -0,0 +1,113 @@
+// Starts the engine in a child process for the server tests (it listens as soon as it is loaded).
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SHOPIFY_API_SECRET = '0123456789abcdef0123456789abcdef';
+const DSI_MASTER_KEY = 'test-admin-key-0123456789';
+const SERVER = path.join(__dirname, '..', 'src', 'server', 'server.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    }).on('error', reject);
+});
+
+/**
+ * Starts a server with an empty file rule store.
+ * @param {object} [env] - Extra environment variables.
+ * @returns {Promise<{url: string, stop: Function}>}
+ */
+async function startServer(env = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'omnigraph-server-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: directory,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            OMNIGRAPH_RULE_DIR: path.join(directory, 'rules'),
+            SHOPIFY_API_SECRET,
+            DSI_MASTER_KEY,
+            ...env,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        const read = (chunk) => {
+            output += chunk;
+            if (output.includes('is running on port')) { clearTimeout(timer); resolve(); }
+        };
+        child.stdout.on('data', read);
+        child.stderr.on('data', read);
+        child.on('exit', () => { clearTimeout(timer); reject(new Error(`Server exited:\n${output}`)); });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop: () => new Promise((resolve) => {
+            child.removeAllListeners('exit');
+            child.on('exit', () => {
+                fs.rmSync(directory, { recursive: true, force: true });
+                resolve();
+            });
+            child.kill();
+        }),
+    };
+}
+
+/**
+ * Signs App Proxy query parameters the way Shopify does.
+ * @param {object} params - E.g. { shop }; `timestamp` defaults to now.
+ * @returns {string} - The query string, `signature` included.
+ */
+function signedProxyQuery(params) {
+    const query = { timestamp: String(Math.floor(Date.now() / 1000)), ...params };
+    const message = Object.keys(query).sort().map(name => `${name}=${query[name]}`).join('');
+    const signature = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(message).digest('hex');
+    return new URLSearchParams({ ...query, signature }).toString();
+}
+
+/**
+ * Reads Server-Sent Events from a response body.
+ * @param {ReadableStreamDefaultReader} reader - The body's reader.
+ * @returns {function(number): Promise<Array<{event: string, data: object}>>} - Resolves with the next
+ *   `count` events, heartbeats aside.
+ */
+function eventReader(reader) {
+    const decoder = new TextDecoder();
+    let text = '';
+    return async (count) => {
+        const taken = [];
+        while (taken.length < count) {
+            const end = text.indexOf('\n\n');
+            if (end === -1) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                text += decoder.decode(value, { stream: true });
+                continue;
+            }
+            const block = text.slice(0, end);
+            text = text.slice(end + 2);
+            const event = block.match(/^event: (.*)$/m);
+            if (event && event[1] !== 'heartbeat') taken.push({ event: event[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+        }
+        return taken;
+    };
+}
+
+module.exports = {
+    SHOPIFY_API_SECRET,
+    DSI_MASTER_KEY,
+    startServer,
+    signedProxyQuery,
+    eventReader,
+};
@@ -0,0 +1,64 @@
+// Storefront authentication: run with `node --test test/` (the API test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyAppProxySignature } = require('../src/server/storefrontAuth');
+const { startServer, signedProxyQuery, DSI_MASTER_KEY } = require('./serverHarness');
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+const signed = (params, secret) => {
+    const message = Object.keys(params).sort().map(name => `${name}=${[].concat(params[name]).join(',')}`).join('');
+    return { ...params, signature: crypto.createHmac('sha256', secret).update(message).digest('hex') };
+};
+
+test('App Proxy signatures cover every parameter and expire', () => {
+    const params = { shop: 'one.myshopify.com', path_prefix: '/apps/omnigraph', timestamp: String(NOW / 1000), ids: ['1', '2'] };
+    const query = signed(params, 'old-secret');
+
+    assert.strictEqual(verifyAppProxySignature(query, ['new-secret', 'old-secret'], { now: NOW }), true);
+    assert.strictEqual(verifyAppProxySignature({ ...query, shop: 'two.myshopify.com' }, ['old-secret'], { now: NOW }), false);
+    assert.strictEqual(verifyAppProxySignature(query, ['new-secret'], { now: NOW }), false);
+    assert.strictEqual(verifyAppProxySignature(query, ['old-secret'], { now: NOW + 6 * 60 * 1000 }), false);
+    assert.strictEqual(verifyAppProxySignature({ ...query, signature: 'not-hex' }, ['old-secret'], { now: NOW }), false);
+});
+
+test('a publishable key reads its own shop\'s schema only', async () => {
+    const server = await startServer();
+    const admin = (shop, method, path, body) => fetch(`${server.url}/api/v1/apps/${shop}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    const schema = (appId, key) => fetch(`${server.url}/api/dsi/schema`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(key && { 'X-OmniGraph-Key': key }) },
+        body: JSON.stringify({ appId, productData: { 'product.title': 'Hat' } }),
+    });
+    try {
+        for (const shop of ['one.myshopify.com', 'two.myshopify.com']) {
+            await admin(shop, 'POST', '/publish', {
+                revision: 0,
+                templates: { product: { jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: `[product.title] from ${shop}` }), mappings: [] } },
+            });
+        }
+        const created = await (await admin('one.myshopify.com', 'POST', '/keys', { label: 'Headless' })).json();
+        assert.match(created.key, /^og_pk_/);
+
+        assert.strictEqual((await schema('one.myshopify.com', created.key)).status, 200);
+        assert.strictEqual((await schema('two.myshopify.com', created.key)).status, 401);
+        assert.strictEqual((await schema('one.myshopify.com')).status, 401);
+        assert.strictEqual((await schema('one.myshopify.com', `${created.key}x`)).status, 401);
+
+        // The App Proxy identifies the shop by its signed `shop` parameter, whatever the body says
+        const proxied = await fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop: 'two.myshopify.com' })}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ appId: 'one.myshopify.com', productData: { 'product.title': 'Hat' } }),
+        });
+        assert.strictEqual(JSON.parse((await proxied.json()).schema).name, 'Hat from two.myshopify.com');
+        const forged = `${signedProxyQuery({ shop: 'two.myshopify.com' })}`.replace('two.myshopify.com', 'one.myshopify.com');
+        assert.strictEqual((await fetch(`${server.url}/proxy/schema?${forged}`, { method: 'POST' })).status, 401);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,67 @@
+// Storefront rate limits: run with `node --test test/` (needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, signedProxyQuery } = require('./serverHarness');
+
+const ping = (server, shop, visitor) => fetch(`${server.url}/proxy/schema/ping?${signedProxyQuery({ shop })}`, {
+    headers: { 'X-Forwarded-For': visitor },
+});
+
+test('App Proxy requests are limited per shop and visitor, not per proxy IP', async () => {
+    const server = await startServer({ RATE_LIMIT_IP_PER_MINUTE: '2', RATE_LIMIT_PING_PER_MINUTE: '2' });
+    try {
+        const schema = (shop, visitor) => fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop })}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': visitor },
+            body: JSON.stringify({ pageType: 'product' }),
+        });
+        const statuses = async (requests) => {
+            const results = [];
+            for (const request of requests) results.push((await request()).status);
+            return results;
+        };
+
+        // Both shops arrive from the same proxy IP (127.0.0.1 here)
+        const first = await statuses([1, 2, 3].map(() => () => schema('one.myshopify.com', '203.0.113.1')));
+        assert.notStrictEqual(first[0], 429);
+        assert.notStrictEqual(first[1], 429);
+        assert.strictEqual(first[2], 429);
+        const other = await statuses([() => schema('two.myshopify.com', '203.0.113.1'), () => schema('one.myshopify.com', '203.0.113.2')]);
+        assert.ok(!other.includes(429), `got ${other}`);
+
+        const pings = await statuses([1, 2, 3].map(() => () => ping(server, 'one.myshopify.com', '203.0.113.1')));
+        assert.deepStrictEqual(pings, [204, 204, 429]);
+        assert.strictEqual((await ping(server, 'two.myshopify.com', '203.0.113.1')).status, 204);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('App Proxy requests are authenticated before they are counted', async () => {
+    const server = await startServer({ RATE_LIMIT_PING_PER_MINUTE: '1' });
+    try {
+        const forged = await fetch(`${server.url}/proxy/schema/ping?shop=one.myshopify.com&signature=${'0'.repeat(64)}`);
+        assert.strictEqual(forged.status, 401);
+        assert.strictEqual((await ping(server, 'one.myshopify.com', '203.0.113.1')).status, 204);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('storefront bodies over the payload limit are refused before they are parsed', async () => {
+    const server = await startServer({ STOREFRONT_BODY_LIMIT: '1kb' });
+    const schema = (productData) => fetch(`${server.url}/proxy/schema?${signedProxyQuery({ shop: 'one.myshopify.com' })}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pageType: 'product', productData }),
+    });
+    try {
+        const tooLarge = await schema({ 'product.title': 'x'.repeat(2048) });
+        assert.strictEqual(tooLarge.status, 413);
+        assert.deepStrictEqual(await tooLarge.json(), { error: 'Payload Too Large: the limit is 1024 bytes' });
+        // Within the limit the request goes on to the rules (none are published here)
+        assert.strictEqual((await schema({ 'product.title': 'Hat' })).status, 404);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,173 @@
+// Storefront loader: run with `node --test test/` (the ping test needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage, runLoader, response, waitFor } = require('./loaderHarness');
+const { startServer, signedProxyQuery } = require('./serverHarness');
+
+const SCHEMA = '{"@type":"Product","name":"Hat"}';
+const CACHE_KEY = 'omnigraph_schema_product_1';
+const MINUTE = 60 * 1000;
+
+test('a live schema replaces the Liquid fallback and is reported on window.OmniGraph', async () => {
+    const requests = [];
+    const page = await runLoader({
+        fetch: async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) });
+            return response(200, { schema: SCHEMA, rulesVersion: 4 });
+        },
+        constants: { DSI_HEARTBEAT_MS: 0 },
+    });
+    await waitFor(() => page.loader.status === 'live');
+    assert.strictEqual(page.schema(), SCHEMA);
+    assert.deepStrictEqual([page.loader.schemaSource, page.loader.rulesVersion, page.loader.appId], ['live', 4, 'one.myshopify.com']);
+    assert.deepStrictEqual(requests, [{
+        url: '/apps/omnigraph/schema',
+        body: { appId: 'one.myshopify.com', pageType: 'product', productData: { 'product.title': 'Hat' } },
+    }]);
+});
+
+test('failed fetches are retried, timed out fetches aborted, and 503s not retried', async () => {
+    let answers = [response(500), response(502), response(200, { schema: SCHEMA, rulesVersion: 1 })];
+    const retried = await runLoader({ fetch: async () => answers.shift(), constants: { DSI_HEARTBEAT_MS: 0 } });
+    await waitFor(() => retried.loader.status === 'live');
+    assert.strictEqual(answers.length, 0);
+
+    let attempts = 0;
+    const hanging = await runLoader({
+        fetch: (url, { signal }) => new Promise((resolve, reject) => {
+            attempts++;
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }),
+        constants: { DSI_HEARTBEAT_MS: 0, FETCH_TIMEOUT_MS: 10, FETCH_MAX_ATTEMPTS: 2 },
+    });
+    await waitFor(() => hanging.loader.status === 'degraded');
+    assert.deepStrictEqual([attempts, hanging.loader.lastError, hanging.schema()], [2, 'aborted', null]);
+
+    attempts = 0;
+    const busy = await runLoader({ fetch: async () => { attempts++; return response(503, {}, { 'Retry-After': '120' }); }, constants: { DSI_HEARTBEAT_MS: 0 } });
+    await waitFor(() => busy.loader.status === 'degraded');
+    assert.strictEqual(attempts, 1);
+    const until = Number(busy.storage.getItem('omnigraph_backoff_until'));
+    assert.ok(until > Date.now() + 110000 && until <= Date.now() + 120000);
+
+    // While backing off, a refresh doesn't ask the engine
+    await busy.loader.refresh();
+    assert.strictEqual(attempts, 1);
+});
+
+test('two failed pings enter Stasis Mode and the first successful one leaves it', async () => {
+    let engineUp = true;
+    const calls = { schema: 0, ping: 0 };
+    const page = await runLoader({
+        fetch: async (url) => {
+            if (url.endsWith('/ping')) {
+                calls.ping++;
+                if (!engineUp) throw new Error('network down');
+                return response(204);
+            }
+            calls.schema++;
+            return response(200, { schema: SCHEMA, rulesVersion: 1 });
+        },
+        constants: { DSI_HEARTBEAT_MS: 10 },
+    });
+    try {
+        await waitFor(() => page.loader.status === 'live' && calls.ping > 0);
+        assert.strictEqual(page.loader.failedPings, 0);
+
+        engineUp = false;
+        await waitFor(() => page.loader.status === 'stasis');
+        assert.strictEqual(page.loader.failedPings, 2);
+        assert.strictEqual(page.loader.lastError, 'network down');
+
+        // Stasis freezes on the last known-good schema
+        await page.loader.refresh();
+        assert.strictEqual(calls.schema, 1);
+        assert.strictEqual(page.schema(), SCHEMA);
+
+        engineUp = true;
+        await waitFor(() => page.loader.status === 'live');
+        assert.strictEqual(page.loader.failedPings, 0);
+    } finally {
+        page.stop();
+    }
+});
+
+// The cache entry a live fetch of this page leaves behind, `ageMs` old
+const cachedEntry = async (ageMs, fields = {}) => {
+    const page = await runLoader({ fetch: async () => response(200, { schema: SCHEMA, rulesVersion: 1 }, { 'ETag': '"v1"' }), constants: { DSI_HEARTBEAT_MS: 0 } });
+    await waitFor(() => page.loader.status === 'live');
+    const entry = JSON.parse(page.storage.getItem(CACHE_KEY));
+    return JSON.stringify({ ...entry, savedAt: Date.now() - ageMs, ...fields });
+};
+
+test('fresh cache entries are served without asking; stale ones are served and revalidated', async () => {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push(options.headers);
+        return response(304);
+    };
+
+    const fresh = await runLoader({ fetch, storage: createStorage({ entries: { [CACHE_KEY]: await cachedEntry(MINUTE) } }), constants: { DSI_HEARTBEAT_MS: 0 } });
+    assert.deepStrictEqual([fresh.loader.status, fresh.loader.schemaSource, fresh.schema()], ['cached', 'cache', SCHEMA]);
+    assert.strictEqual(requests.length, 0);
+
+    const stale = await runLoader({ fetch, storage: createStorage({ entries: { [CACHE_KEY]: await cachedEntry(10 * MINUTE) } }), constants: { DSI_HEARTBEAT_MS: 0 } });
+    assert.strictEqual(stale.schema(), SCHEMA);
+    await waitFor(() => stale.loader.status === 'live');
+    assert.strictEqual(requests[0]['If-None-Match'], '"v1"');
+    assert.ok(Date.now() - JSON.parse(stale.storage.getItem(CACHE_KEY)).savedAt < MINUTE);
+});
+
+test('expired entries and entries of other page data or rules versions are discarded', async () => {
+    const unusable = {
+        expired: await cachedEntry(25 * 60 * MINUTE),
+        otherPageData: await cachedEntry(MINUTE, { dataHash: 'other' }),
+        olderRules: await cachedEntry(MINUTE, { rulesVersion: 0 }),
+        bareSchema: SCHEMA,
+    };
+    for (const [name, entry] of Object.entries(unusable)) {
+        let requests = 0;
+        const page = await runLoader({
+            fetch: async (url, options) => {
+                requests++;
+                assert.strictEqual(options.headers['If-None-Match'], undefined, name);
+                return response(503, {}, { 'Retry-After': '0' });
+            },
+            storage: createStorage({ entries: { [CACHE_KEY]: entry, omnigraph_rules_version: '1' } }),
+            constants: { DSI_HEARTBEAT_MS: 0 },
+        });
+        await waitFor(() => page.loader.status === 'degraded');
+        assert.deepStrictEqual([requests, page.schema(), page.storage.getItem(CACHE_KEY)], [1, null, null], name);
+    }
+});
+
+test('a full store evicts expired entries of other pages first, then the oldest', async () => {
+    const live = { fetch: async () => response(200, { schema: SCHEMA, rulesVersion: 1 }), constants: { DSI_HEARTBEAT_MS: 0 } };
+    const entries = async (ages) => Object.fromEntries(await Promise.all(
+        Object.entries(ages).map(async ([key, age]) => [`omnigraph_schema_${key}`, await cachedEntry(age)])));
+
+    const withExpired = await runLoader({
+        ...live,
+        storage: createStorage({ quota: 4, entries: await entries({ product_2: 25 * 60 * MINUTE, product_3: 30 * MINUTE, product_4: MINUTE }) }),
+    });
+    await waitFor(() => withExpired.loader.status === 'live');
+    assert.deepStrictEqual(withExpired.storage.keys().sort(), ['omnigraph_rules_version', 'omnigraph_schema_product_1', 'omnigraph_schema_product_3', 'omnigraph_schema_product_4']);
+
+    const withoutExpired = await runLoader({
+        ...live,
+        storage: createStorage({ quota: 4, entries: await entries({ product_2: 10 * MINUTE, product_3: 30 * MINUTE, product_4: MINUTE }) }),
+    });
+    await waitFor(() => withoutExpired.loader.status === 'live');
+    assert.deepStrictEqual(withoutExpired.storage.keys().sort(), ['omnigraph_rules_version', 'omnigraph_schema_product_1', 'omnigraph_schema_product_2', 'omnigraph_schema_product_4']);
+});
+
+test('the ping endpoint is answered uncached', async () => {
+    const server = await startServer();
+    try {
+        const ping = await fetch(`${server.url}/proxy/schema/ping?${signedProxyQuery({ shop: 'one.myshopify.com' })}`);
+        assert.ok([204, 503].includes(ping.status));
+        assert.strictEqual(ping.headers.get('cache-control'), 'no-store');
+    } finally {
+        await server.stop();
+    }
+});
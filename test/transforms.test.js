@@ -0,0 +1,61 @@
+// Value transforms: run with `node --test test/` (the rule set checks need the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePlaceholder, applyTransforms, checkTransform } = require('../src/shared/transforms');
+const { validateSchema } = require('../src/shared/schemaValidator');
+const { validateRuleSet } = require('../src/server/rulesApi');
+
+const apply = (body, value) => applyTransforms(value, parsePlaceholder(body).transforms);
+
+test('truncate takes a numeric ellipsis as text', () => {
+    assert.strictEqual(apply('title | truncate: 6, 0', 'Wool hat'), 'Wool 0');
+    assert.strictEqual(apply('title | truncate: 6', 'Wool hat'), 'Woo...');
+    assert.strictEqual(apply('title | truncate: 20', 'Wool hat'), 'Wool hat');
+});
+
+test('truncate lengths must be whole numbers', () => {
+    assert.throws(() => parsePlaceholder('title | truncate: many'), /truncate length must be a whole number/);
+    assert.match(checkTransform({ name: 'truncate', args: ['many'] }), /whole number/);
+    assert.strictEqual(checkTransform({ name: 'truncate', args: [60] }), null);
+    assert.strictEqual(checkTransform({ name: 'truncate', args: ['60'] }), null);
+    assert.match(checkTransform({ name: 'constructor' }), /Unknown transform/);
+
+    const { errors } = validateSchema({ '@context': 'https://schema.org', '@type': 'Product', name: '[product.title | truncate: many]' }, { mode: 'template' });
+    assert.ok(errors.some(error => /whole number/.test(error.message)), JSON.stringify(errors));
+});
+
+test('lookup uses the * fallback for missing values', () => {
+    const body = 'inventory | lookup: "0=OutOfStock", "*=InStock"';
+    assert.strictEqual(apply(body, 0), 'OutOfStock');
+    assert.strictEqual(apply(body, 5), 'InStock');
+    assert.strictEqual(apply(body, undefined), 'InStock');
+    assert.strictEqual(apply(body, null), 'InStock');
+    assert.deepStrictEqual(apply(body, [0, 3]), ['OutOfStock', 'InStock']);
+    assert.strictEqual(apply('inventory | lookup: "0=OutOfStock"', undefined), undefined);
+});
+
+test('round decimals and lookup entries are checked before they can fail a render', () => {
+    assert.match(checkTransform({ name: 'round', args: [101] }), /from 0 to 100/);
+    assert.match(checkTransform({ name: 'round', args: ['two'] }), /from 0 to 100/);
+    assert.match(checkTransform({ name: 'round', args: [-1] }), /from 0 to 100/);
+    assert.strictEqual(checkTransform({ name: 'round', args: [100] }), null);
+    assert.strictEqual(checkTransform({ name: 'round' }), null);
+    assert.match(checkTransform({ name: 'lookup', args: ['0=OutOfStock', 'a'] }), /lookup entry "a" must be "key=value"/);
+    assert.strictEqual(checkTransform({ name: 'lookup', args: ['0=OutOfStock', '*=InStock'] }), null);
+
+    const { problems } = validateRuleSet({
+        jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: '[product.title | lookup: "a"]', sku: '[current_price | round: 101]' }),
+        mappings: [{ id: 1, target: 'sku', type: 'Text', source: 'current_price', transforms: [{ name: 'round', args: [101] }] }],
+    });
+    assert.deepStrictEqual(problems.map(({ path }) => path), ['$.jsonLdTemplate.name', '$.jsonLdTemplate.sku', '$.mappings[0].transforms[0]']);
+});
+
+test('transforms run left to right over the source value', () => {
+    assert.deepStrictEqual(parsePlaceholder('product.tags | join: ", "'), { path: 'product.tags', transforms: [{ name: 'join', args: [', '] }] });
+    assert.strictEqual(apply('tags | split: "," | join: " / "', 'wool,winter'), 'wool / winter');
+    assert.strictEqual(apply('vendor | uppercase | prefix: "#"', 'acme'), '#ACME');
+    assert.strictEqual(apply('current_price | round: 2', 19.5), '19.50');
+    assert.strictEqual(apply('rating | round', 'n/a'), 'n/a');
+    assert.strictEqual(apply('gtin | default: "none"', null), 'none');
+    assert.strictEqual(apply('published_at | iso_date', '2024-03-01 10:00:00 +0100'), '2024-03-01T09:00:00Z');
+});
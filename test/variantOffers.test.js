@@ -0,0 +1,58 @@
+// Variant offers: run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { AVAILABILITY, variantAvailability } = require('../src/shared/variantOffers');
+const { renderSchema, compileSchema } = require('../src/shared/dsiEngine');
+
+const variants = [
+    { title: 'Small', sku: 'HAT-S', barcode: '0012345678905', price: 89.99, compare_at_price: null, available: true, inventory_quantity: 5, inventory_management: 'shopify', inventory_policy: 'deny', url: 'https://shop.example/products/hat?variant=1' },
+    { title: 'Large', sku: 'HAT-L', barcode: null, price: 99.99, compare_at_price: 119.99, available: true, inventory_quantity: 0, inventory_management: 'shopify', inventory_policy: 'continue', url: 'https://shop.example/products/hat?variant=2' },
+    { title: 'X-Large', sku: 'HAT-XL', barcode: null, price: 109.99, compare_at_price: null, available: false, inventory_quantity: 0, inventory_management: 'shopify', inventory_policy: 'deny', url: 'https://shop.example/products/hat?variant=3' },
+];
+
+const productTemplate = (offers) => ({ '@context': 'https://schema.org', '@type': 'Product', 'name': '[product.title]', offers });
+const renderBoth = (template, data) => [renderSchema(data, template), compileSchema(template)(data)];
+
+test('variant availability follows stock, tracking and the inventory policy', () => {
+    assert.deepStrictEqual(variants.map(variantAvailability), [AVAILABILITY.inStock, AVAILABILITY.backOrder, AVAILABILITY.outOfStock]);
+    assert.strictEqual(variantAvailability({ available: true, inventory_quantity: 0, inventory_management: null }), AVAILABILITY.inStock);
+    assert.strictEqual(variantAvailability({ inventory_quantity: 0, inventory_policy: 'deny' }), AVAILABILITY.outOfStock);
+});
+
+test('_variants renders one Offer per variant, with template properties and rules per variant', () => {
+    const template = productTemplate({
+        '_variants': 'variants',
+        '@type': 'Offer',
+        'priceCurrency': '[shop.currency]',
+        'description_Rule': "IF (variant.compare_at_price is not empty) THEN 'On sale' ELSE [NULL]",
+        'position': '[loop.index]',
+    });
+    const data = { 'product.title': 'Hat', 'shop.currency': 'EUR', variants };
+
+    const [interpreted, compiled] = renderBoth(template, data);
+    assert.deepStrictEqual(interpreted, compiled);
+    assert.deepStrictEqual(interpreted.offers[0], {
+        '@type': 'Offer', 'name': 'Small', 'sku': 'HAT-S', 'gtin': '0012345678905', 'price': 89.99,
+        'availability': AVAILABILITY.inStock, 'url': variants[0].url, 'priceCurrency': 'EUR', 'position': 1,
+    });
+    assert.deepStrictEqual(interpreted.offers.map(offer => [offer.sku, offer.availability, offer.description]), [
+        ['HAT-S', AVAILABILITY.inStock, undefined],
+        ['HAT-L', AVAILABILITY.backOrder, 'On sale'],
+        ['HAT-XL', AVAILABILITY.outOfStock, undefined],
+    ]);
+});
+
+test('_variants in aggregate mode renders the price range and best availability', () => {
+    const template = productTemplate({ '_variants': 'variants', '_mode': 'aggregate', 'priceCurrency': '[shop.currency]' });
+
+    const [interpreted, compiled] = renderBoth(template, { 'product.title': 'Hat', 'shop.currency': 'EUR', variants });
+    assert.deepStrictEqual(interpreted, compiled);
+    assert.deepStrictEqual(interpreted.offers, {
+        '@type': 'AggregateOffer', 'lowPrice': 89.99, 'highPrice': 109.99, 'offerCount': 3,
+        'availability': AVAILABILITY.inStock, 'priceCurrency': 'EUR',
+    });
+
+    const soldOut = variants.map(variant => ({ ...variant, available: false }));
+    assert.strictEqual(renderSchema({ 'product.title': 'Hat', variants: soldOut }, template).offers.availability, AVAILABILITY.outOfStock);
+    assert.strictEqual(renderSchema({ 'product.title': 'Hat', variants: [] }, template).offers, undefined);
+});
@@ -0,0 +1,85 @@
+// Shopify webhooks: run with `node --test test/` (needs the server's dependencies).
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyShopifyHmac, createWebhookDeduper } = require('../src/server/webhooks');
+const { startServer, SHOPIFY_API_SECRET, DSI_MASTER_KEY } = require('./serverHarness');
+
+const SHOP = 'one.myshopify.com';
+
+const deliver = (server, topic, payload, { webhookId = crypto.randomUUID(), secret = SHOPIFY_API_SECRET } = {}) => {
+    const body = JSON.stringify(payload);
+    return fetch(`${server.url}/webhooks/shopify`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Topic': topic,
+            'X-Shopify-Shop-Domain': SHOP,
+            'X-Shopify-Webhook-Id': webhookId,
+            'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body).digest('base64'),
+        },
+        body,
+    });
+};
+
+test('topics named after Object.prototype members are acknowledged as unhandled', async () => {
+    const server = await startServer();
+    try {
+        for (const topic of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+            const response = await deliver(server, topic, {});
+            assert.strictEqual(response.status, 200, topic);
+            assert.strictEqual(await response.text(), 'Topic not handled.');
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+test('signatures are checked over the exact bytes sent, with every active secret', () => {
+    const rawBody = Buffer.from('{"id": 42,  "title": "Hat"}');
+    const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+    assert.strictEqual(verifyShopifyHmac(rawBody, sign('old-secret', rawBody), ['new-secret', 'old-secret']), true);
+    assert.strictEqual(verifyShopifyHmac(rawBody, sign('old-secret', JSON.stringify(JSON.parse(rawBody))), ['old-secret']), false);
+    assert.strictEqual(verifyShopifyHmac(rawBody, sign('other-secret', rawBody), ['new-secret', 'old-secret']), false);
+    assert.strictEqual(verifyShopifyHmac(rawBody, undefined, ['old-secret']), false);
+});
+
+test('a delivery runs once, unless it failed', async () => {
+    const deduper = createWebhookDeduper();
+    let runs = 0;
+    assert.deepStrictEqual(await deduper.run('w1', async () => { runs++; }), { duplicate: false });
+    assert.deepStrictEqual(await deduper.run('w1', async () => { runs++; }), { duplicate: true });
+
+    await assert.rejects(deduper.run('w2', async () => { throw new Error('store down'); }), /store down/);
+    assert.deepStrictEqual(await deduper.run('w2', async () => { runs++; }), { duplicate: false });
+    assert.strictEqual(runs, 2);
+});
+
+test('app/uninstalled deletes the shop\'s rules and history, once per delivery', async () => {
+    const server = await startServer();
+    const admin = (method, path, body) => fetch(`${server.url}/api/v1/apps/${SHOP}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${DSI_MASTER_KEY}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    try {
+        const published = await admin('POST', '/publish', {
+            revision: 0,
+            templates: { product: { jsonLdTemplate: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: '[product.title]' }), mappings: [] } },
+        });
+        assert.strictEqual(published.status, 200);
+
+        assert.strictEqual((await deliver(server, 'app/uninstalled', {}, { secret: 'not-the-secret' })).status, 401);
+        assert.strictEqual((await admin('GET', '/rules')).status, 200);
+
+        const webhookId = crypto.randomUUID();
+        const uninstalled = await deliver(server, 'app/uninstalled', { id: 1 }, { webhookId });
+        assert.strictEqual(await uninstalled.text(), 'Webhook processed successfully.');
+        assert.strictEqual((await admin('GET', '/rules')).status, 404);
+        assert.strictEqual((await admin('GET', '/versions/1')).status, 404);
+        assert.strictEqual(await (await deliver(server, 'app/uninstalled', { id: 1 }, { webhookId })).text(), 'Duplicate webhook ignored.');
+    } finally {
+        await server.stop();
+    }
+});